@@ -5,6 +5,19 @@ const { analyze } = require('../src/commands/analyze');
 const { map } = require('../src/commands/map');
 const { onboard } = require('../src/commands/onboard');
 const { risk } = require('../src/commands/risk');
+const { graph } = require('../src/commands/graph');
+const { owners } = require('../src/commands/owners');
+const { check } = require('../src/commands/check');
+const { hotspots } = require('../src/commands/hotspots');
+const { busFactor } = require('../src/commands/bus-factor');
+const { knowledgeLoss } = require('../src/commands/knowledge-loss');
+const { timeline } = require('../src/commands/timeline');
+const { diff } = require('../src/commands/diff');
+const { impact } = require('../src/commands/impact');
+const { reviewers } = require('../src/commands/reviewers');
+const { codeowners } = require('../src/commands/codeowners');
+const { teams } = require('../src/commands/teams');
+const { coupling } = require('../src/commands/coupling');
 const packageJson = require('../package.json');
 
 program
@@ -16,8 +29,13 @@ program
   .command('analyze')
   .description('Analyze repository architecture')
   .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
   .option('-o, --output <file>', 'Output file for analysis results')
-  .option('--format <type>', 'Output format (json, text)', 'text')
+  .option('--format <type>', 'Output format (json, text; default: text)')
+  .option('--half-life <days>', 'Weigh recent commits more when picking owners: a commit counts half after this many days (default: off)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
   .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
   .option('--include-tests', 'Include test files in dead-code detection')
   .option('--skip-cochange', 'Skip co-change analysis to speed up large repositories')
@@ -27,8 +45,14 @@ program
   .command('map')
   .description('Generate architecture map')
   .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
   .option('-o, --output <file>', 'Output file for architecture map')
-  .option('--format <type>', 'Output format (json, markdown)', 'markdown')
+  .option('--ownership <mode>', 'Ownership model: commits, or lines surviving at HEAD via git blame (slower; default: commits)')
+  .option('--half-life <days>', 'Weigh recent commits more when picking owners: a commit counts half after this many days (default: off)')
+  .option('--format <type>', 'Output format (json, markdown; default: markdown)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
   .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
   .option('--include-tests', 'Include test files in dead-code detection')
   .option('--skip-cochange', 'Skip co-change analysis to speed up large repositories')
@@ -38,7 +62,14 @@ program
   .command('onboard')
   .description('Generate onboarding report')
   .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
   .option('-o, --output <file>', 'Output file for onboarding report')
+  .option('--ownership <mode>', 'Ownership model: commits, or lines surviving at HEAD via git blame (slower; default: commits)')
+  .option('--half-life <days>', 'Weigh recent commits more when picking owners: a commit counts half after this many days (default: 365; 0 counts every commit equally)')
+  .option('--days <number>', 'Only authors with commits in this many days count as knowing a file in the bus factor (default: 180)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
   .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
   .option('--include-tests', 'Include test files in dead-code detection')
   .option('--skip-cochange', 'Skip co-change analysis to speed up large repositories')
@@ -48,11 +79,230 @@ program
   .command('risk')
   .description('Calculate refactor risk scores')
   .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
   .option('-o, --output <file>', 'Output file for risk scores')
-  .option('--threshold <number>', 'Minimum risk score to display', '5')
+  .option('--mode <type>', 'Scoring mode (absolute, percentile; default: absolute)')
+  .option('--threshold <number>', 'Minimum risk score to display (default: 5, or 75 in percentile mode)')
+  .option('--explain', 'Show the per-factor breakdown behind each score')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
   .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
   .option('--include-tests', 'Include test files in dead-code detection')
   .option('--skip-cochange', 'Skip co-change analysis to speed up large repositories')
   .action(risk);
 
+program
+  .command('graph')
+  .description('Export the import/call graph as DOT, Mermaid or JSON')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the graph')
+  .option('--format <type>', 'Output format (dot, mermaid, json; default: dot)')
+  .option('--symbols', 'Graph function/class calls across files instead of file imports')
+  .option('--focus <file>', 'Only show the graph around this file (or file#symbol with --symbols)')
+  .option('--depth <number>', 'Number of hops to follow from the focus file (default: 1)')
+  .option('--direction <type>', 'Edges to follow from the focus file (both, callers, callees; default: both)')
+  .option('--rev <ref>', 'Read file contents at this branch, tag or commit instead of the working tree')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(graph);
+
+program
+  .command('owners')
+  .description('Show code ownership rolled up per directory')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the ownership report')
+  .option('--format <type>', 'Output format (table, json, markdown; default: table)')
+  .option('--top <number>', 'Number of owners to list per directory (default: 3)')
+  .option('--max-share <ratio>', 'Flag directories where one person holds more than this share of commits or lines (default: 0.75)')
+  .option('--ownership <mode>', 'Ownership model: commits, or lines surviving at HEAD via git blame (slower; default: commits)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(owners);
+
+program
+  .command('check')
+  .description('Check import edges against architecture rules (exits non-zero on violations)')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for check results')
+  .option('--rules <file>', 'Rules file (defaults to repo-archaeologist.rules.json in the repository root)')
+  .option('--format <type>', 'Output format (json, text; default: text)')
+  .option('--rev <ref>', 'Read file contents at this branch, tag or commit instead of the working tree')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(check);
+
+program
+  .command('hotspots')
+  .description('Rank files by churn × complexity')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the hotspot report')
+  .option('--format <type>', 'Output format (table, json, markdown; default: table)')
+  .option('--days <number>', 'Only count churn from the last N days, 0 for all history (default: 365)')
+  .option('--top <number>', 'Number of files to list (default: 20)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(hotspots);
+
+program
+  .command('bus-factor')
+  .description('Compute the truck factor for the repository and each feature')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the bus factor report')
+  .option('--format <type>', 'Output format (table, json, markdown; default: table)')
+  .option('--ownership <mode>', 'Ownership model: commits, or lines surviving at HEAD via git blame (slower; default: commits)')
+  .option('--min-share <ratio>', 'Share of a file an author must hold to count as knowing it (default: 0.2)')
+  .option('--days <number>', 'Only authors with commits in this many days count as knowing a file (default: 180)')
+  .option('--top <number>', 'Number of single-owner files to list (default: 20)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(busFactor);
+
+program
+  .command('knowledge-loss')
+  .description('List files and features mainly owned by contributors who stopped committing')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the knowledge-loss report')
+  .option('--format <type>', 'Output format (table, json, markdown; default: table)')
+  .option('--days <number>', 'Treat authors with no commits in this many days as departed (default: 180)')
+  .option('--ownership <mode>', 'Ownership model: commits, or lines surviving at HEAD via git blame (slower; default: commits)')
+  .option('--top <number>', 'Number of files to list (default: 20)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(knowledgeLoss);
+
+program
+  .command('timeline')
+  .description('Track architecture metrics across release tags or sampled commits')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the timeline')
+  .option('--format <type>', 'Output format (table, json, csv, markdown; default: table)')
+  .option('--by <mode>', 'Snapshot at every tag, every N commits or every N weeks: tags, commits, weeks (default: tags)')
+  .option('--step <number>', 'Commits or weeks between snapshots (default: 50 commits, 4 weeks)')
+  .option('--limit <number>', 'Keep only the most recent snapshots; 0 keeps all (default: 20)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Sample commits leading up to this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(timeline);
+
+program
+  .command('diff')
+  .description('Compare two analyses: analysis JSON files from "analyze --format json" or git refs')
+  .argument('<base>', 'Base analysis JSON file or git ref')
+  .argument('<head>', 'Head analysis JSON file or git ref')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the diff')
+  .option('--format <type>', 'Output format (table, json, markdown; default: table)')
+  .option('--min-risk-delta <number>', 'Only report risk changes at least this large (default: 1)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(diff);
+
+program
+  .command('impact')
+  .description('Show what a change could break: importers, co-changing files, features, owners and risk')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the impact report')
+  .option('--format <type>', 'Output format (table, json, markdown; default: table)')
+  .option('--base <ref>', 'Take the changed files from git diff <ref>...HEAD')
+  .option('--files <paths>', 'Comma-separated changed files, instead of --base')
+  .option('--depth <number>', 'How many import hops to follow; 0 follows all (default: 0)')
+  .option('--ownership <mode>', 'Ownership model: commits, or lines surviving at HEAD via git blame (slower; default: commits)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze the change up to this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .option('--skip-cochange', 'Skip co-change analysis to speed up large repositories')
+  .action(impact);
+
+program
+  .command('reviewers')
+  .description('Suggest reviewers for a branch or set of files from ownership and co-change history')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the suggestions')
+  .option('--format <type>', 'Output format (text, json; default: text)')
+  .option('--base <ref>', 'Take the changed files and their authors from <ref>...HEAD')
+  .option('--files <paths>', 'Comma-separated changed files, instead of --base')
+  .option('--author <names>', 'Comma-separated authors of the change to exclude (default: authors of the commits since --base)')
+  .option('--count <number>', 'Number of reviewers to suggest (default: 2)')
+  .option('--depth <number>', 'How many import hops of dependent files to consider; 0 follows all (default: 1)')
+  .option('--half-life <days>', 'Weigh recent commits more: a commit counts half after this many days (default: 180; 0 counts every commit equally)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze the change up to this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .option('--skip-cochange', 'Skip co-change analysis to speed up large repositories')
+  .action(reviewers);
+
+program
+  .command('codeowners')
+  .description('Propose a CODEOWNERS file from directory ownership and report stale entries in the existing one')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the proposed CODEOWNERS')
+  .option('--format <type>', 'Output format (text, json; default: text)')
+  .option('--ownership <mode>', 'Ownership model: commits, or lines surviving at HEAD via git blame (slower; default: commits)')
+  .option('--min-confidence <ratio>', 'Share of a directory its owner must hold to get a rule (default: 0.5)')
+  .option('--existing <file>', 'CODEOWNERS file to check for stale entries (default: .github/CODEOWNERS, CODEOWNERS or docs/CODEOWNERS)')
+  .option('--days <number>', 'Flag listed owners with no commits to their code in this many days (default: 180)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(codeowners);
+
+program
+  .command('teams')
+  .description('Roll ownership, churn and risk up to the teams in the project config, with a team coupling matrix')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the team report')
+  .option('--format <type>', 'Output format (table, json, markdown; default: table)')
+  .option('--ownership <mode>', 'Ownership model: commits, or lines surviving at HEAD via git blame (slower; default: commits)')
+  .option('--days <number>', 'Churn window in days; 0 counts all history (default: 365)')
+  .option('--max-files-per-commit <number>', 'Skip commits touching more files than this when counting co-changes; 0 keeps all (default: 30)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .option('--skip-cochange', 'Skip co-change analysis to speed up large repositories (coupling then counts imports only)')
+  .action(teams);
+
+program
+  .command('coupling')
+  .description('Rank files, directories or features by how often they change together, flagging pairs with no import between them')
+  .argument('[path]', 'Path to repository', '.')
+  .option('-c, --config <file>', 'Project config file (defaults to .repoarchaeologistrc or repo-archaeologist.config.js in the repository root)')
+  .option('-o, --output <file>', 'Output file for the coupling report')
+  .option('--format <type>', 'Output format (table, json, markdown; default: table)')
+  .option('--level <level>', 'Couple files, directories or features: file, directory, feature (default: file)')
+  .option('--max-files-per-commit <number>', 'Skip commits touching more files than this, such as mass reformatting; 0 keeps all (default: 30)')
+  .option('--min-shared <number>', 'Only report pairs sharing at least this many commits (default: 2)')
+  .option('--min-coupling <ratio>', 'Only report pairs whose shared commits reach this share of their average commits (default: 0.3)')
+  .option('--hidden-only', 'Only list coupled pairs with no import edge between them')
+  .option('--top <number>', 'Number of modules and pairs to list (default: 20)')
+  .option('--since <date>', 'Only count commits after this date (any git date, e.g. "6 months ago")')
+  .option('--until <date>', 'Only count commits before this date')
+  .option('--rev <ref>', 'Analyze history and file contents at this branch, tag or commit instead of HEAD')
+  .option('--ignore <patterns>', 'Comma-separated additional paths to ignore during analysis')
+  .action(coupling);
+
 program.parse(process.argv);
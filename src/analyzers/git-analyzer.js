@@ -1,12 +1,30 @@
 const simpleGit = require('simple-git');
 const path = require('path');
+const { createAuthorResolver } = require('../utils/author-identity');
+const { roundWeight } = require('../utils/ownership');
+const { isBareRepository } = require('./git-tree-source');
+
+const BLAME_CONCURRENCY_LIMIT = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_MODES = ['tags', 'commits', 'weeks'];
+const DEFAULT_SNAPSHOT_STEPS = { commits: 50, weeks: 4 };
 
 class GitAnalyzer {
-  constructor(repoPath) {
+  constructor(repoPath, options = {}) {
     this.repoPath = repoPath;
     this.git = simpleGit(repoPath);
+    this.blameConcurrency = options.blameConcurrency || BLAME_CONCURRENCY_LIMIT;
+    this.resolveAuthor = createAuthorResolver(options.authors);
+    this.historyWindow = {
+      since: options.since || null,
+      until: options.until || null,
+      rev: options.rev || null
+    };
     this._commitFileCache = new Map();
     this._fileHistoryCache = new Map();
+    this._blameCache = new Map();
+    this._blameWaiters = [];
+    this._activeBlames = 0;
     this._repoIndexPromise = null;
     this._isRepoChecked = false;
   }
@@ -33,23 +51,70 @@ class GitAnalyzer {
     return relativePath.replace(/\\/g, '/');
   }
 
+  // numstat lines are "<added>\t<deleted>\t<path>" ("-" for binary files);
+  // renames are written as "dir/{old => new}/file" or "old => new"
+  _parseNumstatLine(line) {
+    const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+    if (!match) {
+      return { file: line.trim(), previousFile: null, added: 0, deleted: 0 };
+    }
+
+    const [, added, deleted, rawPath] = match;
+    let file = rawPath;
+    let previousFile = null;
+    const braceRename = rawPath.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+    if (braceRename) {
+      const [, prefix, oldPart, newPart, suffix] = braceRename;
+      file = `${prefix}${newPart}${suffix}`.replace(/\/\/+/g, '/');
+      previousFile = `${prefix}${oldPart}${suffix}`.replace(/\/\/+/g, '/');
+    } else if (rawPath.includes(' => ')) {
+      [previousFile, file] = rawPath.split(' => ');
+    }
+
+    return {
+      file: file.trim(),
+      previousFile: previousFile ? previousFile.trim() : null,
+      added: added === '-' ? 0 : parseInt(added, 10),
+      deleted: deleted === '-' ? 0 : parseInt(deleted, 10)
+    };
+  }
+
+  // The log is newest-first, so by the time a rename shows up every newer
+  // change is already filed under the current path. Older changes to the old
+  // path are then filed under the current path too.
   _parseRepositoryLog(rawLog) {
     const commits = [];
     const commitFilesMap = new Map();
     const fileCommitsMap = new Map();
+    const fileChangesMap = new Map();
+    const renamedTo = new Map();
+    const previousPathsMap = new Map();
     let currentCommit = null;
 
+    const resolveCurrentPath = (filePath) => {
+      let current = filePath;
+      const seen = new Set([current]);
+      while (renamedTo.has(current) && !seen.has(renamedTo.get(current))) {
+        current = renamedTo.get(current);
+        seen.add(current);
+      }
+      return current;
+    };
+
     rawLog.split('\n').forEach((line) => {
       if (!line) {
         return;
       }
 
       const headerParts = line.split('\t');
-      if (headerParts.length >= 4 && /^[0-9a-f]{7,40}$/i.test(headerParts[0])) {
-        const [hash, authorName, date, ...messageParts] = headerParts;
+      if (headerParts.length >= 5 && /^[0-9a-f]{7,40}$/i.test(headerParts[0])) {
+        const [hash, authorName, authorEmail, date, ...messageParts] = headerParts;
+        const author = this.resolveAuthor(authorName, authorEmail);
         currentCommit = {
           hash,
-          author_name: authorName,
+          author_name: author.name,
+          author_email: author.email,
+          is_bot: author.isBot,
           date,
           message: messageParts.join('\t')
         };
@@ -62,16 +127,42 @@ class GitAnalyzer {
         return;
       }
 
-      const normalizedFile = line.trim().replace(/\\/g, '/');
-      if (!normalizedFile) {
+      const { file, previousFile, added, deleted } = this._parseNumstatLine(line);
+      if (!file) {
         return;
       }
 
-      const commitFiles = commitFilesMap.get(currentCommit.hash) || [];
-      if (!commitFiles.includes(normalizedFile)) {
-        commitFiles.push(normalizedFile);
-        commitFilesMap.set(currentCommit.hash, commitFiles);
+      const normalizedFile = resolveCurrentPath(file.replace(/\\/g, '/'));
+      if (previousFile) {
+        const normalizedPrevious = previousFile.replace(/\\/g, '/');
+        if (normalizedPrevious !== normalizedFile) {
+          renamedTo.set(normalizedPrevious, normalizedFile);
+          if (!previousPathsMap.has(normalizedFile)) {
+            previousPathsMap.set(normalizedFile, []);
+          }
+          previousPathsMap.get(normalizedFile).push(normalizedPrevious);
+        }
+      }
+
+      if (!fileChangesMap.has(normalizedFile)) {
+        fileChangesMap.set(normalizedFile, []);
       }
+      const fileChanges = fileChangesMap.get(normalizedFile);
+      const commitFiles = commitFilesMap.get(currentCommit.hash);
+      if (commitFiles.includes(normalizedFile)) {
+        const change = fileChanges[fileChanges.length - 1];
+        change.added += added;
+        change.deleted += deleted;
+        return;
+      }
+
+      commitFiles.push(normalizedFile);
+      fileChanges.push({
+        hash: currentCommit.hash,
+        date: currentCommit.date,
+        added,
+        deleted
+      });
 
       if (!fileCommitsMap.has(normalizedFile)) {
         fileCommitsMap.set(normalizedFile, []);
@@ -82,10 +173,69 @@ class GitAnalyzer {
     return {
       commits,
       commitFilesMap,
-      fileCommitsMap
+      fileCommitsMap,
+      fileChangesMap,
+      previousPathsMap
     };
   }
 
+  // Limits every history-derived metric to commits reachable from `rev` (HEAD by
+  // default) and dated between `since` and `until`; both accept any git date
+  setHistoryWindow({ since = null, until = null, rev = null } = {}) {
+    const window = { since: since || null, until: until || null, rev: rev || null };
+    const changed = Object.keys(window).some(key => window[key] !== this.historyWindow[key]);
+    if (!changed) {
+      return;
+    }
+
+    this.historyWindow = window;
+    this._commitFileCache.clear();
+    this._fileHistoryCache.clear();
+    this._blameCache.clear();
+    this._repoIndexPromise = null;
+  }
+
+  // Ends with "--" so a rev named like a file or directory is never read as a path
+  _getHistoryArgs() {
+    const { since, until, rev } = this.historyWindow;
+    return [
+      ...(since ? [`--since=${since}`] : []),
+      ...(until ? [`--until=${until}`] : []),
+      ...(rev ? [rev] : []),
+      '--'
+    ];
+  }
+
+  async verifyRevision() {
+    const { rev } = this.historyWindow;
+    if (!rev) return;
+    if (rev.startsWith('-')) {
+      throw new Error(`Invalid revision "${rev}"`);
+    }
+    await this.checkIsRepo();
+    try {
+      await this.git.raw(['rev-parse', '--verify', `${rev}^{commit}`]);
+    } catch (_error) {
+      throw new Error(`Unknown revision "${rev}"`);
+    }
+  }
+
+  // "Now" for recency calculations: the newest commit in the window when the
+  // analysis looks at a branch or period other than the current one
+  async getReferenceTime() {
+    const { until, rev } = this.historyWindow;
+    if (!until && !rev) {
+      return Date.now();
+    }
+
+    try {
+      const repositoryIndex = await this._getRepositoryIndex();
+      return repositoryIndex.latestCommitTime ?? Date.now();
+    } catch (_error) {
+      return Date.now();
+    }
+  }
+
   async _getRepositoryIndex() {
     if (this._repoIndexPromise) {
       return this._repoIndexPromise;
@@ -95,11 +245,21 @@ class GitAnalyzer {
       await this.checkIsRepo();
       const rawLog = await this.git.raw([
         'log',
-        '--name-only',
+        // --name-status cannot be combined with --numstat, so renames are
+        // read from numstat's "{old => new}" notation instead
+        '--numstat',
+        '-M',
         '--date=iso-strict',
-        '--pretty=format:%H%x09%an%x09%aI%x09%s'
+        // %aN/%aE apply the repository's .mailmap
+        '--pretty=format:%H%x09%aN%x09%aE%x09%aI%x09%s',
+        ...this._getHistoryArgs()
       ]);
       const repositoryIndex = this._parseRepositoryLog(rawLog);
+      // A loop rather than Math.max(...times), which overflows the call stack on long histories
+      repositoryIndex.latestCommitTime = repositoryIndex.commits.reduce((latest, commit) => {
+        const time = Date.parse(commit.date);
+        return Number.isNaN(time) || (latest !== null && latest >= time) ? latest : time;
+      }, null);
 
       repositoryIndex.commitFilesMap.forEach((files, hash) => {
         this._commitFileCache.set(hash, files);
@@ -119,7 +279,7 @@ class GitAnalyzer {
 
   async checkIsRepo() {
     if (this._isRepoChecked) return;
-    const isRepo = await this.git.checkIsRepo();
+    const isRepo = await this.git.checkIsRepo() || await this.git.checkIsRepo('bare');
     if (!isRepo) {
       throw new Error(`Not a git repository: ${this.repoPath}`);
     }
@@ -153,8 +313,11 @@ class GitAnalyzer {
         const repositoryIndex = await this._getRepositoryIndex();
         history = repositoryIndex.fileCommitsMap.get(normalizedPath) || [];
       } catch {
-        const log = await this.git.log({ file: normalizedPath });
-        history = log.all;
+        const log = await this.git.log(['--follow', ...this._getHistoryArgs(), normalizedPath]);
+        history = log.all.map(commit => {
+          const author = this.resolveAuthor(commit.author_name, commit.author_email);
+          return { ...commit, author_name: author.name, is_bot: author.isBot };
+        });
       }
 
       this._fileHistoryCache.set(normalizedPath, history);
@@ -164,24 +327,64 @@ class GitAnalyzer {
     }
   }
 
-  async getFileOwnership(filePath) {
+  async getPreviousPaths(filePath) {
+    try {
+      const normalizedPath = this._normalizeFilePath(filePath);
+      if (!normalizedPath) {
+        return [];
+      }
+
+      const repositoryIndex = await this._getRepositoryIndex();
+      return repositoryIndex.previousPathsMap.get(normalizedPath) || [];
+    } catch (_error) {
+      return [];
+    }
+  }
+
+  // With a half-life, each commit counts 0.5^(age / halfLifeDays) so the primary
+  // owner is whoever has been most active recently; raw counts are kept alongside
+  async getFileOwnership(filePath, options = {}) {
+    const halfLifeDays = options.halfLifeDays || 0;
     try {
       const commits = await this.getFileHistory(filePath);
       const authorCounts = {};
+      const decayedCounts = {};
+      const now = halfLifeDays > 0 ? await this.getReferenceTime() : Date.now();
 
-      commits.forEach(commit => {
+      // Bot accounts never own code
+      const humanCommits = commits.filter(commit => !commit.is_bot);
+      humanCommits.forEach(commit => {
         const author = commit.author_name;
         authorCounts[author] = (authorCounts[author] || 0) + 1;
+        if (halfLifeDays > 0) {
+          const ageDays = Math.max(0, (now - new Date(commit.date).getTime()) / DAY_MS);
+          decayedCounts[author] = (decayedCounts[author] || 0) + Math.pow(0.5, ageDays / halfLifeDays);
+        }
       });
 
       const sortedAuthors = Object.entries(authorCounts)
         .sort((a, b) => b[1] - a[1])
         .map(([author, commits]) => ({ author, commits }));
 
+      if (halfLifeDays === 0) {
+        return {
+          primary: sortedAuthors[0]?.author || 'Unknown',
+          contributors: sortedAuthors,
+          totalCommits: humanCommits.length
+        };
+      }
+
+      const decayedAuthors = sortedAuthors
+        .map(contributor => ({ ...contributor, decayedCommits: roundWeight(decayedCounts[contributor.author]) }))
+        .sort((a, b) => b.decayedCommits - a.decayedCommits || b.commits - a.commits);
+
       return {
-        primary: sortedAuthors[0]?.author || 'Unknown',
-        contributors: sortedAuthors,
-        totalCommits: commits.length
+        primary: decayedAuthors[0]?.author || 'Unknown',
+        rawPrimary: sortedAuthors[0]?.author || 'Unknown',
+        contributors: decayedAuthors,
+        totalCommits: humanCommits.length,
+        totalDecayedCommits: roundWeight(Object.values(decayedCounts).reduce((sum, weight) => sum + weight, 0)),
+        halfLifeDays
       };
     } catch (_error) {
       return {
@@ -192,10 +395,90 @@ class GitAnalyzer {
     }
   }
 
+  // Attributes the lines that survive at HEAD to their authors, so a typo fix
+  // no longer weighs as much as writing the file. Whitespace-only changes are
+  // ignored (-w).
+  async getLineOwnership(filePath) {
+    const normalizedPath = this._normalizeFilePath(filePath);
+    if (!normalizedPath) {
+      return this._summarizeBlame([]);
+    }
+
+    if (!this._blameCache.has(normalizedPath)) {
+      const blamePromise = this._withBlameSlot(() => this.git.raw([
+        'blame',
+        '--line-porcelain',
+        '-w',
+        this.historyWindow.rev || 'HEAD',
+        '--',
+        normalizedPath
+      ]))
+        .then(rawBlame => this._summarizeBlame(this._parseBlameAuthors(rawBlame)))
+        .catch(() => this._summarizeBlame([]));
+      this._blameCache.set(normalizedPath, blamePromise);
+    }
+
+    return this._blameCache.get(normalizedPath);
+  }
+
+  async _withBlameSlot(task) {
+    while (this._activeBlames >= this.blameConcurrency) {
+      await new Promise(resolve => this._blameWaiters.push(resolve));
+    }
+
+    this._activeBlames++;
+    try {
+      return await task();
+    } finally {
+      this._activeBlames--;
+      const next = this._blameWaiters.shift();
+      if (next) next();
+    }
+  }
+
+  // --line-porcelain repeats the commit header for every line, so each
+  // "author " header is one surviving line; "author-mail" follows it
+  _parseBlameAuthors(rawBlame) {
+    const authors = [];
+    let authorName = null;
+
+    rawBlame.split('\n').forEach(line => {
+      if (line.startsWith('author ')) {
+        authorName = line.slice('author '.length);
+      } else if (line.startsWith('author-mail ') && authorName !== null) {
+        const author = this.resolveAuthor(authorName, line.slice('author-mail '.length));
+        if (!author.isBot) {
+          authors.push(author.name);
+        }
+        authorName = null;
+      }
+    });
+
+    return authors;
+  }
+
+  _summarizeBlame(lineAuthors) {
+    const lineCounts = {};
+    lineAuthors.forEach(author => {
+      lineCounts[author] = (lineCounts[author] || 0) + 1;
+    });
+
+    const totalLines = lineAuthors.length;
+    const contributors = Object.entries(lineCounts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([author, lines]) => ({ author, lines, share: lines / totalLines }));
+
+    return {
+      primary: contributors[0]?.author || 'Unknown',
+      contributors,
+      totalLines
+    };
+  }
+
   async getRecentlyModifiedFiles(daysAgo = 90) {
     try {
       const repositoryIndex = await this._getRepositoryIndex();
-      const sinceMs = Date.now() - daysAgo * 24 * 60 * 60 * 1000;
+      const sinceMs = await this.getReferenceTime() - daysAgo * DAY_MS;
 
       const fileModifications = {};
       for (const commit of repositoryIndex.commits) {
@@ -214,7 +497,8 @@ class GitAnalyzer {
             hash: commit.hash,
             author: commit.author_name,
             date: commit.date,
-            message: commit.message
+            message: commit.message,
+            isBot: commit.is_bot
           });
         });
       }
@@ -225,6 +509,60 @@ class GitAnalyzer {
     }
   }
 
+  // Authors whose last commit is older than `daysAgo`, most recently active first
+  async getDepartedAuthors(daysAgo = 180) {
+    try {
+      const repositoryIndex = await this._getRepositoryIndex();
+      const recentFiles = await this.getRecentlyModifiedFiles(daysAgo);
+      const activeAuthors = new Set();
+      Object.values(recentFiles).forEach(modifications => {
+        modifications.forEach(modification => activeAuthors.add(modification.author));
+      });
+
+      const authors = new Map();
+      repositoryIndex.commits.forEach(commit => {
+        if (commit.is_bot || activeAuthors.has(commit.author_name)) {
+          return;
+        }
+        const author = authors.get(commit.author_name) || { author: commit.author_name, lastCommitAt: null, commits: 0 };
+        author.commits++;
+        if (!author.lastCommitAt || Date.parse(commit.date) > Date.parse(author.lastCommitAt)) {
+          author.lastCommitAt = commit.date;
+        }
+        authors.set(commit.author_name, author);
+      });
+
+      return Array.from(authors.values())
+        .sort((a, b) => Date.parse(b.lastCommitAt) - Date.parse(a.lastCommitAt));
+    } catch (_error) {
+      return [];
+    }
+  }
+
+  // Each author's email addresses, most used first, for output formats such as
+  // CODEOWNERS that need an address rather than a display name
+  async getAuthorEmails() {
+    try {
+      const repositoryIndex = await this._getRepositoryIndex();
+      const counts = new Map();
+      repositoryIndex.commits.forEach(commit => {
+        if (commit.is_bot || !commit.author_email) return;
+        if (!counts.has(commit.author_name)) {
+          counts.set(commit.author_name, new Map());
+        }
+        const emails = counts.get(commit.author_name);
+        emails.set(commit.author_email, (emails.get(commit.author_email) || 0) + 1);
+      });
+
+      return new Map(Array.from(counts.entries()).map(([author, emails]) => [
+        author,
+        Array.from(emails.entries()).sort((a, b) => b[1] - a[1]).map(([email]) => email)
+      ]));
+    } catch (_error) {
+      return new Map();
+    }
+  }
+
   async getChangeFrequency(filePath) {
     try {
       const commits = await this.getFileHistory(filePath);
@@ -243,6 +581,33 @@ class GitAnalyzer {
     }
   }
 
+  async getFileChurn(filePath, { since = null } = {}) {
+    const churn = { added: 0, deleted: 0, churn: 0, commits: 0 };
+
+    try {
+      const normalizedPath = this._normalizeFilePath(filePath);
+      if (!normalizedPath) {
+        return churn;
+      }
+
+      const repositoryIndex = await this._getRepositoryIndex();
+      const sinceMs = since ? new Date(since).getTime() : null;
+      (repositoryIndex.fileChangesMap.get(normalizedPath) || []).forEach(change => {
+        if (sinceMs !== null && Date.parse(change.date) < sinceMs) {
+          return;
+        }
+        churn.added += change.added;
+        churn.deleted += change.deleted;
+        churn.commits++;
+      });
+
+      churn.churn = churn.added + churn.deleted;
+      return churn;
+    } catch (_error) {
+      return churn;
+    }
+  }
+
   async getFilesChangedTogether(filePath, threshold = 0.3) {
     try {
       const normalizedPath = this._normalizeFilePath(filePath);
@@ -284,11 +649,155 @@ class GitAnalyzer {
     }
   }
 
+  // Counts how often modules change in the same commit across the whole history.
+  // `mapFile` turns a path into its module (the file itself by default) or null to
+  // leave it out. Commits touching more than `maxFilesPerCommit` files, such as
+  // mass reformatting, are skipped; merges list no files and are skipped too.
+  async getCoChanges({ maxFilesPerCommit = 30, mapFile = file => file } = {}) {
+    const repositoryIndex = await this._getRepositoryIndex();
+    const revisions = new Map();
+    const pairs = new Map();
+    let commitsAnalyzed = 0;
+    let commitsSkipped = 0;
+
+    repositoryIndex.commits.forEach(commit => {
+      const files = repositoryIndex.commitFilesMap.get(commit.hash) || [];
+      if (files.length === 0) {
+        return;
+      }
+      if (maxFilesPerCommit > 0 && files.length > maxFilesPerCommit) {
+        commitsSkipped++;
+        return;
+      }
+
+      commitsAnalyzed++;
+      const modules = [...new Set(files.map(mapFile).filter(Boolean))].sort();
+      modules.forEach((module, i) => {
+        revisions.set(module, (revisions.get(module) || 0) + 1);
+        modules.slice(i + 1).forEach(other => {
+          const key = `${module}\n${other}`;
+          const pair = pairs.get(key) || { modules: [module, other], sharedCommits: 0 };
+          pair.sharedCommits++;
+          pairs.set(key, pair);
+        });
+      });
+    });
+
+    return {
+      revisions,
+      pairs: Array.from(pairs.values()),
+      commitsAnalyzed,
+      commitsSkipped
+    };
+  }
+
+  // Files touched on `head` since it diverged from `base`, like a pull request
+  async getChangedFiles(base, head = 'HEAD') {
+    await this.checkIsRepo();
+    let output;
+    try {
+      output = await this.git.raw(['diff', '--name-only', '-M', `${base}...${head}`]);
+    } catch (_error) {
+      throw new Error(`Could not compare ${base}...${head}; check that both refs exist`);
+    }
+    return output.split('\n').filter(file => file.trim());
+  }
+
+  // People who committed on `head` since it diverged from `base`; bots excluded
+  async getChangeAuthors(base, head = 'HEAD') {
+    await this.checkIsRepo();
+    let output;
+    try {
+      output = await this.git.raw(['log', '--format=%aN%x09%aE', `${base}..${head}`]);
+    } catch (_error) {
+      throw new Error(`Could not compare ${base}...${head}; check that both refs exist`);
+    }
+
+    const authors = output.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        const [name, email] = line.split('\t');
+        return this.resolveAuthor(name, email);
+      })
+      .filter(author => !author.isBot)
+      .map(author => author.name);
+    return [...new Set(authors)];
+  }
+
+  // Commits to analyze for a timeline, oldest first: every release tag, every
+  // `step`-th first-parent commit, or the first commit after each `step` weeks.
+  // The newest commit is always included so the series ends at the present.
+  async getSnapshotRevisions({ by = 'tags', step, limit = 0 } = {}) {
+    await this.checkIsRepo();
+    let snapshots;
+
+    if (by === 'tags') {
+      // Annotated tags point at a tag object, so the tagged commit and its date
+      // come from the peeled (*) fields. With --rev, only tags in its history count
+      const { since, until, rev } = this.historyWindow;
+      const rawTags = await this.git.raw([
+        'for-each-ref',
+        '--format=%(refname:short)%09%(objectname)%09%(*objectname)%09%(committerdate:iso-strict)%09%(*committerdate:iso-strict)',
+        ...(rev ? ['--merged', rev] : []),
+        'refs/tags'
+      ]);
+      const sinceMs = since ? Date.parse(since) : null;
+      const untilMs = until ? Date.parse(until) : null;
+      snapshots = rawTags.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          const [label, object, peeledObject, date, peeledDate] = line.split('\t');
+          return { label, hash: peeledObject || object, date: peeledDate || date };
+        })
+        .filter(snapshot => {
+          const time = Date.parse(snapshot.date);
+          return !(sinceMs && time < sinceMs) && !(untilMs && time > untilMs);
+        })
+        .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+      if (snapshots.length === 0) {
+        throw new Error('No tags found; use --by commits or --by weeks to sample commits instead');
+      }
+    } else if (by === 'commits' || by === 'weeks') {
+      const interval = step > 0 ? step : DEFAULT_SNAPSHOT_STEPS[by];
+      const rawLog = await this.git.raw([
+        'log',
+        '--first-parent',
+        '--reverse',
+        '--format=%H%x09%cI',
+        ...this._getHistoryArgs()
+      ]);
+      const commits = rawLog.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          const [hash, date] = line.split('\t');
+          return { label: hash.slice(0, 7), hash, date };
+        });
+
+      let nextSnapshotMs = null;
+      snapshots = commits.filter((commit, i) => {
+        if (i === commits.length - 1) return true;
+        if (by === 'commits') return i % interval === 0;
+        const time = Date.parse(commit.date);
+        if (nextSnapshotMs !== null && time < nextSnapshotMs) return false;
+        nextSnapshotMs = time + interval * 7 * DAY_MS;
+        return true;
+      });
+    } else {
+      throw new Error(`Unknown timeline mode "${by}". Use one of: ${SNAPSHOT_MODES.join(', ')}`);
+    }
+
+    return limit > 0 ? snapshots.slice(-limit) : snapshots;
+  }
+
   async getAllTrackedFiles() {
     try {
       await this.checkIsRepo();
-      const files = await this.git.raw(['ls-files']);
-      return files.split('\n').filter(f => f.trim());
+      const { rev } = this.historyWindow;
+      // A bare repository has no index for ls-files, so read its tree at HEAD;
+      // -z keeps non-ASCII and unusual names unquoted
+      const treeish = rev || (await isBareRepository(this.repoPath) ? 'HEAD' : null);
+      const files = await this.git.raw(treeish ? ['ls-tree', '-r', '-z', '--name-only', treeish] : ['ls-files', '-z']);
+      return files.split('\0').filter(f => f.trim());
     } catch (_error) {
       return [];
     }
@@ -0,0 +1,111 @@
+const { spawn } = require('child_process');
+const simpleGit = require('simple-git');
+
+// Reads the files of a commit straight from the object database, so a tag or
+// branch can be analyzed without checking it out and bare repositories work too
+class GitTreeSource {
+  constructor(repoPath, rev = 'HEAD') {
+    this.repoPath = repoPath;
+    this.rev = rev;
+    this.git = simpleGit(repoPath);
+  }
+
+  // ls-tree -z lines are "<mode> <type> <object>\t<path>"; submodules show up as
+  // "commit" entries and have no contents to read. Without --full-tree, a
+  // subdirectory of a working tree lists only its own files, relative to itself
+  async listFiles() {
+    if (this.rev.startsWith('-')) {
+      throw new Error(`Invalid revision "${this.rev}"`);
+    }
+
+    let listing;
+    try {
+      listing = await this.git.raw(['ls-tree', '-r', '-z', this.rev]);
+    } catch (_error) {
+      throw new Error(`Unknown revision "${this.rev}"`);
+    }
+
+    return listing.split('\0')
+      .filter(Boolean)
+      .map(line => {
+        const tabIndex = line.indexOf('\t');
+        const [mode, type, object] = line.slice(0, tabIndex).split(' ');
+        return { path: line.slice(tabIndex + 1), mode, type, object };
+      })
+      .filter(entry => entry.type === 'blob');
+  }
+
+  // One `git cat-file --batch` process serves every blob instead of spawning
+  // `git show` per file; returns a Map of object id to UTF-8 contents
+  readBlobs(objects) {
+    const uniqueObjects = [...new Set(objects)];
+    if (uniqueObjects.length === 0) {
+      return Promise.resolve(new Map());
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', ['cat-file', '--batch'], { cwd: this.repoPath });
+      const chunks = [];
+      let stderr = '';
+
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+      });
+      child.on('error', reject);
+      child.on('close', code => {
+        if (code !== 0) {
+          reject(new Error(`git cat-file failed: ${stderr.trim() || `exit code ${code}`}`));
+          return;
+        }
+        resolve(parseBatchOutput(Buffer.concat(chunks)));
+      });
+
+      child.stdin.end(uniqueObjects.join('\n') + '\n');
+    });
+  }
+
+  async readFiles(entries) {
+    const blobs = await this.readBlobs(entries.map(entry => entry.object));
+    return new Map(entries
+      .filter(entry => blobs.has(entry.object))
+      .map(entry => [entry.path, blobs.get(entry.object)]));
+  }
+}
+
+// Batch output is "<object> <type> <size>\n<contents>\n" per object, or
+// "<object> missing\n" for objects that do not exist
+function parseBatchOutput(buffer) {
+  const blobs = new Map();
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const headerEnd = buffer.indexOf(0x0a, offset);
+    if (headerEnd === -1) break;
+
+    const [object, type, size] = buffer.toString('utf8', offset, headerEnd).split(' ');
+    offset = headerEnd + 1;
+    if (type === 'missing' || size === undefined) {
+      continue;
+    }
+
+    const contentEnd = offset + parseInt(size, 10);
+    if (type === 'blob') {
+      blobs.set(object, buffer.toString('utf8', offset, contentEnd));
+    }
+    offset = contentEnd + 1;
+  }
+
+  return blobs;
+}
+
+async function isBareRepository(repoPath) {
+  try {
+    const output = await simpleGit(repoPath).raw(['rev-parse', '--is-bare-repository']);
+    return output.trim() === 'true';
+  } catch (_error) {
+    return false;
+  }
+}
+
+module.exports = { GitTreeSource, isBareRepository };
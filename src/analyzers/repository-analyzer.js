@@ -1,5 +1,9 @@
 const { GitAnalyzer } = require('./git-analyzer');
 const { StaticAnalyzer } = require('./static-analyzer');
+const { matchesAnyGlob } = require('../utils/glob');
+const { getOwnershipMeasure, roundWeight } = require('../utils/ownership');
+const { createTeamResolver } = require('../utils/author-identity');
+const { findOwningRule, isCodeownersOwner } = require('../utils/codeowners');
 const path = require('path');
 
 const GIT_CONCURRENCY_LIMIT = 5;
@@ -16,39 +20,95 @@ const IGNORED_FEATURE_SEGMENTS = new Set([
   'bin'
 ]);
 
+// A file earns the points of the first band whose `above` its value exceeds
+const DEFAULT_RISK_BANDS = {
+  complexity: [{ above: 20, points: 3 }, { above: 10, points: 2 }, { above: 5, points: 1 }],
+  size: [{ above: 500, points: 3 }, { above: 300, points: 2 }, { above: 150, points: 1 }],
+  changeFrequency: [{ above: 0.5, points: 3 }, { above: 0.2, points: 2 }, { above: 0.1, points: 1 }],
+  contributors: [{ above: 10, points: 2 }, { above: 5, points: 1 }],
+  dependencies: [{ above: 10, points: 3 }, { above: 5, points: 2 }, { above: 2, points: 1 }],
+  cycles: [{ above: 5, points: 3 }, { above: 2, points: 2 }, { above: 0, points: 1 }]
+};
+
+const RISK_MODES = ['absolute', 'percentile'];
+
+// Authors that no entry in the config's `teams` section lists
+const UNASSIGNED_TEAM = 'Unassigned';
+
+const COUPLING_LEVELS = ['file', 'directory', 'feature'];
+
+const RISK_FACTOR_VALUES = {
+  complexity: file => file.complexity || 0,
+  size: file => file.lines || 0,
+  changeFrequency: file => file.changeFrequency || 0,
+  contributors: file => file.ownership?.contributors?.length || 0,
+  dependencies: file => file.callGraphInfo?.calledBy?.length || 0,
+  cycles: file => file.cycleSize || 0
+};
+
 class RepositoryAnalyzer {
-  constructor(repoPath) {
+  constructor(repoPath, config = {}) {
     this.repoPath = path.resolve(repoPath);
-    this.gitAnalyzer = new GitAnalyzer(this.repoPath);
+    this.config = config;
+    this.gitAnalyzer = new GitAnalyzer(this.repoPath, { authors: config.authors });
     this.staticAnalyzer = new StaticAnalyzer(this.repoPath);
   }
 
   async analyze(options = {}) {
     const includeCoChange = options.includeCoChange !== false;
-    const staticAnalysis = await this.staticAnalyzer.analyzeDirectory(
-      this.repoPath,
-      options.ignorePatterns
-    );
+    const ownershipMode = options.ownershipMode || 'commits';
+    getOwnershipMeasure(ownershipMode);
+    const halfLifeDays = options.halfLifeDays === undefined ? 0 : options.halfLifeDays;
+    if (typeof halfLifeDays !== 'number' || Number.isNaN(halfLifeDays) || halfLifeDays < 0) {
+      throw new Error(`Invalid ownership half-life "${options.halfLifeDays}". Use a positive number of days`);
+    }
+    const historyWindow = {
+      since: options.since || null,
+      until: options.until || null,
+      rev: options.rev || null
+    };
+    this.gitAnalyzer.setHistoryWindow(historyWindow);
+    await this.gitAnalyzer.verifyRevision();
+    const staticAnalysis = await this.staticAnalyzer.analyzeRepository(options.ignorePatterns, {
+      rev: historyWindow.rev
+    });
     const callGraph = this.staticAnalyzer.buildCallGraph(staticAnalysis);
-    const deadCode = this.staticAnalyzer.detectDeadCode(staticAnalysis, callGraph, {
-      includeTests: options.includeTestsInDeadCode
+    const symbolGraph = this.staticAnalyzer.buildSymbolGraph(staticAnalysis);
+    const cycles = this.staticAnalyzer.detectCycles(callGraph);
+    const cycleSizes = new Map();
+    cycles.forEach(cycle => {
+      cycle.files.forEach(filePath => cycleSizes.set(filePath, cycle.size));
     });
+    const deadCodeOptions = {
+      includeTests: options.includeTestsInDeadCode,
+      testPatterns: options.testPatterns,
+      entryPoints: options.entryPoints
+    };
+    const deadCode = this.staticAnalyzer.detectDeadCode(staticAnalysis, callGraph, deadCodeOptions);
+    const unusedExports = this.staticAnalyzer.detectUnusedExports(staticAnalysis, callGraph, deadCodeOptions);
 
     const filesWithGitInfo = await this._processWithConcurrency(
       staticAnalysis,
       async (fileAnalysis) => {
-        const ownership = await this.gitAnalyzer.getFileOwnership(fileAnalysis.path);
+        const ownership = await this.gitAnalyzer.getFileOwnership(fileAnalysis.path, { halfLifeDays });
         const changeFrequency = await this.gitAnalyzer.getChangeFrequency(fileAnalysis.path);
+        const previousPaths = await this.gitAnalyzer.getPreviousPaths(fileAnalysis.path);
         const coChangedFiles = includeCoChange
           ? await this.gitAnalyzer.getFilesChangedTogether(fileAnalysis.path)
           : [];
+        const lineOwnership = ownershipMode === 'lines'
+          ? { lineOwnership: await this.gitAnalyzer.getLineOwnership(fileAnalysis.path) }
+          : {};
 
         return {
           ...fileAnalysis,
           ownership,
+          ...lineOwnership,
           changeFrequency,
+          previousPaths,
           coChangedFiles: coChangedFiles.slice(0, 5),
-          callGraphInfo: callGraph[fileAnalysis.path]
+          callGraphInfo: callGraph[fileAnalysis.path],
+          cycleSize: cycleSizes.get(fileAnalysis.path) || 0
         };
       },
       GIT_CONCURRENCY_LIMIT
@@ -59,9 +119,15 @@ class RepositoryAnalyzer {
       totalFiles: filesWithGitInfo.length,
       files: filesWithGitInfo,
       callGraph,
+      symbolGraph,
+      cycles,
       deadCode,
+      unusedExports,
+      ownershipMode,
+      ownershipHalfLife: halfLifeDays || null,
+      historyWindow,
       languages: this.aggregateLanguages(filesWithGitInfo),
-      topContributors: this.aggregateContributors(filesWithGitInfo),
+      topContributors: this.aggregateContributors(filesWithGitInfo, ownershipMode),
       analyzedAt: new Date().toISOString()
     };
   }
@@ -83,57 +149,1003 @@ class RepositoryAnalyzer {
     return languages;
   }
 
-  aggregateContributors(files) {
+  aggregateContributors(files, ownershipMode = 'commits') {
     const contributors = {};
+    const ensureContributor = (author) => {
+      if (!contributors[author]) {
+        contributors[author] = {
+          filesOwned: 0,
+          totalCommits: 0
+        };
+        if (ownershipMode === 'lines') {
+          contributors[author].totalLines = 0;
+        }
+      }
+      return contributors[author];
+    };
+
     files.forEach(file => {
       if (file.ownership && file.ownership.contributors) {
-        file.ownership.contributors.forEach(({ author, commits }) => {
-          if (!contributors[author]) {
-            contributors[author] = {
-              filesOwned: 0,
-              totalCommits: 0
-            };
+        file.ownership.contributors.forEach(({ author, commits, decayedCommits }) => {
+          const contributor = ensureContributor(author);
+          contributor.totalCommits += commits;
+          if (decayedCommits !== undefined) {
+            contributor.decayedCommits = roundWeight((contributor.decayedCommits || 0) + decayedCommits);
           }
-          contributors[author].totalCommits += commits;
         });
-        
-        if (file.ownership.primary && file.ownership.primary !== 'Unknown') {
-          contributors[file.ownership.primary].filesOwned++;
-        }
+      }
+
+      if (ownershipMode === 'lines') {
+        (file.lineOwnership?.contributors || []).forEach(({ author, lines }) => {
+          ensureContributor(author).totalLines += lines;
+        });
+      }
+
+      const owner = ownershipMode === 'lines' ? file.lineOwnership : file.ownership;
+      if (owner && owner.primary && owner.primary !== 'Unknown') {
+        ensureContributor(owner.primary).filesOwned++;
       }
     });
 
+    const isDecayed = files.some(file => file.ownership?.totalDecayedCommits !== undefined);
+    const sortKey = ownershipMode === 'lines' ? 'totalLines' : isDecayed ? 'decayedCommits' : 'totalCommits';
     return Object.entries(contributors)
       .map(([author, data]) => ({ author, ...data }))
-      .sort((a, b) => b.totalCommits - a.totalCommits)
+      .sort((a, b) => (b[sortKey] || 0) - (a[sortKey] || 0))
       .slice(0, 10);
   }
 
+  // A file counts toward the root ('.') and every directory above it ('a', 'a/b')
+  _getDirectoryPaths(file) {
+    const relativePath = path.relative(this.repoPath, file.path);
+    if (!relativePath || relativePath.startsWith('..')) {
+      return [];
+    }
+
+    const dirParts = relativePath.split(path.sep).filter(Boolean).slice(0, -1);
+    return ['.', ...dirParts.map((_part, i) => dirParts.slice(0, i + 1).join('/'))];
+  }
+
+  aggregateDirectoryOwnership(files, options = {}) {
+    const maxShare = typeof options.maxShare === 'number' ? options.maxShare : 0.75;
+    const topOwners = options.topOwners || 3;
+    const { source, unit, total } = getOwnershipMeasure(options.mode);
+    const directories = new Map();
+
+    files.forEach(file => {
+      this._getDirectoryPaths(file).forEach(directory => {
+        if (!directories.has(directory)) {
+          directories.set(directory, {
+            fileCount: 0,
+            total: 0,
+            authors: {}
+          });
+        }
+
+        const entry = directories.get(directory);
+        entry.fileCount++;
+        (file[source]?.contributors || []).forEach(contributor => {
+          const amount = contributor[unit];
+          entry.authors[contributor.author] = (entry.authors[contributor.author] || 0) + amount;
+          entry.total += amount;
+        });
+      });
+    });
+
+    return Array.from(directories.entries())
+      .map(([directory, entry]) => {
+        const owners = Object.entries(entry.authors)
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .map(([author, amount]) => ({
+            author,
+            [unit]: amount,
+            share: entry.total > 0 ? amount / entry.total : 0
+          }));
+        const topShare = owners[0]?.share || 0;
+
+        return {
+          directory,
+          fileCount: entry.fileCount,
+          [total]: entry.total,
+          primary: owners[0]?.author || 'Unknown',
+          owners: owners.slice(0, topOwners),
+          contributorCount: owners.length,
+          concentrated: topShare > maxShare
+        };
+      })
+      .sort((a, b) => a.directory.localeCompare(b.directory));
+  }
+
+  // An author knows a file when they hold at least `minShare` of its commits
+  // (or surviving lines); the primary owner always counts
+  getKnowledgeableOwners(file, options = {}) {
+    const { source, unit } = getOwnershipMeasure(options.mode);
+    const minShare = typeof options.minShare === 'number' ? options.minShare : 0.2;
+    const contributors = file[source]?.contributors || [];
+    const total = contributors.reduce((sum, contributor) => sum + contributor[unit], 0);
+    if (total === 0) {
+      return [];
+    }
+
+    return contributors
+      .filter((contributor, i) => i === 0 || contributor[unit] / total >= minShare)
+      .map(contributor => contributor.author);
+  }
+
+  // Greedy truck factor (Avelino et al.): departed authors count as already gone,
+  // then keep removing the active author who knows the most files until more
+  // than half of the files have no knowledgeable owner left
+  calculateTruckFactor(files, options = {}) {
+    const departed = new Set(options.departedAuthors || []);
+    const fileOwners = files
+      .map(file => this.getKnowledgeableOwners(file, options))
+      .filter(owners => owners.length > 0);
+    const removed = [];
+
+    if (fileOwners.length === 0) {
+      return { truckFactor: 0, fileCount: 0, orphanedFiles: 0, inactiveFiles: 0, keyAuthors: [] };
+    }
+
+    const remaining = fileOwners.map(owners => new Set(owners.filter(author => !departed.has(author))));
+    const countOrphaned = () => remaining.filter(owners => owners.size === 0).length;
+    const inactiveFiles = countOrphaned();
+    let orphaned = inactiveFiles;
+    while (orphaned <= fileOwners.length / 2) {
+      const coverage = new Map();
+      remaining.forEach(owners => {
+        owners.forEach(author => coverage.set(author, (coverage.get(author) || 0) + 1));
+      });
+
+      const [author] = Array.from(coverage.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+      removed.push(author);
+      remaining.forEach(owners => owners.delete(author));
+      orphaned = countOrphaned();
+    }
+
+    return {
+      truckFactor: removed.length,
+      fileCount: fileOwners.length,
+      orphanedFiles: orphaned,
+      inactiveFiles,
+      keyAuthors: removed
+    };
+  }
+
+  analyzeBusFactor(files, options = {}) {
+    const features = this.identifyFeatures(files);
+    const filesByPath = new Map(files.map(file => [file.path, file]));
+    const departed = new Set(options.departedAuthors || []);
+    const byTruckFactor = (a, b) => a.truckFactor - b.truckFactor || b.fileCount - a.fileCount;
+
+    const featureFactors = features
+      .map(feature => ({
+        name: feature.name,
+        ...this.calculateTruckFactor(feature.files.map(filePath => filesByPath.get(filePath)).filter(Boolean), options)
+      }))
+      .filter(feature => feature.fileCount > 0)
+      .sort(byTruckFactor);
+
+    const directoryFiles = new Map();
+    files.forEach(file => {
+      this._getDirectoryPaths(file)
+        .filter(directory => directory !== '.')
+        .forEach(directory => {
+          if (!directoryFiles.has(directory)) {
+            directoryFiles.set(directory, []);
+          }
+          directoryFiles.get(directory).push(file);
+        });
+    });
+    const directoryFactors = Array.from(directoryFiles.entries())
+      .map(([directory, directoryMembers]) => ({
+        directory,
+        ...this.calculateTruckFactor(directoryMembers, options)
+      }))
+      .filter(directory => directory.fileCount > 0)
+      .sort((a, b) => byTruckFactor(a, b) || a.directory.localeCompare(b.directory));
+
+    // Files whose only knowledgeable owners have departed stay listed with a bus factor of 0
+    const fileFactors = files
+      .map(file => {
+        const knowledgeable = this.getKnowledgeableOwners(file, options);
+        const owners = knowledgeable.filter(author => !departed.has(author));
+        return {
+          path: path.relative(this.repoPath, file.path).replace(/\\/g, '/'),
+          busFactor: owners.length,
+          owners,
+          departedOwners: knowledgeable.filter(author => departed.has(author))
+        };
+      })
+      .filter(file => file.busFactor + file.departedOwners.length > 0)
+      .sort((a, b) => a.busFactor - b.busFactor || a.path.localeCompare(b.path));
+
+    return {
+      repository: this.calculateTruckFactor(files, options),
+      features: featureFactors,
+      atRiskFeatures: featureFactors.filter(feature => feature.truckFactor <= 1),
+      directories: directoryFactors,
+      files: fileFactors,
+      singleOwnerFiles: fileFactors.filter(file => file.busFactor === 1).length,
+      orphanedFiles: fileFactors.filter(file => file.busFactor === 0).length
+    };
+  }
+
+  // A file is lost when its primary owner has departed or departed authors hold
+  // the majority of its commits (or surviving lines)
+  async analyzeKnowledgeLoss(files, options = {}) {
+    const days = options.days > 0 ? options.days : 180;
+    const { source, unit } = getOwnershipMeasure(options.mode);
+    const departedAuthors = await this.gitAnalyzer.getDepartedAuthors(days);
+    const departed = new Set(departedAuthors.map(author => author.author));
+
+    const summarize = (contributors) => {
+      const total = contributors.reduce((sum, contributor) => sum + contributor[unit], 0);
+      const lost = contributors
+        .filter(contributor => departed.has(contributor.author))
+        .reduce((sum, contributor) => sum + contributor[unit], 0);
+      return { total, departedShare: total > 0 ? lost / total : 0 };
+    };
+
+    const lostFiles = [];
+    files.forEach(file => {
+      const contributors = file[source]?.contributors || [];
+      const { total, departedShare } = summarize(contributors);
+      const primary = contributors[0]?.author;
+      if (total === 0 || (!departed.has(primary) && departedShare <= 0.5)) {
+        return;
+      }
+
+      lostFiles.push({
+        path: path.relative(this.repoPath, file.path).replace(/\\/g, '/'),
+        primary,
+        primaryDeparted: departed.has(primary),
+        departedShare,
+        departedOwners: contributors.filter(c => departed.has(c.author)).map(c => c.author)
+      });
+    });
+    lostFiles.sort((a, b) => b.departedShare - a.departedShare || a.path.localeCompare(b.path));
+
+    const filesByPath = new Map(files.map(file => [file.path, file]));
+    const lostFeatures = this.identifyFeatures(files)
+      .map(feature => {
+        const amounts = {};
+        feature.files.forEach(filePath => {
+          (filesByPath.get(filePath)?.[source]?.contributors || []).forEach(contributor => {
+            amounts[contributor.author] = (amounts[contributor.author] || 0) + contributor[unit];
+          });
+        });
+        const contributors = Object.entries(amounts)
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .map(([author, amount]) => ({ author, [unit]: amount }));
+        const { total, departedShare } = summarize(contributors);
+
+        return {
+          name: feature.name,
+          fileCount: feature.fileCount,
+          primary: contributors[0]?.author || 'Unknown',
+          primaryDeparted: departed.has(contributors[0]?.author),
+          departedShare,
+          total
+        };
+      })
+      .filter(feature => feature.total > 0 && (feature.primaryDeparted || feature.departedShare > 0.5))
+      .map(({ total: _total, ...feature }) => feature)
+      .sort((a, b) => b.departedShare - a.departedShare || a.name.localeCompare(b.name));
+
+    return {
+      days,
+      departedAuthors: departedAuthors.map(author => ({
+        ...author,
+        primaryFiles: lostFiles.filter(file => file.primary === author.author).length
+      })),
+      files: lostFiles,
+      features: lostFeatures
+    };
+  }
+
+  // Re-runs the analysis at each snapshot commit and keeps the architecture
+  // metrics; unchanged blobs are parsed once thanks to the static blob cache
+  async analyzeTimeline(snapshots, options = {}) {
+    const { onSnapshot, ...analyzeOptions } = options;
+    const timeline = [];
+
+    for (const snapshot of snapshots) {
+      if (onSnapshot) {
+        onSnapshot(snapshot, timeline.length, snapshots.length);
+      }
+      const analysis = await this.analyze({
+        ...analyzeOptions,
+        rev: snapshot.hash,
+        includeCoChange: false
+      });
+      timeline.push({ ...snapshot, ...this.summarizeSnapshot(analysis) });
+    }
+
+    return timeline;
+  }
+
+  summarizeSnapshot(analysis) {
+    const riskScores = analysis.files.map(file => this.calculateRiskScore(file));
+    const languages = {};
+    Object.entries(analysis.languages)
+      .sort((a, b) => b[1].count - a[1].count)
+      .forEach(([language, stats]) => {
+        languages[language] = stats.count;
+      });
+
+    return {
+      files: analysis.totalFiles,
+      lines: analysis.files.reduce((sum, file) => sum + (file.lines || 0), 0),
+      languages,
+      importEdges: Object.values(analysis.callGraph).reduce((sum, node) => sum + node.calls.length, 0),
+      cycles: analysis.cycles.length,
+      deadFiles: analysis.deadCode.length,
+      averageRisk: riskScores.length > 0
+        ? roundScore(riskScores.reduce((sum, score) => sum + score, 0) / riskScores.length)
+        : 0
+    };
+  }
+
+  // Files that may break when `changedPaths` change: importers found by walking
+  // `calledBy` transitively, plus files that historically change alongside them.
+  // Each hop halves a file's contribution to the aggregate risk.
+  analyzeImpact(files, changedPaths, options = {}) {
+    const maxDepth = options.depth > 0 ? options.depth : Infinity;
+    const { source } = getOwnershipMeasure(options.mode);
+    const toRelative = filePath => path.relative(this.repoPath, filePath).replace(/\\/g, '/');
+    const filesByRelativePath = new Map(files.map(file => [toRelative(file.path), file]));
+    const describe = (file, extra) => ({
+      path: toRelative(file.path),
+      ...extra,
+      riskScore: this.calculateRiskScore(file),
+      primary: file[source]?.primary || 'Unknown'
+    });
+
+    const changed = [...new Set(changedPaths)].sort();
+    const changedFiles = changed.map(filePath => {
+      const file = filesByRelativePath.get(filePath);
+      return file ? describe(file, { found: true }) : { path: filePath, found: false, riskScore: 0, primary: 'Unknown' };
+    });
+
+    const affected = new Map();
+    let frontier = changed.filter(filePath => filesByRelativePath.has(filePath))
+      .map(filePath => ({ filePath, via: filePath }));
+    for (let distance = 1; distance <= maxDepth && frontier.length > 0; distance++) {
+      const next = [];
+      frontier.forEach(({ filePath, via }) => {
+        const importers = filesByRelativePath.get(filePath).callGraphInfo?.calledBy || [];
+        importers.map(toRelative).forEach(importer => {
+          if (changed.includes(importer) || affected.has(importer) || !filesByRelativePath.has(importer)) {
+            return;
+          }
+          affected.set(importer, { distance, reason: 'imports', via });
+          next.push({ filePath: importer, via });
+        });
+      });
+      frontier = next;
+    }
+
+    changed.forEach(filePath => {
+      (filesByRelativePath.get(filePath)?.coChangedFiles || []).forEach(({ file: coChanged }) => {
+        if (!changed.includes(coChanged) && !affected.has(coChanged) && filesByRelativePath.has(coChanged)) {
+          affected.set(coChanged, { distance: 1, reason: 'co-change', via: filePath });
+        }
+      });
+    });
+
+    const affectedFiles = Array.from(affected.entries())
+      .map(([filePath, info]) => describe(filesByRelativePath.get(filePath), info))
+      .sort((a, b) => a.distance - b.distance || b.riskScore - a.riskScore || a.path.localeCompare(b.path));
+
+    const impacted = [...changedFiles.filter(file => file.found), ...affectedFiles];
+    const impactedPaths = new Set(impacted.map(file => file.path));
+    const changedPathSet = new Set(changed);
+    const features = this.identifyFeatures(files)
+      .map(feature => {
+        const featurePaths = feature.files.map(toRelative);
+        return {
+          name: feature.name,
+          changedFiles: featurePaths.filter(filePath => changedPathSet.has(filePath)).length,
+          affectedFiles: featurePaths.filter(filePath => impactedPaths.has(filePath) && !changedPathSet.has(filePath)).length
+        };
+      })
+      .filter(feature => feature.changedFiles + feature.affectedFiles > 0)
+      .sort((a, b) => b.changedFiles - a.changedFiles || b.affectedFiles - a.affectedFiles || a.name.localeCompare(b.name));
+
+    const reviewerCounts = {};
+    impacted.forEach(file => {
+      if (file.primary !== 'Unknown') {
+        reviewerCounts[file.primary] = (reviewerCounts[file.primary] || 0) + 1;
+      }
+    });
+    const reviewers = Object.entries(reviewerCounts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([author, count]) => ({ author, files: count }));
+
+    return {
+      changedFiles,
+      affectedFiles,
+      features,
+      reviewers,
+      risk: {
+        score: roundScore(impacted.reduce((sum, file) => sum + file.riskScore * Math.pow(0.5, file.distance || 0), 0)),
+        maxFileRisk: impacted.reduce((max, file) => Math.max(max, file.riskScore), 0),
+        changedFiles: changedFiles.length,
+        affectedFiles: affectedFiles.length
+      }
+    };
+  }
+
+  // Ranks people by their share of each impacted file's commits, decayed by the
+  // half-life when the analysis used one so recent activity counts for more.
+  // Files further from the change weigh less, as in the aggregate risk.
+  suggestReviewers(files, impact, options = {}) {
+    const count = options.count > 0 ? options.count : 2;
+    const excluded = new Set((options.exclude || []).map(author => author.toLowerCase()));
+    const toRelative = filePath => path.relative(this.repoPath, filePath).replace(/\\/g, '/');
+    const filesByRelativePath = new Map(files.map(file => [toRelative(file.path), file]));
+    const candidates = new Map();
+
+    [...impact.changedFiles.filter(file => file.found), ...impact.affectedFiles].forEach(impacted => {
+      const contributors = filesByRelativePath.get(impacted.path)?.ownership?.contributors || [];
+      const unit = contributors.some(contributor => contributor.decayedCommits !== undefined) ? 'decayedCommits' : 'commits';
+      const total = contributors.reduce((sum, contributor) => sum + contributor[unit], 0);
+      if (total === 0) {
+        return;
+      }
+
+      const fileWeight = Math.pow(0.5, impacted.distance || 0);
+      contributors.forEach(contributor => {
+        if (excluded.has(contributor.author.toLowerCase()) || contributor[unit] === 0) {
+          return;
+        }
+        const candidate = candidates.get(contributor.author) || { author: contributor.author, score: 0, changedFiles: 0, otherFiles: 0 };
+        candidate.score += fileWeight * contributor[unit] / total;
+        if (impacted.distance) {
+          candidate.otherFiles++;
+        } else {
+          candidate.changedFiles++;
+        }
+        candidates.set(contributor.author, candidate);
+      });
+    });
+
+    return Array.from(candidates.values())
+      .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }))
+      .sort((a, b) => b.score - a.score || b.changedFiles - a.changedFiles || a.author.localeCompare(b.author))
+      .slice(0, count);
+  }
+
+  // One CODEOWNERS rule per directory whose leading owner holds at least
+  // `minConfidence` of its commits (or lines). Directories that agree with the
+  // nearest rule above them are folded into it, so a subtree with one owner
+  // becomes a single "/dir/" entry; rules are ordered parents first because the
+  // last matching rule wins.
+  async proposeCodeowners(files, options = {}) {
+    const minConfidence = typeof options.minConfidence === 'number' ? options.minConfidence : 0.5;
+    const resolveOwner = await this._createOwnerResolver();
+    const depth = directory => (directory === '.' ? 0 : directory.split('/').length);
+    const directories = this.aggregateDirectoryOwnership(files, { mode: options.mode, topOwners: Infinity })
+      .sort((a, b) => depth(a.directory) - depth(b.directory) || a.directory.localeCompare(b.directory));
+    const rulesByDirectory = new Map();
+    const rules = [];
+    const lowConfidence = [];
+
+    const findParentRule = directory => {
+      const parts = directory === '.' ? [] : directory.split('/');
+      for (let i = parts.length - 1; i >= 0; i--) {
+        const parent = i === 0 ? '.' : parts.slice(0, i).join('/');
+        if (rulesByDirectory.has(parent)) {
+          return rulesByDirectory.get(parent);
+        }
+      }
+      return null;
+    };
+
+    directories.forEach(directory => {
+      const owners = new Map();
+      directory.owners.forEach(({ author, share }) => {
+        const owner = resolveOwner(author);
+        const entry = owners.get(owner) || { owner, share: 0, authors: [] };
+        entry.share += share;
+        entry.authors.push(author);
+        owners.set(owner, entry);
+      });
+      const [top] = Array.from(owners.values()).sort((a, b) => b.share - a.share || a.owner.localeCompare(b.owner));
+      if (!top) {
+        return;
+      }
+
+      const confidence = Math.round(top.share * 100) / 100;
+      if (top.share < minConfidence) {
+        lowConfidence.push({ directory: directory.directory, owner: top.owner, confidence });
+        return;
+      }
+
+      const parentRule = findParentRule(directory.directory);
+      if (parentRule && parentRule.owners[0] === top.owner) {
+        parentRule.directories++;
+        return;
+      }
+
+      const rule = {
+        pattern: directory.directory === '.' ? '*' : `/${directory.directory}/`,
+        directory: directory.directory,
+        owners: [top.owner],
+        confidence,
+        fileCount: directory.fileCount,
+        directories: 1,
+        authors: top.authors,
+        unresolved: !isCodeownersOwner(top.owner)
+      };
+      rulesByDirectory.set(directory.directory, rule);
+      rules.push(rule);
+    });
+
+    return { rules, lowConfidence };
+  }
+
+  // An existing CODEOWNERS entry is stale when it no longer governs any tracked
+  // file, or when one of its owners made none of the last `days` of commits to
+  // the files it governs. Code nobody touched in that time is left alone.
+  async findStaleCodeowners(entries, options = {}) {
+    const days = options.days > 0 ? options.days : 180;
+    const trackedFiles = await this.gitAnalyzer.getAllTrackedFiles();
+    const recentFiles = await this.gitAnalyzer.getRecentlyModifiedFiles(days);
+    const authorEmails = await this.gitAnalyzer.getAuthorEmails();
+    const resolveTeam = createTeamResolver(this.config.teams);
+    const governedFiles = new Map(entries.map(entry => [entry, []]));
+    trackedFiles.forEach(filePath => {
+      const entry = findOwningRule(filePath, entries);
+      if (entry) {
+        governedFiles.get(entry).push(filePath);
+      }
+    });
+
+    return entries
+      .map(entry => {
+        const filesGoverned = governedFiles.get(entry);
+        const recentAuthors = new Set();
+        filesGoverned.forEach(filePath => {
+          (recentFiles[filePath] || [])
+            .filter(modification => !modification.isBot)
+            .forEach(modification => recentAuthors.add(modification.author));
+        });
+        const staleOwners = recentAuthors.size === 0 ? [] : entry.owners.filter(owner => !Array.from(recentAuthors)
+          .some(author => this._ownerMatchesAuthor(owner, author, authorEmails.get(author) || [], resolveTeam)));
+
+        return {
+          line: entry.line,
+          pattern: entry.pattern,
+          owners: entry.owners,
+          fileCount: filesGoverned.length,
+          reason: filesGoverned.length === 0 ? 'no-files' : 'inactive-owners',
+          staleOwners,
+          recentAuthors: Array.from(recentAuthors).sort()
+        };
+      })
+      .filter(entry => entry.fileCount === 0 || entry.staleOwners.length > 0);
+  }
+
+  // CODEOWNERS needs a team or an address: authors map to their team from the
+  // config's `teams`, then to their most used email, then to an @handle among
+  // their `authors.aliases`. Failing all three the name is kept, and the rule
+  // is marked unresolved so it is written commented out
+  async _createOwnerResolver() {
+    const resolveTeam = createTeamResolver(this.config.teams);
+    const authorEmails = await this.gitAnalyzer.getAuthorEmails();
+    const aliases = this.config.authors?.aliases || {};
+    return author => {
+      const emails = authorEmails.get(author) || [];
+      const handle = (aliases[author] || []).find(alias => alias.startsWith('@') && isCodeownersOwner(alias));
+      return resolveTeam(author, emails) || emails[0] || handle || author;
+    };
+  }
+
+  // Owners are teams, emails or @handles. A handle matches through an
+  // `authors.aliases` entry such as "Jane Doe": ["@jdoe"], or when it equals the
+  // author's name or the local part of one of their emails
+  _ownerMatchesAuthor(owner, author, emails, resolveTeam) {
+    const normalized = owner.toLowerCase();
+    const handle = normalized.replace(/^@/, '');
+    const lowerEmails = emails.map(email => email.toLowerCase());
+
+    return (resolveTeam(author, emails) || '').toLowerCase() === normalized ||
+      lowerEmails.includes(normalized) ||
+      this.gitAnalyzer.resolveAuthor(owner).name === author ||
+      author.toLowerCase() === handle ||
+      lowerEmails.some(email => email.split('@')[0].replace(/^\d+\+/, '') === handle);
+  }
+
+  // Rolls ownership, churn and risk up from authors to teams. A file belongs to
+  // the team holding most of its commits (or lines); churn counts lines changed
+  // in the team's files over the last `days`. Teams are coupled by import edges
+  // and co-changes between their files: Conway's law says they must coordinate.
+  // Co-changing files are the pairs the coupling report finds at file level.
+  async analyzeTeams(files, options = {}) {
+    const { source, unit } = getOwnershipMeasure(options.mode);
+    const since = options.days > 0
+      ? new Date(await this.gitAnalyzer.getReferenceTime() - options.days * 24 * 60 * 60 * 1000)
+      : null;
+    const resolveTeam = await this._createTeamLookup();
+    const toRelative = filePath => path.relative(this.repoPath, filePath).replace(/\\/g, '/');
+    const churns = await this._processWithConcurrency(
+      files,
+      file => this.gitAnalyzer.getFileChurn(file.path, { since }),
+      GIT_CONCURRENCY_LIMIT
+    );
+
+    const teams = new Map();
+    const ensureTeam = team => {
+      if (!teams.has(team)) {
+        teams.set(team, { team, members: new Set(), filesOwned: 0, amount: 0, churn: 0, totalRisk: 0, maxRisk: 0 });
+      }
+      return teams.get(team);
+    };
+    const fileTeams = new Map();
+
+    files.forEach((file, i) => {
+      const amounts = new Map();
+      (file[source]?.contributors || []).forEach(contributor => {
+        const team = resolveTeam(contributor.author);
+        const entry = ensureTeam(team);
+        entry.members.add(contributor.author);
+        entry.amount += contributor[unit];
+        amounts.set(team, (amounts.get(team) || 0) + contributor[unit]);
+      });
+      const [owner] = Array.from(amounts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+      if (!owner) {
+        return;
+      }
+
+      const riskScore = this.calculateRiskScore(file);
+      const entry = ensureTeam(owner[0]);
+      entry.filesOwned++;
+      entry.churn += churns[i].churn;
+      entry.totalRisk += riskScore;
+      entry.maxRisk = Math.max(entry.maxRisk, riskScore);
+      fileTeams.set(toRelative(file.path), owner[0]);
+    });
+
+    const pairs = new Map();
+    const couple = (fromFile, toFile, kind) => {
+      const teamsInvolved = [fileTeams.get(fromFile), fileTeams.get(toFile)];
+      if (!teamsInvolved[0] || !teamsInvolved[1] || teamsInvolved[0] === teamsInvolved[1]) {
+        return;
+      }
+      teamsInvolved.sort();
+      const key = teamsInvolved.join('\n');
+      const pair = pairs.get(key) || { teams: teamsInvolved, imports: 0, coChanges: 0 };
+      pair[kind]++;
+      pairs.set(key, pair);
+    };
+
+    files.forEach(file => {
+      (file.callGraphInfo?.calls || []).forEach(target => couple(toRelative(file.path), toRelative(target), 'imports'));
+    });
+    if (options.includeCoChange !== false) {
+      const { pairs: coupledPairs } = await this.analyzeTemporalCoupling(files, {
+        level: 'file',
+        maxFilesPerCommit: options.maxFilesPerCommit
+      });
+      coupledPairs.forEach(pair => couple(pair.modules[0], pair.modules[1], 'coChanges'));
+    }
+
+    const totalAmount = Array.from(teams.values()).reduce((sum, team) => sum + team.amount, 0);
+    return {
+      teams: Array.from(teams.values())
+        .map(team => ({
+          team: team.team,
+          members: Array.from(team.members).sort(),
+          filesOwned: team.filesOwned,
+          [unit]: roundWeight(team.amount),
+          share: totalAmount > 0 ? Math.round(team.amount / totalAmount * 100) / 100 : 0,
+          churn: team.churn,
+          averageRisk: team.filesOwned > 0 ? roundScore(team.totalRisk / team.filesOwned) : 0,
+          maxRisk: team.maxRisk
+        }))
+        .sort((a, b) => b.filesOwned - a.filesOwned || b.share - a.share || a.team.localeCompare(b.team)),
+      coupling: Array.from(pairs.values())
+        .map(pair => ({ ...pair, total: pair.imports + pair.coChanges }))
+        .sort((a, b) => b.total - a.total || a.teams.join().localeCompare(b.teams.join()))
+    };
+  }
+
+  async _createTeamLookup() {
+    const resolveTeam = createTeamResolver(this.config.teams);
+    const authorEmails = await this.gitAnalyzer.getAuthorEmails();
+    return author => resolveTeam(author, authorEmails.get(author) || []) || UNASSIGNED_TEAM;
+  }
+
+  // Repo-wide temporal coupling between files, directories or features. Two
+  // modules' coupling is the commits they share over their average commit count;
+  // a module's sum of coupling adds up every commit it shares with any other
+  // module, ranking the ones that rarely change alone. A coupled pair with no
+  // import edge between its files is a hidden dependency.
+  async analyzeTemporalCoupling(files, options = {}) {
+    const level = options.level || 'file';
+    if (!COUPLING_LEVELS.includes(level)) {
+      throw new Error(`Unknown coupling level "${level}". Use one of: ${COUPLING_LEVELS.join(', ')}`);
+    }
+    const maxFilesPerCommit = typeof options.maxFilesPerCommit === 'number' ? options.maxFilesPerCommit : 30;
+    const minSharedCommits = options.minSharedCommits > 0 ? options.minSharedCommits : 2;
+    const minCoupling = typeof options.minCoupling === 'number' ? options.minCoupling : 0.3;
+    const toRelative = filePath => path.relative(this.repoPath, filePath).replace(/\\/g, '/');
+
+    const moduleOf = new Map();
+    if (level === 'feature') {
+      this.identifyFeatures(files).forEach(feature => {
+        feature.files.forEach(filePath => moduleOf.set(toRelative(filePath), feature.name));
+      });
+    } else {
+      files.forEach(file => {
+        const relativePath = toRelative(file.path);
+        moduleOf.set(relativePath, level === 'file' ? relativePath : path.posix.dirname(relativePath));
+      });
+    }
+
+    const coChanges = await this.gitAnalyzer.getCoChanges({
+      maxFilesPerCommit,
+      mapFile: filePath => moduleOf.get(filePath) || null
+    });
+
+    const importEdges = new Set();
+    files.forEach(file => {
+      const from = moduleOf.get(toRelative(file.path));
+      (file.callGraphInfo?.calls || []).forEach(target => {
+        const to = moduleOf.get(toRelative(target));
+        if (from && to && from !== to) {
+          importEdges.add([from, to].sort().join('\n'));
+        }
+      });
+    });
+
+    const sumOfCoupling = new Map();
+    coChanges.pairs.forEach(pair => {
+      pair.modules.forEach(module => sumOfCoupling.set(module, (sumOfCoupling.get(module) || 0) + pair.sharedCommits));
+    });
+
+    const pairs = coChanges.pairs
+      .map(pair => {
+        const [first, second] = pair.modules;
+        const averageRevisions = (coChanges.revisions.get(first) + coChanges.revisions.get(second)) / 2;
+        return {
+          modules: pair.modules,
+          sharedCommits: pair.sharedCommits,
+          coupling: Math.round(pair.sharedCommits / averageRevisions * 100) / 100,
+          hidden: !importEdges.has(pair.modules.join('\n'))
+        };
+      })
+      .filter(pair => pair.sharedCommits >= minSharedCommits && pair.coupling >= minCoupling)
+      .sort((a, b) => b.coupling - a.coupling || b.sharedCommits - a.sharedCommits ||
+        a.modules.join().localeCompare(b.modules.join()));
+
+    const coupledModules = new Map();
+    pairs.forEach(pair => {
+      pair.modules.forEach(module => coupledModules.set(module, (coupledModules.get(module) || 0) + 1));
+    });
+
+    return {
+      level,
+      maxFilesPerCommit,
+      commitsAnalyzed: coChanges.commitsAnalyzed,
+      commitsSkipped: coChanges.commitsSkipped,
+      modules: Array.from(sumOfCoupling.entries())
+        .map(([module, total]) => ({
+          module,
+          revisions: coChanges.revisions.get(module),
+          sumOfCoupling: total,
+          coupledModules: coupledModules.get(module) || 0
+        }))
+        .sort((a, b) => b.sumOfCoupling - a.sumOfCoupling || a.module.localeCompare(b.module)),
+      pairs
+    };
+  }
+
+  // Architectural changes between two analyses (live, or loaded from
+  // `analyze --format json`); paths are compared relative to each repository
+  compareAnalyses(base, head, options = {}) {
+    const minRiskDelta = typeof options.minRiskDelta === 'number' ? options.minRiskDelta : 1;
+    const baseView = this._createComparisonView(base);
+    const headView = this._createComparisonView(head);
+    const added = (before, after) => Array.from(after.keys()).filter(key => !before.has(key)).sort();
+    const removed = (before, after) => added(after, before);
+
+    const keptFiles = Array.from(headView.files.keys()).filter(filePath => baseView.files.has(filePath)).sort();
+    const ownershipShifts = keptFiles
+      .map(filePath => ({
+        path: filePath,
+        from: baseView.files.get(filePath).primary,
+        to: headView.files.get(filePath).primary
+      }))
+      .filter(shift => shift.from !== shift.to && shift.from !== 'Unknown' && shift.to !== 'Unknown');
+    const riskChanges = keptFiles
+      .map(filePath => {
+        const before = baseView.files.get(filePath).riskScore;
+        const after = headView.files.get(filePath).riskScore;
+        return { path: filePath, before, after, delta: roundScore(after - before) };
+      })
+      .filter(change => Math.abs(change.delta) >= minRiskDelta)
+      .sort((a, b) => b.delta - a.delta || a.path.localeCompare(b.path));
+
+    const toEdge = key => {
+      const [from, to] = key.split('\n');
+      return { from, to };
+    };
+    const toCycle = view => key => view.cycles.get(key);
+
+    return {
+      files: {
+        added: added(baseView.files, headView.files),
+        removed: removed(baseView.files, headView.files)
+      },
+      edges: {
+        added: added(baseView.edges, headView.edges).map(toEdge),
+        removed: removed(baseView.edges, headView.edges).map(toEdge)
+      },
+      cycles: {
+        added: added(baseView.cycles, headView.cycles).map(toCycle(headView)),
+        removed: removed(baseView.cycles, headView.cycles).map(toCycle(baseView))
+      },
+      deadFiles: {
+        added: added(baseView.deadFiles, headView.deadFiles),
+        removed: removed(baseView.deadFiles, headView.deadFiles)
+      },
+      ownershipShifts,
+      riskChanges,
+      averageRisk: {
+        before: baseView.averageRisk,
+        after: headView.averageRisk,
+        delta: roundScore(headView.averageRisk - baseView.averageRisk)
+      }
+    };
+  }
+
+  _createComparisonView(analysis) {
+    const root = analysis.repository || this.repoPath;
+    const toRelative = filePath => path.relative(root, filePath).replace(/\\/g, '/');
+    const ownerSource = analysis.ownershipMode === 'lines' ? 'lineOwnership' : 'ownership';
+
+    const files = new Map();
+    (analysis.files || []).forEach(file => {
+      files.set(toRelative(file.path), {
+        primary: file[ownerSource]?.primary || 'Unknown',
+        riskScore: this.calculateRiskScore(file)
+      });
+    });
+
+    const edges = new Map();
+    Object.entries(analysis.callGraph || {}).forEach(([from, node]) => {
+      (node.calls || []).forEach(to => {
+        edges.set(`${toRelative(from)}\n${toRelative(to)}`, true);
+      });
+    });
+
+    // A cycle is identified by its members, so a grown cycle reads as one
+    // removed and one added
+    const cycles = new Map();
+    (analysis.cycles || []).forEach(cycle => {
+      const members = cycle.files.map(toRelative).sort();
+      cycles.set(members.join('\n'), { files: members, size: members.length });
+    });
+
+    const deadFiles = new Map((analysis.deadCode || []).map(file => [toRelative(file.path), true]));
+    const scores = Array.from(files.values()).map(file => file.riskScore);
+    const averageRisk = scores.length > 0
+      ? roundScore(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+      : 0;
+
+    return { files, edges, cycles, deadFiles, averageRisk };
+  }
+
+  // Churn × complexity, after "Your Code as a Crime Scene": files that are both
+  // hard to read and constantly edited are where defects concentrate
+  async calculateHotspots(files, options = {}) {
+    const since = options.days > 0
+      ? new Date(await this.gitAnalyzer.getReferenceTime() - options.days * 24 * 60 * 60 * 1000)
+      : null;
+
+    const hotspots = await this._processWithConcurrency(
+      files,
+      async (file) => {
+        const churn = await this.gitAnalyzer.getFileChurn(file.path, { since });
+        return {
+          path: path.relative(this.repoPath, file.path).replace(/\\/g, '/'),
+          complexity: file.complexity || 0,
+          lines: file.lines || 0,
+          commits: churn.commits,
+          added: churn.added,
+          deleted: churn.deleted,
+          churn: churn.churn,
+          score: churn.churn * (file.complexity || 0)
+        };
+      },
+      GIT_CONCURRENCY_LIMIT
+    );
+
+    return hotspots
+      .filter(hotspot => hotspot.score > 0)
+      .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  }
+
   calculateRiskScore(file) {
-    let score = 0;
-    
-    if (file.complexity > 20) score += 3;
-    else if (file.complexity > 10) score += 2;
-    else if (file.complexity > 5) score += 1;
-    
-    if (file.lines > 500) score += 3;
-    else if (file.lines > 300) score += 2;
-    else if (file.lines > 150) score += 1;
-    
-    if (file.changeFrequency > 0.5) score += 3;
-    else if (file.changeFrequency > 0.2) score += 2;
-    else if (file.changeFrequency > 0.1) score += 1;
-    
-    const contributorCount = file.ownership?.contributors?.length || 0;
-    if (contributorCount > 10) score += 2;
-    else if (contributorCount > 5) score += 1;
-    
-    const incomingDeps = file.callGraphInfo?.calledBy?.length || 0;
-    if (incomingDeps > 10) score += 3;
-    else if (incomingDeps > 5) score += 2;
-    else if (incomingDeps > 2) score += 1;
-    
-    return score;
+    return this.explainRiskScore(file).score;
+  }
+
+  explainRiskScore(file) {
+    const weights = this.config.riskWeights || {};
+    const bands = this.getRiskBands();
+
+    const factors = Object.entries(RISK_FACTOR_VALUES).map(([factor, getValue]) => {
+      const value = getValue(file);
+      const band = bands[factor].find(candidate => value > candidate.above) || null;
+      const points = band ? band.points : 0;
+      const weight = weights[factor] ?? 1;
+
+      return {
+        factor,
+        value,
+        above: band ? band.above : null,
+        points,
+        weight,
+        contribution: roundScore(points * weight)
+      };
+    });
+
+    return {
+      score: roundScore(factors.reduce((total, factor) => total + factor.points * factor.weight, 0)),
+      factors
+    };
+  }
+
+  // Percentile mode ranks each factor against the other analyzed files, so
+  // scores run 0-100 whatever the size of the repository
+  explainRiskScores(files, mode = 'absolute') {
+    if (!RISK_MODES.includes(mode)) {
+      throw new Error(`Unknown risk mode "${mode}". Use one of: ${RISK_MODES.join(', ')}`);
+    }
+    if (mode === 'absolute') {
+      return files.map(file => this.explainRiskScore(file));
+    }
+
+    const weights = this.config.riskWeights || {};
+    const totalWeight = Object.keys(RISK_FACTOR_VALUES)
+      .reduce((total, factor) => total + (weights[factor] ?? 1), 0);
+    const sortedValues = Object.fromEntries(Object.entries(RISK_FACTOR_VALUES).map(([factor, getValue]) => [
+      factor,
+      files.map(getValue).sort((a, b) => a - b)
+    ]));
+
+    return files.map(file => {
+      const factors = Object.entries(RISK_FACTOR_VALUES).map(([factor, getValue]) => {
+        const value = getValue(file);
+        const percentile = getPercentile(sortedValues[factor], value);
+        const weight = weights[factor] ?? 1;
+
+        return {
+          factor,
+          value,
+          percentile,
+          weight,
+          contribution: totalWeight > 0 ? roundScore(percentile * weight / totalWeight) : 0
+        };
+      });
+      const weightedTotal = factors.reduce((total, factor) => total + factor.percentile * factor.weight, 0);
+
+      return {
+        score: totalWeight > 0 ? roundScore(weightedTotal / totalWeight) : 0,
+        factors
+      };
+    });
+  }
+
+  getRiskBands() {
+    const configuredBands = this.config.riskBands || {};
+    return Object.fromEntries(Object.keys(DEFAULT_RISK_BANDS).map(factor => [
+      factor,
+      [...(configuredBands[factor] || DEFAULT_RISK_BANDS[factor])].sort((a, b) => b.above - a.above)
+    ]));
   }
 
   categorizeFiles(files) {
@@ -187,6 +1199,10 @@ class RepositoryAnalyzer {
   }
 
   identifyFeatures(files) {
+    if (this.config.features && Object.keys(this.config.features).length > 0) {
+      return this.identifyConfiguredFeatures(files, this.config.features);
+    }
+
     const features = new Map();
     
     files.forEach(file => {
@@ -216,6 +1232,49 @@ class RepositoryAnalyzer {
       files
     }));
   }
+
+  identifyConfiguredFeatures(files, featureDefinitions) {
+    const features = new Map(Object.keys(featureDefinitions).map(name => [name, []]));
+
+    files.forEach(file => {
+      const relativePath = path.relative(this.repoPath, file.path).replace(/\\/g, '/');
+      const match = Object.entries(featureDefinitions)
+        .find(([, patterns]) => matchesAnyGlob(relativePath, patterns));
+      if (match) {
+        features.get(match[0]).push(file.path);
+      }
+    });
+
+    return Array.from(features.entries())
+      .filter(([, featureFiles]) => featureFiles.length > 0)
+      .map(([name, featureFiles]) => ({
+        name,
+        fileCount: featureFiles.length,
+        files: featureFiles
+      }));
+  }
+}
+
+// Share of the other files with a strictly lower value, so ties and
+// factors every file shares (e.g. no cycles) do not inflate the score
+function getPercentile(sortedValues, value) {
+  if (sortedValues.length <= 1) {
+    return 0;
+  }
+
+  let low = 0;
+  let high = sortedValues.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedValues[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+
+  return roundScore(low / (sortedValues.length - 1) * 100);
+}
+
+function roundScore(score) {
+  return Math.round(score * 10) / 10;
 }
 
-module.exports = { RepositoryAnalyzer };
+module.exports = { RepositoryAnalyzer, DEFAULT_RISK_BANDS };
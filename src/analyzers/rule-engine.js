@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { matchesAnyGlob } = require('../utils/glob');
+
+const RULES_FILE_CANDIDATES = ['repo-archaeologist.rules.json', 'repo-archaeologist.rules.js'];
+const RULE_SEVERITIES = ['error', 'warn'];
+
+class RuleEngine {
+  constructor(repoPath, rules = []) {
+    this.repoPath = path.resolve(repoPath);
+    this.rules = rules.map((rule, i) => this.normalizeRule(rule, i));
+  }
+
+  static findRulesFile(repoPath, rulesPath) {
+    if (rulesPath) {
+      const resolved = path.resolve(rulesPath);
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`Rules file not found: ${rulesPath}`);
+      }
+      return resolved;
+    }
+
+    for (const candidate of RULES_FILE_CANDIDATES) {
+      const candidatePath = path.join(repoPath, candidate);
+      if (fs.existsSync(candidatePath)) {
+        return candidatePath;
+      }
+    }
+
+    return null;
+  }
+
+  static loadRules(rulesFile) {
+    let config;
+    try {
+      if (rulesFile.endsWith('.js') || rulesFile.endsWith('.cjs')) {
+        delete require.cache[require.resolve(rulesFile)];
+        config = require(rulesFile);
+      } else {
+        config = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+      }
+    } catch (error) {
+      throw new Error(`Could not read rules file ${rulesFile}: ${error.message}`);
+    }
+
+    const rules = Array.isArray(config) ? config : config && config.rules;
+    if (!Array.isArray(rules)) {
+      throw new Error(`Rules file ${rulesFile} must define a "rules" array`);
+    }
+
+    return rules;
+  }
+
+  normalizeRule(rule, index) {
+    const label = rule && rule.name ? `"${rule.name}"` : `#${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Invalid rule ${label}: expected an object`);
+    }
+
+    const from = toPatternList(rule.from);
+    const allow = rule.allow === undefined ? null : toPatternList(rule.allow);
+    const disallow = toPatternList(rule.disallow);
+    const severity = rule.severity || 'error';
+
+    if (from.length === 0) {
+      throw new Error(`Invalid rule ${label}: "from" is required`);
+    }
+    if (!allow && disallow.length === 0) {
+      throw new Error(`Invalid rule ${label}: one of "allow" or "disallow" is required`);
+    }
+    if (!RULE_SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid rule ${label}: severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+    }
+
+    return {
+      name: rule.name || `rule-${index + 1}`,
+      description: rule.description || '',
+      from,
+      allow,
+      disallow,
+      severity
+    };
+  }
+
+  evaluate(analyses, callGraph, staticAnalyzer) {
+    const violations = [];
+    let edgesChecked = 0;
+
+    analyses.forEach(analysis => {
+      const fromPath = this.toRelative(analysis.path);
+
+      analysis.imports.forEach(importPath => {
+        const resolvedPath = staticAnalyzer.resolveImportPath(analysis.path, importPath);
+        if (!resolvedPath || !callGraph[resolvedPath]) {
+          return;
+        }
+
+        edgesChecked++;
+        const toPath = this.toRelative(resolvedPath);
+
+        this.rules.forEach(rule => {
+          if (!matchesAnyGlob(fromPath, rule.from)) return;
+
+          const reason = this.getViolationReason(rule, toPath);
+          if (reason) {
+            violations.push({
+              rule: rule.name,
+              severity: rule.severity,
+              file: fromPath,
+              importPath,
+              target: toPath,
+              reason
+            });
+          }
+        });
+      });
+    });
+
+    return {
+      rulesChecked: this.rules.length,
+      edgesChecked,
+      violations,
+      errorCount: violations.filter(v => v.severity === 'error').length,
+      warningCount: violations.filter(v => v.severity === 'warn').length
+    };
+  }
+
+  getViolationReason(rule, toPath) {
+    if (matchesAnyGlob(toPath, rule.disallow)) {
+      return 'target matches a disallowed pattern';
+    }
+
+    // Files within the rule's own layer may always import each other
+    if (rule.allow && !matchesAnyGlob(toPath, rule.from) && !matchesAnyGlob(toPath, rule.allow)) {
+      return 'target is not in the allowed list';
+    }
+
+    return null;
+  }
+
+  toRelative(filePath) {
+    return path.relative(this.repoPath, filePath).replace(/\\/g, '/');
+  }
+}
+
+function toPatternList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .filter(pattern => typeof pattern === 'string' && pattern.trim().length > 0);
+}
+
+module.exports = { RuleEngine, RULES_FILE_CANDIDATES };
@@ -2,6 +2,8 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const { isAstLanguage, extractAstData } = require('../utils/ast-extractor');
+const { matchesAnyGlob } = require('../utils/glob');
+const { GitTreeSource, isBareRepository } = require('./git-tree-source');
 
 class StaticAnalyzer {
   constructor(repoPath) {
@@ -43,6 +45,7 @@ class StaticAnalyzer {
       }
     };
     this.pathResolutionConfig = this.loadPathResolutionConfig();
+    this.blobAnalysisCache = new Map();
   }
 
   loadPathResolutionConfig() {
@@ -235,6 +238,14 @@ class StaticAnalyzer {
   async analyzeFile(filePath) {
     try {
       const content = await fs.readFile(filePath, 'utf-8');
+      return this.analyzeContent(filePath, content);
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  analyzeContent(filePath, content) {
+    try {
       const ext = path.extname(filePath);
       const language = this.detectLanguage(ext);
       
@@ -255,6 +266,11 @@ class StaticAnalyzer {
         functions: extractedData.functions,
         classes: extractedData.classes,
         exports: extractedData.exports,
+        importBindings: extractedData.importBindings || [],
+        reExports: extractedData.reExports || [],
+        symbolCalls: extractedData.symbolCalls || [],
+        namespaceUsages: extractedData.namespaceUsages || [],
+        dynamicImports: extractedData.dynamicImports || [],
         complexity: this.calculateComplexity(content)
       };
 
@@ -356,16 +372,12 @@ class StaticAnalyzer {
     return complexity;
   }
 
-  async analyzeDirectory(dirPath, ignorePatterns = ['node_modules', '.git', 'dist', 'build', 'coverage']) {
-    const analyses = [];
-    const self = this;
-    const visitedDirs = new Set();
-    const rootDir = path.resolve(dirPath);
+  createIgnoreMatcher(rootDir, ignorePatterns) {
     const normalizedPatterns = ignorePatterns
       .map(pattern => pattern.replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '').toLowerCase())
       .filter(Boolean);
 
-    function shouldIgnore(entryName, fullPath) {
+    return function shouldIgnore(entryName, fullPath) {
       const normalizedEntryName = entryName.toLowerCase();
       const relativePath = path.relative(rootDir, fullPath).replace(/\\/g, '/').toLowerCase();
       const relativeParts = relativePath.split('/');
@@ -376,7 +388,16 @@ class StaticAnalyzer {
         if (relativePath.startsWith(`${pattern}/`)) return true;
         return relativeParts.includes(pattern);
       });
-    }
+    };
+  }
+
+  async analyzeDirectory(dirPath, ignorePatterns = ['node_modules', '.git', 'dist', 'build', 'coverage']) {
+    const analyses = [];
+    const self = this;
+    const visitedDirs = new Set();
+    const rootDir = path.resolve(dirPath);
+    const shouldIgnore = this.createIgnoreMatcher(rootDir, ignorePatterns);
+    this.revisionFiles = null;
 
     async function walk(dir) {
       // Symlink cycle detection via realpath
@@ -423,6 +444,51 @@ class StaticAnalyzer {
     return analyses;
   }
 
+  // Analyzes the files committed at `rev` instead of the working copy, so static
+  // metrics line up with a history window on another branch or tag. Import
+  // resolution then only sees files that exist in that tree.
+  async analyzeRevision(rev, ignorePatterns = ['node_modules', '.git', 'dist', 'build', 'coverage']) {
+    const source = new GitTreeSource(this.repoPath, rev);
+    const rootDir = path.resolve(this.repoPath);
+    const shouldIgnore = this.createIgnoreMatcher(rootDir, ignorePatterns);
+    const entries = await source.listFiles();
+    this.revisionFiles = new Set(entries.map(entry => path.join(rootDir, entry.path)));
+
+    const sourceEntries = entries.filter(entry => {
+      const fullPath = path.join(rootDir, entry.path);
+      return !shouldIgnore(path.basename(fullPath), fullPath) && this.detectLanguage(path.extname(entry.path));
+    });
+
+    // Blobs are immutable, so a blob analyzed at an earlier revision is reused
+    // instead of being read and parsed again
+    const blobKey = entry => `${entry.object}${path.extname(entry.path)}`;
+    const contents = await source.readFiles(sourceEntries.filter(entry => !this.blobAnalysisCache.has(blobKey(entry))));
+
+    return sourceEntries
+      .map(entry => {
+        const fullPath = path.join(rootDir, entry.path);
+        const key = blobKey(entry);
+        if (!this.blobAnalysisCache.has(key)) {
+          if (!contents.has(entry.path)) return null;
+          this.blobAnalysisCache.set(key, this.analyzeContent(fullPath, contents.get(entry.path)));
+        }
+        const cached = this.blobAnalysisCache.get(key);
+        return cached ? { ...cached, path: fullPath } : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Bare repositories have no working tree, so they are read at HEAD
+  async analyzeRepository(ignorePatterns, { rev = null } = {}) {
+    if (rev) {
+      return this.analyzeRevision(rev, ignorePatterns);
+    }
+    if (await isBareRepository(this.repoPath)) {
+      return this.analyzeRevision('HEAD', ignorePatterns);
+    }
+    return this.analyzeDirectory(this.repoPath, ignorePatterns);
+  }
+
   buildCallGraph(analyses) {
     const callGraph = {};
     const fileMap = new Map();
@@ -448,6 +514,249 @@ class StaticAnalyzer {
     return callGraph;
   }
 
+  detectCycles(callGraph) {
+    const nodes = Object.keys(callGraph);
+    const indexMap = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let nextIndex = 0;
+
+    const getEdges = (node) => [...new Set(callGraph[node].calls)].filter(target => callGraph[target]);
+
+    // Iterative Tarjan's algorithm so deep import chains cannot overflow the call stack
+    nodes.forEach((root) => {
+      if (indexMap.has(root)) return;
+
+      const work = [{ node: root, edges: null, edgeIndex: 0 }];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const { node } = frame;
+
+        if (frame.edges === null) {
+          indexMap.set(node, nextIndex);
+          lowLinks.set(node, nextIndex);
+          nextIndex++;
+          stack.push(node);
+          onStack.add(node);
+          frame.edges = getEdges(node);
+        }
+
+        if (frame.edgeIndex < frame.edges.length) {
+          const target = frame.edges[frame.edgeIndex++];
+          if (!indexMap.has(target)) {
+            work.push({ node: target, edges: null, edgeIndex: 0 });
+          } else if (onStack.has(target)) {
+            lowLinks.set(node, Math.min(lowLinks.get(node), indexMap.get(target)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].node;
+          lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(node)));
+        }
+
+        if (lowLinks.get(node) === indexMap.get(node)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== node);
+          components.push(component);
+        }
+      }
+    });
+
+    return components
+      .filter(component => component.length > 1 || getEdges(component[0]).includes(component[0]))
+      .map(component => {
+        const files = component.sort();
+        return {
+          files,
+          size: files.length,
+          shortestCycle: this.findShortestCycle(callGraph, new Set(files))
+        };
+      })
+      .sort((a, b) => b.size - a.size || a.files[0].localeCompare(b.files[0]));
+  }
+
+  findShortestCycle(callGraph, members) {
+    let shortest = null;
+
+    members.forEach((start) => {
+      const previous = new Map([[start, null]]);
+      const distance = new Map([[start, 0]]);
+      const queue = [start];
+      let closingNode = null;
+
+      for (let i = 0; i < queue.length && !closingNode; i++) {
+        const current = queue[i];
+        // A cycle through `start` found from here could not beat the best one so far
+        if (shortest && distance.get(current) + 1 >= shortest.length - 1) break;
+
+        for (const target of callGraph[current].calls) {
+          if (target === start) {
+            closingNode = current;
+            break;
+          }
+          if (members.has(target) && !previous.has(target)) {
+            previous.set(target, current);
+            distance.set(target, distance.get(current) + 1);
+            queue.push(target);
+          }
+        }
+      }
+
+      if (!closingNode) return;
+
+      const cycle = [start];
+      for (let node = closingNode; node !== start; node = previous.get(node)) {
+        cycle.splice(1, 0, node);
+      }
+      cycle.push(start);
+      shortest = cycle;
+    });
+
+    return shortest || [];
+  }
+
+  createResolutionContext(analyses) {
+    const fileMap = new Map();
+    const resolvedImports = new Map();
+
+    analyses.forEach(analysis => {
+      fileMap.set(analysis.path, analysis);
+    });
+
+    const resolveImport = (fromFile, importPath) => {
+      const key = `${fromFile}\0${importPath}`;
+      if (!resolvedImports.has(key)) {
+        const resolvedPath = this.resolveImportPath(fromFile, importPath);
+        resolvedImports.set(key, resolvedPath && fileMap.has(resolvedPath) ? resolvedPath : null);
+      }
+      return resolvedImports.get(key);
+    };
+
+    return { fileMap, resolveImport };
+  }
+
+  buildSymbolGraph(analyses) {
+    const symbolGraph = {};
+    const context = this.createResolutionContext(analyses);
+    const { resolveImport } = context;
+
+    const ensureNode = (filePath, symbol) => {
+      const id = `${filePath}#${symbol}`;
+      if (!symbolGraph[id]) {
+        symbolGraph[id] = {
+          file: filePath,
+          symbol,
+          calls: [],
+          calledBy: []
+        };
+      }
+      return id;
+    };
+
+    analyses.forEach(analysis => {
+      (analysis.exports || [])
+        .filter(name => name !== '*')
+        .forEach(name => ensureNode(analysis.path, name));
+    });
+
+    analyses.forEach(analysis => {
+      (analysis.symbolCalls || []).forEach(call => {
+        const targetFile = resolveImport(analysis.path, call.source);
+        if (!targetFile) return;
+
+        const target = this.resolveImportedSymbol(targetFile, call.imported, call.member, context);
+        if (!target) return;
+
+        const callerId = ensureNode(analysis.path, call.caller || '<module>');
+        const targetId = ensureNode(target.file, target.symbol);
+        if (callerId === targetId || symbolGraph[callerId].calls.includes(targetId)) return;
+
+        symbolGraph[callerId].calls.push(targetId);
+        symbolGraph[targetId].calledBy.push(callerId);
+      });
+    });
+
+    return symbolGraph;
+  }
+
+  resolveImportedSymbol(targetFile, imported, member, context) {
+    const { fileMap } = context;
+    const exports = fileMap.get(targetFile)?.exports || [];
+    const getWholeModuleExport = () => {
+      const resolvedDefault = this.resolveExportedSymbol(targetFile, 'default', null, context);
+      if (resolvedDefault) return resolvedDefault;
+
+      // CommonJS `module.exports = X` is recorded as a single named export
+      const namedExports = exports.filter(name => name !== '*');
+      return namedExports.length === 1
+        ? { file: targetFile, symbol: namedExports[0] }
+        : null;
+    };
+
+    if (imported === '*') {
+      if (member) {
+        return this.resolveExportedSymbol(targetFile, member, null, context) || getWholeModuleExport();
+      }
+      return getWholeModuleExport();
+    }
+
+    if (imported === 'default' && !exports.includes('default')) {
+      // Default import of a CommonJS module: members are the module's exports
+      return (member && this.resolveExportedSymbol(targetFile, member, null, context)) ||
+        getWholeModuleExport();
+    }
+
+    return this.resolveExportedSymbol(targetFile, imported, member, context);
+  }
+
+  resolveExportedSymbol(filePath, name, member, context, visited = new Set()) {
+    const { fileMap, resolveImport } = context;
+    const analysis = fileMap.get(filePath);
+    const visitKey = `${filePath}#${name}`;
+    if (!analysis || visited.has(visitKey)) {
+      return null;
+    }
+    visited.add(visitKey);
+
+    const reExports = analysis.reExports || [];
+    const reExport = reExports.find(entry => entry.exported === name);
+    if (reExport) {
+      const sourceFile = resolveImport(filePath, reExport.source);
+      if (!sourceFile) return null;
+
+      if (reExport.imported === '*') {
+        return member
+          ? this.resolveExportedSymbol(sourceFile, member, null, context, visited)
+          : null;
+      }
+      return this.resolveExportedSymbol(sourceFile, reExport.imported, member, context, visited);
+    }
+
+    if ((analysis.exports || []).includes(name)) {
+      return { file: filePath, symbol: name };
+    }
+
+    for (const entry of reExports.filter(item => item.exported === '*')) {
+      const sourceFile = resolveImport(filePath, entry.source);
+      const resolved = sourceFile
+        ? this.resolveExportedSymbol(sourceFile, name, member, context, visited)
+        : null;
+      if (resolved) return resolved;
+    }
+
+    return null;
+  }
+
   resolveImportPath(fromFile, importPath) {
     const candidates = this.getImportCandidates(fromFile, importPath);
     for (const candidate of candidates) {
@@ -555,6 +864,9 @@ class StaticAnalyzer {
   }
 
   fileExists(filePath) {
+    if (this.revisionFiles) {
+      return this.revisionFiles.has(path.normalize(filePath));
+    }
     try {
       return fsSync.statSync(filePath).isFile();
     } catch (_error) {
@@ -567,7 +879,7 @@ class StaticAnalyzer {
     const deadFiles = [];
     
     analyses.forEach(analysis => {
-      if (!includeTests && this.isTestFile(analysis.path)) {
+      if (!includeTests && this.isTestFile(analysis.path, options.testPatterns)) {
         return;
       }
 
@@ -577,12 +889,8 @@ class StaticAnalyzer {
       
       const isReferenced = graph.calledBy.length > 0;
       const hasExports = analysis.exports && analysis.exports.length > 0;
-      const baseName = path.basename(analysis.path, path.extname(analysis.path));
-      const isEntryPoint = baseName === 'index' ||
-                          baseName === 'main' ||
-                          baseName === 'app';
       
-      if (!isReferenced && !isEntryPoint && hasExports) {
+      if (!isReferenced && !this.isEntryPoint(analysis.path, options.entryPoints) && hasExports) {
         deadFiles.push({
           path: analysis.path,
           reason: 'No imports found from other files',
@@ -595,11 +903,177 @@ class StaticAnalyzer {
     return deadFiles;
   }
 
-  isTestFile(filePath) {
+  detectUnusedExports(analyses, callGraph, options = {}) {
+    const includeTests = Boolean(options.includeTests);
+    const context = this.createResolutionContext(analyses);
+    const { fileMap, resolveImport } = context;
+    const consumed = new Map();
+    const weakeners = new Map();
+
+    const addWeakener = (filePath, reason) => {
+      if (!weakeners.has(filePath)) weakeners.set(filePath, new Set());
+      weakeners.get(filePath).add(reason);
+    };
+
+    const markConsumed = (filePath, name, visited = new Set()) => {
+      const visitKey = `${filePath}#${name}`;
+      const analysis = fileMap.get(filePath);
+      if (!analysis || visited.has(visitKey)) return;
+      visited.add(visitKey);
+
+      if (!consumed.has(filePath)) consumed.set(filePath, new Set());
+      consumed.get(filePath).add(name);
+
+      const reExports = analysis.reExports || [];
+      const reExport = reExports.find(entry => entry.exported === name);
+      if (reExport) {
+        const sourceFile = resolveImport(filePath, reExport.source);
+        if (!sourceFile) return;
+
+        if (reExport.imported === '*') {
+          addWeakener(sourceFile, 'namespace');
+        } else {
+          markConsumed(sourceFile, reExport.imported, visited);
+        }
+        return;
+      }
+
+      if ((analysis.exports || []).includes(name)) return;
+
+      reExports
+        .filter(entry => entry.exported === '*')
+        .forEach(entry => {
+          const sourceFile = resolveImport(filePath, entry.source);
+          if (sourceFile && this.resolveExportedSymbol(sourceFile, name, null, context)) {
+            markConsumed(sourceFile, name, visited);
+          }
+        });
+    };
+
+    const markWholeModule = (filePath) => {
+      const target = this.resolveImportedSymbol(filePath, '*', null, context);
+      if (target) markConsumed(target.file, target.symbol);
+    };
+
+    analyses.forEach(analysis => {
+      const boundSources = new Set();
+
+      (analysis.importBindings || []).forEach(binding => {
+        boundSources.add(binding.source);
+        const targetFile = resolveImport(analysis.path, binding.source);
+        if (!targetFile) return;
+
+        const targetExports = fileMap.get(targetFile).exports || [];
+        if (binding.imported === '*' || (binding.imported === 'default' && !targetExports.includes('default'))) {
+          addWeakener(targetFile, 'namespace');
+        } else {
+          markConsumed(targetFile, binding.imported);
+        }
+      });
+
+      (analysis.namespaceUsages || []).forEach(usage => {
+        const targetFile = resolveImport(analysis.path, usage.source);
+        if (!targetFile) return;
+
+        const targetExports = fileMap.get(targetFile).exports || [];
+        if (usage.imported === 'default' && targetExports.includes('default')) return;
+
+        if (usage.member === '*') {
+          addWeakener(targetFile, 'escaped');
+        } else if (usage.member && this.resolveExportedSymbol(targetFile, usage.member, null, context)) {
+          markConsumed(targetFile, usage.member);
+        } else {
+          markWholeModule(targetFile);
+        }
+      });
+
+      (analysis.reExports || []).forEach(entry => boundSources.add(entry.source));
+
+      (analysis.dynamicImports || []).forEach(source => {
+        boundSources.add(source);
+        const targetFile = resolveImport(analysis.path, source);
+        if (targetFile) addWeakener(targetFile, 'dynamic');
+      });
+
+      (analysis.imports || [])
+        .filter(source => !boundSources.has(source))
+        .forEach(source => {
+          const targetFile = resolveImport(analysis.path, source);
+          if (targetFile) addWeakener(targetFile, 'unbound');
+        });
+    });
+
+    const unusedExports = [];
+
+    analyses.forEach(analysis => {
+      if (!includeTests && this.isTestFile(analysis.path, options.testPatterns)) return;
+      if (this.isEntryPoint(analysis.path, options.entryPoints)) return;
+
+      // Files nobody imports are already reported whole by detectDeadCode
+      const graph = callGraph[analysis.path];
+      if (!graph || graph.calledBy.length === 0) return;
+
+      const fileConsumed = consumed.get(analysis.path) || new Set();
+      const fileWeakeners = weakeners.get(analysis.path) || new Set();
+      const confidence = ['escaped', 'dynamic', 'unbound'].some(reason => fileWeakeners.has(reason))
+        ? 'low'
+        : fileWeakeners.has('namespace') ? 'medium' : 'high';
+
+      (analysis.exports || [])
+        .filter(name => name !== '*' && !fileConsumed.has(name))
+        .forEach(name => {
+          unusedExports.push({
+            path: analysis.path,
+            export: name,
+            reason: this.describeUnusedExport(fileWeakeners),
+            confidence
+          });
+        });
+    });
+
+    return unusedExports;
+  }
+
+  describeUnusedExport(weakeners) {
+    if (weakeners.has('dynamic')) {
+      return 'No consumers found; file is also loaded via dynamic import';
+    }
+    if (weakeners.has('escaped')) {
+      return 'No consumers found; a namespace import of this file is passed around';
+    }
+    if (weakeners.has('unbound')) {
+      return 'No consumers found; file is also imported without bindings';
+    }
+    if (weakeners.has('namespace')) {
+      return 'No consumers found among namespace member accesses';
+    }
+    return 'No other module imports this export';
+  }
+
+  isEntryPoint(filePath, patterns = []) {
+    if (matchesAnyGlob(this.toRepoRelativePath(filePath), patterns)) {
+      return true;
+    }
+
+    const baseName = path.basename(filePath, path.extname(filePath));
+    return baseName === 'index' ||
+      baseName === 'main' ||
+      baseName === 'app';
+  }
+
+  isTestFile(filePath, patterns = []) {
+    if (matchesAnyGlob(this.toRepoRelativePath(filePath), patterns)) {
+      return true;
+    }
+
     const normalizedPath = filePath.toLowerCase();
     return /(^|[\\/])(__tests__|tests?)([\\/]|$)/.test(normalizedPath) ||
       /\.(test|spec)\.[^./\\]+$/.test(normalizedPath);
   }
+
+  toRepoRelativePath(filePath) {
+    return path.relative(this.repoPath, filePath).replace(/\\/g, '/');
+  }
 }
 
 module.exports = { StaticAnalyzer };
@@ -1,15 +1,19 @@
 const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
 const fs = require('fs').promises;
+const path = require('path');
 const { loadCliDeps } = require('../utils/cli-deps');
 const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
 
-async function analyze(repoPath, options) {
+async function analyze(repoPath, cliOptions) {
   const { chalk, ora } = await loadCliDeps();
   const spinner = ora('Analyzing repository...').start();
   
   try {
-    const analyzer = new RepositoryAnalyzer(repoPath);
-    const analysis = await analyzer.analyze(getAnalyzerOptions(options));
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('analyze', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze(getAnalyzerOptions(options, config));
     
     spinner.succeed('Analysis complete!');
     
@@ -45,6 +49,8 @@ function displayTextAnalysis(analysis, chalk) {
   console.log(chalk.bold('Overview:'));
   console.log(`  Total Files: ${analysis.totalFiles}`);
   console.log(`  Dead Code Files: ${analysis.deadCode.length}`);
+  console.log(`  Unused Exports: ${analysis.unusedExports.length}`);
+  console.log(`  Import Cycles: ${analysis.cycles.length}`);
   console.log();
   
   console.log(chalk.bold('Languages:'));
@@ -70,6 +76,32 @@ function displayTextAnalysis(analysis, chalk) {
       console.log(`  ${chalk.gray(`... and ${analysis.deadCode.length - 10} more`)}`);
     }
   }
+
+  if (analysis.cycles.length > 0) {
+    console.log();
+    console.log(chalk.bold.yellow('Import Cycles:'));
+    analysis.cycles.slice(0, 10).forEach(cycle => {
+      const cyclePath = cycle.shortestCycle
+        .map(filePath => path.relative(analysis.repository, filePath))
+        .join(' → ');
+      console.log(`  ${chalk.yellow('⟳')} ${cycle.size} files: ${cyclePath}`);
+    });
+    if (analysis.cycles.length > 10) {
+      console.log(`  ${chalk.gray(`... and ${analysis.cycles.length - 10} more`)}`);
+    }
+  }
+
+  if (analysis.unusedExports.length > 0) {
+    console.log();
+    console.log(chalk.bold.yellow('Unused Exports:'));
+    analysis.unusedExports.slice(0, 10).forEach(entry => {
+      console.log(`  ${chalk.yellow('⚠')} ${entry.export} in ${entry.path} (${entry.confidence} confidence)`);
+      console.log(`     ${chalk.gray(entry.reason)}`);
+    });
+    if (analysis.unusedExports.length > 10) {
+      console.log(`  ${chalk.gray(`... and ${analysis.unusedExports.length - 10} more`)}`);
+    }
+  }
 }
 
 function formatTextAnalysis(analysis) {
@@ -79,7 +111,9 @@ function formatTextAnalysis(analysis) {
   
   output += 'Overview:\n';
   output += `  Total Files: ${analysis.totalFiles}\n`;
-  output += `  Dead Code Files: ${analysis.deadCode.length}\n\n`;
+  output += `  Dead Code Files: ${analysis.deadCode.length}\n`;
+  output += `  Unused Exports: ${analysis.unusedExports.length}\n`;
+  output += `  Import Cycles: ${analysis.cycles.length}\n\n`;
   
   output += 'Languages:\n';
   Object.entries(analysis.languages).forEach(([lang, stats]) => {
@@ -92,6 +126,16 @@ function formatTextAnalysis(analysis) {
     output += `  ${i + 1}. ${contributor.author}\n`;
     output += `     Files: ${contributor.filesOwned}, Commits: ${contributor.totalCommits}\n`;
   });
+
+  if (analysis.cycles.length > 0) {
+    output += '\nImport Cycles:\n';
+    analysis.cycles.forEach(cycle => {
+      const cyclePath = cycle.shortestCycle
+        .map(filePath => path.relative(analysis.repository, filePath))
+        .join(' -> ');
+      output += `  ${cycle.size} files: ${cyclePath}\n`;
+    });
+  }
   
   return output;
 }
@@ -0,0 +1,253 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+async function busFactor(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Calculating bus factor...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('bus-factor', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze({
+      ...getAnalyzerOptions(options, config),
+      includeCoChange: false
+    });
+
+    const minShare = parseFloat(options.minShare);
+    const days = parseInt(options.days) || 180;
+    const departedAuthors = await analyzer.gitAnalyzer.getDepartedAuthors(days);
+    const busFactorOptions = {
+      mode: analysis.ownershipMode,
+      minShare: Number.isNaN(minShare) ? 0.2 : minShare,
+      departedAuthors: departedAuthors.map(author => author.author)
+    };
+    const result = analyzer.analyzeBusFactor(analysis.files, busFactorOptions);
+    const top = parseInt(options.top) || 20;
+
+    spinner.succeed('Bus factor calculation complete!');
+
+    const format = options.format || 'table';
+    if (format === 'json') {
+      const output = JSON.stringify({
+        repository: analysis.repository,
+        ownership: busFactorOptions.mode,
+        minShare: busFactorOptions.minShare,
+        days,
+        departedAuthors: busFactorOptions.departedAuthors,
+        truckFactor: result.repository,
+        features: result.features,
+        directories: result.directories,
+        singleOwnerFiles: result.singleOwnerFiles,
+        files: result.files,
+        generatedAt: new Date().toISOString()
+      }, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Bus factor saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const report = generateBusFactorReport(result, analysis.repository, top, days);
+      if (options.output) {
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`Bus factor saved to ${options.output}`));
+      } else {
+        console.log(report);
+      }
+    } else {
+      displayBusFactor(result, analysis.repository, top, days, chalk);
+      if (options.output) {
+        const report = generateBusFactorReport(result, analysis.repository, top, days);
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`\nBus factor saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Bus factor calculation failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatKeyAuthors(factor) {
+  return factor.keyAuthors.length > 0 ? factor.keyAuthors.join(', ') : 'Unknown';
+}
+
+function displayBusFactor(result, repoPath, top, days, chalk) {
+  console.log('\n' + chalk.bold.blue('=== Bus Factor ==='));
+  console.log(chalk.gray(`Repository: ${repoPath}`));
+  console.log(chalk.gray(`Active authors: commits in the last ${days} days`));
+  console.log();
+
+  const { repository } = result;
+  if (repository.fileCount === 0) {
+    console.log(chalk.yellow('No files with ownership history found.'));
+    return;
+  }
+
+  const factorColor = repository.truckFactor <= 1 ? chalk.red : repository.truckFactor === 2 ? chalk.yellow : chalk.green;
+  console.log(chalk.bold(`Truck factor: ${factorColor(String(repository.truckFactor))}`));
+  if (repository.inactiveFiles > 0) {
+    console.log(chalk.yellow(`${repository.inactiveFiles} of ${repository.fileCount} files are already orphaned: everyone who knows them is inactive`));
+  }
+  if (repository.truckFactor > 0) {
+    console.log(chalk.gray(`Losing ${formatKeyAuthors(repository)} would orphan ${repository.orphanedFiles} of ${repository.fileCount} files`));
+  }
+
+  if (result.features.length > 0) {
+    console.log('\n' + chalk.bold('By feature:'));
+    const table = new Table({
+      head: ['Feature', 'Files', 'Truck Factor', 'Key People'],
+      style: {
+        head: ['cyan']
+      }
+    });
+
+    result.features.forEach(feature => {
+      table.push([
+        feature.name,
+        feature.fileCount,
+        feature.truckFactor <= 1 ? chalk.red(String(feature.truckFactor)) : String(feature.truckFactor),
+        formatKeyAuthors(feature)
+      ]);
+    });
+    console.log(table.toString());
+  }
+
+  if (result.atRiskFeatures.length > 0) {
+    console.log(chalk.yellow(`\n⚠ ${result.atRiskFeatures.length} features depend on a single person or nobody active`));
+  }
+
+  if (result.directories.length > 0) {
+    console.log('\n' + chalk.bold('By directory:'));
+    const table = new Table({
+      head: ['Directory', 'Files', 'Truck Factor', 'Key People'],
+      style: {
+        head: ['cyan']
+      }
+    });
+
+    result.directories.slice(0, top).forEach(directory => {
+      table.push([
+        directory.directory,
+        directory.fileCount,
+        directory.truckFactor <= 1 ? chalk.red(String(directory.truckFactor)) : String(directory.truckFactor),
+        formatKeyAuthors(directory)
+      ]);
+    });
+    console.log(table.toString());
+    if (result.directories.length > top) {
+      console.log(chalk.gray(`  ... and ${result.directories.length - top} more directories`));
+    }
+  }
+
+  const orphanedFiles = result.files.filter(file => file.busFactor === 0);
+  if (orphanedFiles.length > 0) {
+    console.log('\n' + chalk.bold(`Files nobody active knows (${orphanedFiles.length}):`));
+    orphanedFiles.slice(0, top).forEach(file => {
+      console.log(`  ${chalk.red('•')} ${file.path} ${chalk.gray(`(${file.departedOwners.join(', ')})`)}`);
+    });
+    if (orphanedFiles.length > top) {
+      console.log(chalk.gray(`  ... and ${orphanedFiles.length - top} more files`));
+    }
+  }
+
+  const singleOwnerFiles = result.files.filter(file => file.busFactor === 1);
+  if (singleOwnerFiles.length > 0) {
+    console.log('\n' + chalk.bold(`Files known by one person (${singleOwnerFiles.length}):`));
+    singleOwnerFiles.slice(0, top).forEach(file => {
+      console.log(`  ${chalk.yellow('•')} ${file.path} ${chalk.gray(`(${file.owners[0]})`)}`);
+    });
+    if (singleOwnerFiles.length > top) {
+      console.log(chalk.gray(`  ... and ${singleOwnerFiles.length - top} more files`));
+    }
+  }
+}
+
+function generateBusFactorReport(result, repoPath, top, days) {
+  let report = '# Bus Factor Report\n\n';
+  report += `**Repository:** ${repoPath}\n`;
+  report += `**Active authors:** commits in the last ${days} days\n`;
+  report += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  const { repository } = result;
+  if (repository.fileCount === 0) {
+    report += 'No files with ownership history found.\n';
+    return report;
+  }
+
+  report += '## Repository\n\n';
+  report += `- **Truck factor:** ${repository.truckFactor}\n`;
+  report += `- **Key people:** ${formatKeyAuthors(repository)}\n`;
+  report += `- **Files already orphaned:** ${repository.inactiveFiles} of ${repository.fileCount}\n`;
+  report += `- **Files orphaned if they leave:** ${repository.orphanedFiles} of ${repository.fileCount}\n\n`;
+
+  if (result.features.length > 0) {
+    report += '## Features\n\n';
+    report += '| Feature | Files | Truck Factor | Key People |\n';
+    report += '|---------|-------|--------------|------------|\n';
+    result.features.forEach(feature => {
+      report += `| ${feature.name} | ${feature.fileCount} | ${feature.truckFactor} | ${formatKeyAuthors(feature)} |\n`;
+    });
+    report += '\n';
+  }
+
+  if (result.atRiskFeatures.length > 0) {
+    report += '## At-Risk Areas\n\n';
+    report += 'These features would be orphaned if one person left, or already are:\n\n';
+    result.atRiskFeatures.forEach(feature => {
+      report += `- **${feature.name}**: ${formatKeyAuthors(feature)} (${feature.fileCount} files)\n`;
+    });
+    report += '\n';
+  }
+
+  if (result.directories.length > 0) {
+    report += '## Directories\n\n';
+    report += '| Directory | Files | Truck Factor | Key People |\n';
+    report += '|-----------|-------|--------------|------------|\n';
+    result.directories.slice(0, top).forEach(directory => {
+      report += `| ${directory.directory} | ${directory.fileCount} | ${directory.truckFactor} | ${formatKeyAuthors(directory)} |\n`;
+    });
+    if (result.directories.length > top) {
+      report += `\n... and ${result.directories.length - top} more directories\n`;
+    }
+    report += '\n';
+  }
+
+  const orphanedFiles = result.files.filter(file => file.busFactor === 0);
+  if (orphanedFiles.length > 0) {
+    report += `## Files Nobody Active Knows (${orphanedFiles.length})\n\n`;
+    orphanedFiles.slice(0, top).forEach(file => {
+      report += `- ${file.path} (${file.departedOwners.join(', ')})\n`;
+    });
+    if (orphanedFiles.length > top) {
+      report += `- ... and ${orphanedFiles.length - top} more\n`;
+    }
+    report += '\n';
+  }
+
+  const singleOwnerFiles = result.files.filter(file => file.busFactor === 1);
+  if (singleOwnerFiles.length > 0) {
+    report += `## Files Known by One Person (${singleOwnerFiles.length})\n\n`;
+    singleOwnerFiles.slice(0, top).forEach(file => {
+      report += `- ${file.path} (${file.owners[0]})\n`;
+    });
+    if (singleOwnerFiles.length > top) {
+      report += `- ... and ${singleOwnerFiles.length - top} more\n`;
+    }
+    report += '\n';
+  }
+
+  report += '---\n\n';
+  report += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return report;
+}
+
+module.exports = { busFactor };
@@ -0,0 +1,121 @@
+const { StaticAnalyzer } = require('../analyzers/static-analyzer');
+const { RuleEngine, RULES_FILE_CANDIDATES } = require('../analyzers/rule-engine');
+const fs = require('fs').promises;
+const path = require('path');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+async function check(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Checking architecture rules...').start();
+  let hasErrors = false;
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('check', cliOptions, config);
+    const rootPath = path.resolve(repoPath);
+    const stat = await fs.stat(rootPath);
+    if (!stat.isDirectory()) {
+      throw new Error(`Not a directory: ${rootPath}`);
+    }
+
+    let rulesFile = RuleEngine.findRulesFile(rootPath, options.rules);
+    let rules;
+    if (rulesFile) {
+      rules = RuleEngine.loadRules(rulesFile);
+    } else if (config.rules) {
+      rulesFile = config.configFile;
+      rules = config.rules;
+    } else {
+      throw new Error(`No rules file found. Pass --rules <file>, add ${RULES_FILE_CANDIDATES.join(' or ')} to the repository root, or define "rules" in the project config`);
+    }
+
+    const engine = new RuleEngine(rootPath, rules);
+    const analyzerOptions = getAnalyzerOptions(options, config);
+    const staticAnalyzer = new StaticAnalyzer(rootPath);
+    const analyses = await staticAnalyzer.analyzeRepository(analyzerOptions.ignorePatterns, {
+      rev: analyzerOptions.rev
+    });
+    const callGraph = staticAnalyzer.buildCallGraph(analyses);
+    const result = engine.evaluate(analyses, callGraph, staticAnalyzer);
+    hasErrors = result.errorCount > 0;
+
+    if (hasErrors) {
+      spinner.fail(`Architecture check failed with ${result.errorCount} violations`);
+    } else {
+      spinner.succeed('Architecture check passed!');
+    }
+
+    const report = {
+      repository: rootPath,
+      rulesFile,
+      ...result,
+      passed: !hasErrors,
+      checkedAt: new Date().toISOString()
+    };
+
+    if (options.format === 'json') {
+      const output = JSON.stringify(report, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Results saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else {
+      displayCheckReport(report, chalk);
+      if (options.output) {
+        await fs.writeFile(options.output, formatCheckReport(report));
+        console.log(chalk.green(`\nResults saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Architecture check failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+
+  if (hasErrors) {
+    process.exit(1);
+  }
+}
+
+function displayCheckReport(report, chalk) {
+  console.log('\n' + chalk.bold.blue('=== Architecture Check ==='));
+  console.log(chalk.gray(`Repository: ${report.repository}`));
+  console.log(chalk.gray(`Rules file: ${report.rulesFile}`));
+  console.log(chalk.gray(`Rules: ${report.rulesChecked}, import edges checked: ${report.edgesChecked}`));
+  console.log();
+
+  if (report.violations.length === 0) {
+    console.log(chalk.green('✓ No rule violations found!'));
+    return;
+  }
+
+  report.violations.forEach(violation => {
+    const marker = violation.severity === 'error' ? chalk.red('✖') : chalk.yellow('⚠');
+    console.log(`  ${marker} ${violation.file} imports '${violation.importPath}' (${violation.target})`);
+    console.log(`     ${chalk.gray(`${violation.rule}: ${violation.reason}`)}`);
+  });
+
+  console.log();
+  console.log(chalk.bold(`${report.errorCount} errors, ${report.warningCount} warnings`));
+}
+
+function formatCheckReport(report) {
+  let output = '=== Architecture Check ===\n';
+  output += `Repository: ${report.repository}\n`;
+  output += `Rules file: ${report.rulesFile}\n`;
+  output += `Rules: ${report.rulesChecked}, import edges checked: ${report.edgesChecked}\n\n`;
+
+  report.violations.forEach(violation => {
+    output += `${violation.severity.toUpperCase()} ${violation.file} imports '${violation.importPath}' (${violation.target})\n`;
+    output += `  ${violation.rule}: ${violation.reason}\n`;
+  });
+
+  output += `\n${report.errorCount} errors, ${report.warningCount} warnings\n`;
+  return output;
+}
+
+module.exports = { check };
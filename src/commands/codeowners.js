@@ -0,0 +1,125 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+const { getOwnershipMeasure } = require('../utils/ownership');
+const { findCodeownersFile, parseCodeowners, formatCodeowners } = require('../utils/codeowners');
+
+async function codeowners(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Proposing CODEOWNERS...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('codeowners', cliOptions, config);
+    const minConfidence = parseFloat(options.minConfidence);
+    if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      throw new Error(`Invalid minimum confidence "${options.minConfidence}". Use a ratio between 0 and 1`);
+    }
+
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze({
+      ...getAnalyzerOptions(options, config),
+      includeCoChange: false
+    });
+    const proposal = await analyzer.proposeCodeowners(analysis.files, {
+      mode: analysis.ownershipMode,
+      minConfidence
+    });
+
+    const existingFile = findExistingFile(options.existing, analyzer.repoPath);
+    const days = parseInt(options.days) || 180;
+    const existing = existingFile
+      ? {
+        file: path.relative(analyzer.repoPath, existingFile) || existingFile,
+        days,
+        staleEntries: await analyzer.findStaleCodeowners(
+          parseCodeowners(await fs.readFile(existingFile, 'utf8')),
+          { days }
+        )
+      }
+      : null;
+
+    spinner.succeed('CODEOWNERS proposal complete!');
+
+    const output = options.format === 'json'
+      ? JSON.stringify({
+        repository: analysis.repository,
+        ownership: analysis.ownershipMode,
+        minConfidence,
+        ...proposal,
+        existing,
+        generatedAt: new Date().toISOString()
+      }, null, 2)
+      : formatProposal(proposal, existing, { mode: analysis.ownershipMode, minConfidence });
+
+    if (options.output) {
+      await fs.writeFile(options.output, output);
+      console.log(chalk.green(`CODEOWNERS proposal saved to ${options.output}`));
+    } else {
+      console.log(output);
+    }
+  } catch (error) {
+    spinner.fail('CODEOWNERS proposal failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function findExistingFile(existingOption, repoPath) {
+  if (!existingOption) {
+    return findCodeownersFile(repoPath);
+  }
+
+  const resolved = path.resolve(existingOption);
+  if (!fsSync.existsSync(resolved)) {
+    throw new Error(`CODEOWNERS file not found: ${existingOption}`);
+  }
+  return resolved;
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(0)}%`;
+}
+
+// Notes are written as comments so the output stays a valid CODEOWNERS file
+function formatProposal(proposal, existing, { mode, minConfidence }) {
+  const { unit } = getOwnershipMeasure(mode);
+  let output = formatCodeowners(proposal.rules, [
+    `Proposed by Repo Archaeologist on ${new Date().toISOString().slice(0, 10)}.`,
+    `Each directory goes to the owner holding at least ${formatShare(minConfidence)} of its ${unit};`,
+    'subdirectories with the same owner are covered by the rule above them.'
+  ]);
+
+  if (proposal.rules.length === 0) {
+    output += '# No directory has an owner above the confidence threshold.\n';
+  }
+
+  if (proposal.lowConfidence.length > 0) {
+    output += `\n# No clear owner (below ${formatShare(minConfidence)}); these fall back to the nearest rule above:\n`;
+    proposal.lowConfidence.forEach(directory => {
+      output += `#   ${directory.directory === '.' ? '*' : `/${directory.directory}/`} (top: ${directory.owner}, ${formatShare(directory.confidence)})\n`;
+    });
+  }
+
+  if (existing) {
+    if (existing.staleEntries.length === 0) {
+      output += `\n# No stale entries in ${existing.file}.\n`;
+    } else {
+      output += `\n# Stale entries in ${existing.file} (owners with no commits to that code in the last ${existing.days} days):\n`;
+      existing.staleEntries.forEach(entry => {
+        const detail = entry.reason === 'no-files'
+          ? 'matches no files'
+          : `${entry.staleOwners.join(' ')} inactive; recently ${entry.recentAuthors.join(', ')}`;
+        output += `#   line ${entry.line}: ${entry.pattern} ${entry.owners.join(' ')} (${detail})\n`;
+      });
+    }
+  }
+
+  return output;
+}
+
+module.exports = { codeowners };
@@ -0,0 +1,177 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+async function coupling(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Analyzing temporal coupling...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('coupling', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze({
+      ...getAnalyzerOptions(options, config),
+      includeCoChange: false
+    });
+
+    const maxFilesPerCommit = parseInt(options.maxFilesPerCommit);
+    const minCoupling = parseFloat(options.minCoupling);
+    const top = parseInt(options.top) || 20;
+    const result = await analyzer.analyzeTemporalCoupling(analysis.files, {
+      level: options.level,
+      maxFilesPerCommit: Number.isNaN(maxFilesPerCommit) ? 30 : maxFilesPerCommit,
+      minSharedCommits: parseInt(options.minShared) || 2,
+      minCoupling: Number.isNaN(minCoupling) ? 0.3 : minCoupling
+    });
+    const report = {
+      ...result,
+      modules: result.modules.slice(0, top),
+      pairs: result.pairs.filter(pair => !options.hiddenOnly || pair.hidden).slice(0, top),
+      hiddenPairs: result.pairs.filter(pair => pair.hidden).length
+    };
+
+    spinner.succeed('Coupling analysis complete!');
+
+    const format = options.format || 'table';
+    if (format === 'json') {
+      const output = JSON.stringify({
+        repository: analysis.repository,
+        ...report,
+        generatedAt: new Date().toISOString()
+      }, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Coupling saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const markdown = generateCouplingReport(report, analysis.repository);
+      if (options.output) {
+        await fs.writeFile(options.output, markdown);
+        console.log(chalk.green(`Coupling saved to ${options.output}`));
+      } else {
+        console.log(markdown);
+      }
+    } else {
+      displayCoupling(report, analysis.repository, chalk);
+      if (options.output) {
+        await fs.writeFile(options.output, generateCouplingReport(report, analysis.repository));
+        console.log(chalk.green(`\nCoupling saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Coupling analysis failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(0)}%`;
+}
+
+function describeCommits(report) {
+  const limit = report.maxFilesPerCommit > 0 ? ` touching more than ${report.maxFilesPerCommit} files` : '';
+  return `${report.commitsAnalyzed} commits analyzed, ${report.commitsSkipped} skipped${limit}`;
+}
+
+function displayCoupling(report, repoPath, chalk) {
+  console.log('\n' + chalk.bold.blue('=== Temporal Coupling ==='));
+  console.log(chalk.gray(`Repository: ${repoPath}`));
+  console.log(chalk.gray(`Level: ${report.level} (${describeCommits(report)})`));
+  console.log();
+
+  if (report.modules.length === 0) {
+    console.log(chalk.green('✓ Nothing changes together'));
+    return;
+  }
+
+  console.log(chalk.bold('Sum of coupling:'));
+  const modules = new Table({
+    head: ['Module', 'Commits', 'Shared Commits', 'Coupled With'],
+    style: {
+      head: ['cyan']
+    }
+  });
+  report.modules.forEach(module => {
+    modules.push([module.module, module.revisions, module.sumOfCoupling, module.coupledModules]);
+  });
+  console.log(modules.toString());
+
+  if (report.pairs.length === 0) {
+    console.log(chalk.green('\n✓ No pairs above the coupling threshold'));
+    return;
+  }
+
+  console.log('\n' + chalk.bold('Coupled pairs:'));
+  const pairs = new Table({
+    head: ['Module', 'Changes With', 'Shared', 'Coupling', 'Import'],
+    style: {
+      head: ['cyan']
+    }
+  });
+  report.pairs.forEach(pair => {
+    pairs.push([
+      pair.modules[0],
+      pair.modules[1],
+      pair.sharedCommits,
+      formatShare(pair.coupling),
+      pair.hidden ? chalk.yellow('⚠ none') : 'yes'
+    ]);
+  });
+  console.log(pairs.toString());
+
+  if (report.hiddenPairs > 0) {
+    console.log(chalk.yellow(`\n⚠ ${report.hiddenPairs} coupled pairs have no import between them: hidden dependencies`));
+  }
+}
+
+function generateCouplingReport(report, repoPath) {
+  let markdown = '# Temporal Coupling\n\n';
+  markdown += `**Repository:** ${repoPath}\n`;
+  markdown += `**Level:** ${report.level}\n`;
+  markdown += `**Commits:** ${describeCommits(report)}\n`;
+  markdown += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  if (report.modules.length === 0) {
+    markdown += 'Nothing changes together.\n';
+    return markdown;
+  }
+
+  markdown += '## Sum of Coupling\n\n';
+  markdown += 'Modules ranked by the commits they share with any other module.\n\n';
+  markdown += '| Module | Commits | Shared Commits | Coupled With |\n';
+  markdown += '|--------|---------|----------------|--------------|\n';
+  report.modules.forEach(module => {
+    markdown += `| ${module.module} | ${module.revisions} | ${module.sumOfCoupling} | ${module.coupledModules} |\n`;
+  });
+  markdown += '\n';
+
+  if (report.pairs.length > 0) {
+    markdown += '## Coupled Pairs\n\n';
+    markdown += '| Module | Changes With | Shared | Coupling | Import |\n';
+    markdown += '|--------|--------------|--------|----------|--------|\n';
+    report.pairs.forEach(pair => {
+      markdown += `| ${pair.modules[0]} | ${pair.modules[1]} | ${pair.sharedCommits} | ${formatShare(pair.coupling)} | ${pair.hidden ? '⚠️ none' : 'yes'} |\n`;
+    });
+    markdown += '\n';
+  }
+
+  if (report.hiddenPairs > 0) {
+    markdown += `**${report.hiddenPairs} coupled pairs have no import between them.** `;
+    markdown += 'They change together without depending on each other in code, which usually means a hidden dependency: ';
+    markdown += 'a shared format, duplicated logic or a contract kept in sync by hand.\n\n';
+  }
+
+  markdown += '---\n\n';
+  markdown += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return markdown;
+}
+
+module.exports = { coupling };
@@ -0,0 +1,187 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+async function diff(base, head, repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Comparing analyses...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('diff', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analyzerOptions = { ...getAnalyzerOptions(options, config), includeCoChange: false };
+
+    const baseAnalysis = await loadAnalysis(base, analyzer, analyzerOptions, spinner);
+    const headAnalysis = await loadAnalysis(head, analyzer, analyzerOptions, spinner);
+    const minRiskDelta = parseFloat(options.minRiskDelta);
+    const result = {
+      base,
+      head,
+      ...analyzer.compareAnalyses(baseAnalysis, headAnalysis, {
+        minRiskDelta: Number.isNaN(minRiskDelta) ? 1 : minRiskDelta
+      })
+    };
+
+    spinner.succeed('Comparison complete!');
+
+    const format = options.format || 'table';
+    if (format === 'json') {
+      const output = JSON.stringify({ ...result, generatedAt: new Date().toISOString() }, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Diff saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const report = generateDiffReport(result);
+      if (options.output) {
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`Diff saved to ${options.output}`));
+      } else {
+        console.log(report);
+      }
+    } else {
+      displayDiff(result, chalk);
+      if (options.output) {
+        await fs.writeFile(options.output, generateDiffReport(result));
+        console.log(chalk.green(`\nDiff saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Comparison failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+// Either side is an `analyze --format json` file or a git ref analyzed on the fly
+async function loadAnalysis(source, analyzer, analyzerOptions, spinner) {
+  const filePath = path.resolve(source);
+  if (fsSync.existsSync(filePath) && fsSync.statSync(filePath).isFile()) {
+    let analysis;
+    try {
+      analysis = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read analysis file ${source}: ${error.message}`);
+    }
+    if (!analysis || !Array.isArray(analysis.files)) {
+      throw new Error(`${source} is not an analysis file; create one with "analyze --format json"`);
+    }
+    return analysis;
+  }
+
+  spinner.text = `Analyzing ${source}...`;
+  return analyzer.analyze({ ...analyzerOptions, rev: source });
+}
+
+function countChanges(result) {
+  return result.files.added.length + result.files.removed.length +
+    result.edges.added.length + result.edges.removed.length +
+    result.cycles.added.length + result.cycles.removed.length +
+    result.deadFiles.added.length + result.deadFiles.removed.length +
+    result.ownershipShifts.length + result.riskChanges.length;
+}
+
+function formatDelta(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function displayDiff(result, chalk) {
+  console.log('\n' + chalk.bold.blue('=== Architecture Diff ==='));
+  console.log(chalk.gray(`${result.base} → ${result.head}`));
+  console.log();
+
+  if (countChanges(result) === 0) {
+    console.log(chalk.green('✓ No architectural changes'));
+    return;
+  }
+
+  const section = (title, items, marker, describe) => {
+    if (items.length === 0) return;
+    console.log(chalk.bold(`${title} (${items.length}):`));
+    items.forEach(item => console.log(`  ${marker} ${describe(item)}`));
+    console.log();
+  };
+  const edge = item => `${item.from} → ${item.to}`;
+  const cycle = item => item.files.join(' ⇄ ');
+
+  section('Added files', result.files.added, chalk.green('+'), item => item);
+  section('Removed files', result.files.removed, chalk.red('-'), item => item);
+  section('New import edges', result.edges.added, chalk.green('+'), edge);
+  section('Removed import edges', result.edges.removed, chalk.red('-'), edge);
+  section('New cycles', result.cycles.added, chalk.red('⚠'), cycle);
+  section('Resolved cycles', result.cycles.removed, chalk.green('✓'), cycle);
+  section('Newly dead files', result.deadFiles.added, chalk.yellow('⚠'), item => item);
+  section('Files in use again', result.deadFiles.removed, chalk.green('✓'), item => item);
+  section('Ownership shifts', result.ownershipShifts, chalk.cyan('•'), item => `${item.path}: ${item.from} → ${item.to}`);
+  section('Risk changes', result.riskChanges, chalk.cyan('•'), item => {
+    const delta = item.delta > 0 ? chalk.red(formatDelta(item.delta)) : chalk.green(formatDelta(item.delta));
+    return `${item.path}: ${item.before} → ${item.after} (${delta})`;
+  });
+
+  console.log(chalk.gray(`Average risk: ${result.averageRisk.before} → ${result.averageRisk.after} (${formatDelta(result.averageRisk.delta)})`));
+}
+
+function generateDiffReport(result) {
+  let report = '# Architecture Diff\n\n';
+  report += `**Base:** ${result.base}\n`;
+  report += `**Head:** ${result.head}\n`;
+  report += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  report += '## Summary\n\n';
+  report += '| Change | Added | Removed |\n';
+  report += '|--------|-------|---------|\n';
+  report += `| Files | ${result.files.added.length} | ${result.files.removed.length} |\n`;
+  report += `| Import edges | ${result.edges.added.length} | ${result.edges.removed.length} |\n`;
+  report += `| Cycles | ${result.cycles.added.length} | ${result.cycles.removed.length} |\n`;
+  report += `| Dead files | ${result.deadFiles.added.length} | ${result.deadFiles.removed.length} |\n\n`;
+  report += `**Average risk:** ${result.averageRisk.before} → ${result.averageRisk.after} (${formatDelta(result.averageRisk.delta)})\n\n`;
+
+  if (countChanges(result) === 0) {
+    report += 'No architectural changes.\n\n';
+  }
+
+  const section = (title, items, describe) => {
+    if (items.length === 0) return;
+    report += `## ${title}\n\n`;
+    items.forEach(item => {
+      report += `- ${describe(item)}\n`;
+    });
+    report += '\n';
+  };
+  const edge = item => `\`${item.from}\` → \`${item.to}\``;
+  const cycle = item => item.files.map(file => `\`${file}\``).join(' ⇄ ');
+
+  section('New Cycles', result.cycles.added, cycle);
+  section('Resolved Cycles', result.cycles.removed, cycle);
+  section('Added Files', result.files.added, item => `\`${item}\``);
+  section('Removed Files', result.files.removed, item => `\`${item}\``);
+  section('New Import Edges', result.edges.added, edge);
+  section('Removed Import Edges', result.edges.removed, edge);
+  section('Newly Dead Files', result.deadFiles.added, item => `\`${item}\``);
+  section('Files in Use Again', result.deadFiles.removed, item => `\`${item}\``);
+  section('Ownership Shifts', result.ownershipShifts, item => `\`${item.path}\`: ${item.from} → ${item.to}`);
+
+  if (result.riskChanges.length > 0) {
+    report += '## Risk Changes\n\n';
+    report += '| File | Before | After | Change |\n';
+    report += '|------|--------|-------|--------|\n';
+    result.riskChanges.forEach(change => {
+      report += `| ${change.path} | ${change.before} | ${change.after} | ${formatDelta(change.delta)} |\n`;
+    });
+    report += '\n';
+  }
+
+  report += '---\n\n';
+  report += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return report;
+}
+
+module.exports = { diff };
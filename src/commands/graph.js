@@ -0,0 +1,98 @@
+const { StaticAnalyzer } = require('../analyzers/static-analyzer');
+const fs = require('fs').promises;
+const path = require('path');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+const {
+  extractSubgraph,
+  getGraphNodes,
+  getGraphEdges,
+  formatDot,
+  formatMermaid
+} = require('../utils/graph-utils');
+
+async function graph(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Building call graph...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('graph', cliOptions, config);
+    const rootPath = path.resolve(repoPath);
+    const stat = await fs.stat(rootPath);
+    if (!stat.isDirectory()) {
+      throw new Error(`Not a directory: ${rootPath}`);
+    }
+
+    const analyzerOptions = getAnalyzerOptions(options, config);
+    const staticAnalyzer = new StaticAnalyzer(rootPath);
+    const analyses = await staticAnalyzer.analyzeRepository(analyzerOptions.ignorePatterns, {
+      rev: analyzerOptions.rev
+    });
+    const callGraph = options.symbols
+      ? staticAnalyzer.buildSymbolGraph(analyses)
+      : staticAnalyzer.buildCallGraph(analyses);
+
+    const direction = options.direction || 'both';
+    const depth = parseInt(options.depth, 10) >= 0 ? parseInt(options.depth, 10) : 1;
+    const focusPath = options.focus ? resolveFocusPath(callGraph, rootPath, options.focus) : null;
+    const selectedGraph = focusPath
+      ? extractSubgraph(callGraph, focusPath, { depth, direction })
+      : callGraph;
+
+    spinner.succeed('Call graph built!');
+
+    const output = formatGraph(selectedGraph, rootPath, {
+      format: options.format || 'dot',
+      focus: focusPath,
+      depth,
+      direction,
+      symbols: Boolean(options.symbols)
+    });
+
+    if (options.output) {
+      await fs.writeFile(options.output, output);
+      console.log(chalk.green(`Graph saved to ${options.output}`));
+    } else {
+      console.log(output);
+    }
+  } catch (error) {
+    spinner.fail('Graph generation failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function resolveFocusPath(callGraph, rootPath, focus) {
+  const candidates = [path.resolve(rootPath, focus), path.resolve(focus)];
+  const match = candidates.find(candidate => callGraph[candidate]);
+  if (!match) {
+    throw new Error(`File not found in call graph: ${focus}`);
+  }
+  return match;
+}
+
+function formatGraph(selectedGraph, rootPath, options) {
+  switch (options.format) {
+  case 'dot':
+    return formatDot(selectedGraph, rootPath, { focus: options.focus });
+  case 'mermaid':
+    return formatMermaid(selectedGraph, rootPath, { focus: options.focus });
+  case 'json':
+    return JSON.stringify({
+      repository: rootPath,
+      focus: options.focus ? path.relative(rootPath, options.focus).replace(/\\/g, '/') : null,
+      depth: options.focus ? options.depth : null,
+      direction: options.focus ? options.direction : null,
+      level: options.symbols ? 'symbol' : 'file',
+      nodes: getGraphNodes(selectedGraph, rootPath),
+      edges: getGraphEdges(selectedGraph, rootPath),
+      generatedAt: new Date().toISOString()
+    }, null, 2);
+  default:
+    throw new Error(`Unknown graph format: ${options.format} (expected dot, mermaid, json)`);
+  }
+}
+
+module.exports = { graph };
@@ -0,0 +1,134 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+async function hotspots(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Finding churn hotspots...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('hotspots', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze({
+      ...getAnalyzerOptions(options, config),
+      includeCoChange: false
+    });
+
+    const days = parseInt(options.days);
+    const window = { days: Number.isNaN(days) ? 365 : days };
+    const top = parseInt(options.top) || 20;
+    const ranked = await analyzer.calculateHotspots(analysis.files, window);
+
+    spinner.succeed('Hotspot analysis complete!');
+
+    const format = options.format || 'table';
+    if (format === 'json') {
+      const output = JSON.stringify({
+        repository: analysis.repository,
+        days: window.days,
+        hotspots: ranked.slice(0, top),
+        generatedAt: new Date().toISOString()
+      }, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Hotspots saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const report = generateHotspotReport(ranked.slice(0, top), analysis.repository, window.days);
+      if (options.output) {
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`Hotspots saved to ${options.output}`));
+      } else {
+        console.log(report);
+      }
+    } else {
+      displayHotspotTable(ranked, top, analysis.repository, window.days, chalk);
+      if (options.output) {
+        const report = generateHotspotReport(ranked.slice(0, top), analysis.repository, window.days);
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`\nHotspots saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Hotspot analysis failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function describeWindow(days) {
+  return days > 0 ? `last ${days} days` : 'all history';
+}
+
+function displayHotspotTable(ranked, top, repoPath, days, chalk) {
+  console.log('\n' + chalk.bold.blue('=== Churn Hotspots ==='));
+  console.log(chalk.gray(`Repository: ${repoPath}`));
+  console.log(chalk.gray(`Window: ${describeWindow(days)}`));
+  console.log();
+
+  if (ranked.length === 0) {
+    console.log(chalk.green('✓ No files changed in this window'));
+    return;
+  }
+
+  const table = new Table({
+    head: ['Rank', 'File', 'Score', 'Churn (+/-)', 'Commits', 'Complexity'],
+    style: {
+      head: ['cyan']
+    }
+  });
+
+  ranked.slice(0, top).forEach((hotspot, i) => {
+    const shortPath = hotspot.path.length > 50 ? '...' + hotspot.path.slice(-47) : hotspot.path;
+    table.push([
+      i + 1,
+      shortPath,
+      i < 3 ? chalk.red(String(hotspot.score)) : String(hotspot.score),
+      `${hotspot.churn} (+${hotspot.added}/-${hotspot.deleted})`,
+      hotspot.commits,
+      hotspot.complexity
+    ]);
+  });
+
+  console.log(table.toString());
+
+  if (ranked.length > top) {
+    console.log(chalk.gray(`\n... and ${ranked.length - top} more files`));
+  }
+
+  console.log(chalk.gray('\nScore = lines added and deleted × cyclomatic complexity'));
+}
+
+function generateHotspotReport(ranked, repoPath, days) {
+  let report = '# Churn Hotspots\n\n';
+  report += `**Repository:** ${repoPath}\n`;
+  report += `**Window:** ${describeWindow(days)}\n`;
+  report += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  if (ranked.length === 0) {
+    report += 'No files changed in this window.\n';
+    return report;
+  }
+
+  report += 'Score = lines added and deleted × cyclomatic complexity. Files at the top are both hard to ';
+  report += 'understand and frequently edited, which makes them the best refactoring candidates.\n\n';
+
+  report += '| Rank | File | Score | Churn | Added | Deleted | Commits | Complexity |\n';
+  report += '|------|------|-------|-------|-------|---------|---------|------------|\n';
+  ranked.forEach((hotspot, i) => {
+    report += `| ${i + 1} | ${hotspot.path} | ${hotspot.score} | ${hotspot.churn} | ${hotspot.added} | ${hotspot.deleted} | ${hotspot.commits} | ${hotspot.complexity} |\n`;
+  });
+
+  report += '\n---\n\n';
+  report += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return report;
+}
+
+module.exports = { hotspots };
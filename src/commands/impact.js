@@ -0,0 +1,176 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions, parseFileList } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+async function impact(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Analyzing change impact...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('impact', cliOptions, config);
+    if (!options.files && !options.base) {
+      throw new Error('Pass --base <ref> to diff against a branch, or --files <paths> to list changed files');
+    }
+
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analyzerOptions = getAnalyzerOptions(options, config);
+    const changedPaths = options.files
+      ? parseFileList(options.files, analyzer.repoPath)
+      : await analyzer.gitAnalyzer.getChangedFiles(options.base, analyzerOptions.rev || 'HEAD');
+    const analysis = await analyzer.analyze(analyzerOptions);
+
+    const result = analyzer.analyzeImpact(analysis.files, changedPaths, {
+      mode: analysis.ownershipMode,
+      depth: parseInt(options.depth) || 0
+    });
+    const change = options.files ? 'listed files' : `${options.base}...${analyzerOptions.rev || 'HEAD'}`;
+
+    spinner.succeed('Impact analysis complete!');
+
+    const format = options.format || 'table';
+    if (format === 'json') {
+      const output = JSON.stringify({
+        repository: analysis.repository,
+        change,
+        ...result,
+        generatedAt: new Date().toISOString()
+      }, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Impact report saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const report = generateImpactReport(result, change);
+      if (options.output) {
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`Impact report saved to ${options.output}`));
+      } else {
+        console.log(report);
+      }
+    } else {
+      displayImpact(result, change, chalk);
+      if (options.output) {
+        await fs.writeFile(options.output, generateImpactReport(result, change));
+        console.log(chalk.green(`\nImpact report saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Impact analysis failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function describeReason(file) {
+  return file.reason === 'co-change'
+    ? `changes with ${file.via}`
+    : `imports ${file.via}${file.distance > 1 ? ` (${file.distance} hops)` : ''}`;
+}
+
+function displayImpact(result, change, chalk) {
+  console.log('\n' + chalk.bold.blue('=== Change Impact ==='));
+  console.log(chalk.gray(`Change: ${change}`));
+  console.log();
+
+  if (result.changedFiles.length === 0) {
+    console.log(chalk.green('✓ No changed files'));
+    return;
+  }
+
+  console.log(chalk.bold(`Aggregate risk: ${result.risk.score}`) + chalk.gray(` (highest file risk ${result.risk.maxFileRisk})`));
+  console.log();
+
+  console.log(chalk.bold(`Changed files (${result.changedFiles.length}):`));
+  result.changedFiles.forEach(file => {
+    const detail = file.found ? `risk ${file.riskScore}, ${file.primary}` : 'not analyzed';
+    console.log(`  ${chalk.cyan('•')} ${file.path} ${chalk.gray(`(${detail})`)}`);
+  });
+
+  if (result.affectedFiles.length > 0) {
+    console.log('\n' + chalk.bold(`Affected files (${result.affectedFiles.length}):`));
+    const table = new Table({
+      head: ['File', 'Why', 'Risk', 'Owner'],
+      style: {
+        head: ['cyan']
+      }
+    });
+    result.affectedFiles.forEach(file => {
+      table.push([file.path, describeReason(file), file.riskScore, file.primary]);
+    });
+    console.log(table.toString());
+  } else {
+    console.log(chalk.green('\n✓ Nothing else imports or co-changes with these files'));
+  }
+
+  if (result.features.length > 0) {
+    console.log('\n' + chalk.bold('Affected features:'));
+    result.features.forEach(feature => {
+      console.log(`  ${chalk.yellow('•')} ${feature.name} ${chalk.gray(`(${feature.changedFiles} changed, ${feature.affectedFiles} affected)`)}`);
+    });
+  }
+
+  if (result.reviewers.length > 0) {
+    console.log('\n' + chalk.bold('Suggested reviewers:'));
+    result.reviewers.forEach(reviewer => {
+      console.log(`  ${chalk.green('•')} ${reviewer.author} ${chalk.gray(`(owns ${reviewer.files} impacted files)`)}`);
+    });
+  }
+}
+
+function generateImpactReport(result, change) {
+  let report = '# Change Impact Report\n\n';
+  report += `**Change:** ${change}\n`;
+  report += `**Aggregate risk:** ${result.risk.score} (highest file risk ${result.risk.maxFileRisk})\n`;
+  report += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  if (result.changedFiles.length === 0) {
+    report += 'No changed files.\n';
+    return report;
+  }
+
+  report += `## Changed Files (${result.changedFiles.length})\n\n`;
+  result.changedFiles.forEach(file => {
+    const detail = file.found ? `risk ${file.riskScore}, owned by ${file.primary}` : 'not analyzed';
+    report += `- \`${file.path}\` (${detail})\n`;
+  });
+  report += '\n';
+
+  if (result.affectedFiles.length > 0) {
+    report += `## Affected Files (${result.affectedFiles.length})\n\n`;
+    report += '| File | Why | Risk | Owner |\n';
+    report += '|------|-----|------|-------|\n';
+    result.affectedFiles.forEach(file => {
+      report += `| ${file.path} | ${describeReason(file)} | ${file.riskScore} | ${file.primary} |\n`;
+    });
+    report += '\n';
+  }
+
+  if (result.features.length > 0) {
+    report += '## Affected Features\n\n';
+    result.features.forEach(feature => {
+      report += `- **${feature.name}**: ${feature.changedFiles} changed, ${feature.affectedFiles} affected\n`;
+    });
+    report += '\n';
+  }
+
+  if (result.reviewers.length > 0) {
+    report += '## Suggested Reviewers\n\n';
+    result.reviewers.forEach(reviewer => {
+      report += `- ${reviewer.author} (owns ${reviewer.files} impacted files)\n`;
+    });
+    report += '\n';
+  }
+
+  report += '---\n\n';
+  report += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return report;
+}
+
+module.exports = { impact };
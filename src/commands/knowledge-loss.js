@@ -0,0 +1,170 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+async function knowledgeLoss(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Looking for knowledge held by departed contributors...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('knowledge-loss', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze({
+      ...getAnalyzerOptions(options, config),
+      includeCoChange: false
+    });
+
+    const result = await analyzer.analyzeKnowledgeLoss(analysis.files, {
+      days: parseInt(options.days) || 180,
+      mode: analysis.ownershipMode
+    });
+    const top = parseInt(options.top) || 20;
+
+    spinner.succeed('Knowledge-loss analysis complete!');
+
+    const format = options.format || 'table';
+    if (format === 'json') {
+      const output = JSON.stringify({
+        repository: analysis.repository,
+        ownership: analysis.ownershipMode,
+        ...result,
+        generatedAt: new Date().toISOString()
+      }, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Knowledge-loss report saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const report = generateKnowledgeLossReport(result, analysis.repository, top);
+      if (options.output) {
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`Knowledge-loss report saved to ${options.output}`));
+      } else {
+        console.log(report);
+      }
+    } else {
+      displayKnowledgeLoss(result, analysis.repository, top, chalk);
+      if (options.output) {
+        const report = generateKnowledgeLossReport(result, analysis.repository, top);
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`\nKnowledge-loss report saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Knowledge-loss analysis failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(0)}%`;
+}
+
+function formatDate(isoDate) {
+  return isoDate ? isoDate.slice(0, 10) : 'unknown';
+}
+
+function describeLoss(entry) {
+  return entry.primaryDeparted
+    ? `primary owner ${entry.primary} departed`
+    : `${formatShare(entry.departedShare)} held by departed authors`;
+}
+
+function displayKnowledgeLoss(result, repoPath, top, chalk) {
+  console.log('\n' + chalk.bold.blue('=== Knowledge Loss ==='));
+  console.log(chalk.gray(`Repository: ${repoPath}`));
+  console.log(chalk.gray(`Departed: no commits in the last ${result.days} days`));
+  console.log();
+
+  if (result.departedAuthors.length === 0) {
+    console.log(chalk.green('✓ Every contributor has committed recently'));
+    return;
+  }
+
+  const table = new Table({
+    head: ['Author', 'Last Commit', 'Commits', 'Files Owned'],
+    style: {
+      head: ['cyan']
+    }
+  });
+  result.departedAuthors.forEach(author => {
+    table.push([author.author, formatDate(author.lastCommitAt), author.commits, author.primaryFiles]);
+  });
+  console.log(table.toString());
+
+  if (result.features.length > 0) {
+    console.log('\n' + chalk.bold('Features at risk:'));
+    result.features.forEach(feature => {
+      console.log(`  ${chalk.red('•')} ${feature.name} ${chalk.gray(`(${describeLoss(feature)})`)}`);
+    });
+  }
+
+  if (result.files.length === 0) {
+    console.log(chalk.green('\n✓ No files are mainly owned by departed contributors'));
+    return;
+  }
+
+  console.log('\n' + chalk.bold(`Files at risk (${result.files.length}):`));
+  result.files.slice(0, top).forEach(file => {
+    console.log(`  ${chalk.yellow('•')} ${file.path} ${chalk.gray(`(${describeLoss(file)})`)}`);
+  });
+  if (result.files.length > top) {
+    console.log(chalk.gray(`  ... and ${result.files.length - top} more files`));
+  }
+}
+
+function generateKnowledgeLossReport(result, repoPath, top) {
+  let report = '# Knowledge Loss Report\n\n';
+  report += `**Repository:** ${repoPath}\n`;
+  report += `**Departed:** no commits in the last ${result.days} days\n`;
+  report += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  if (result.departedAuthors.length === 0) {
+    report += 'Every contributor has committed recently.\n';
+    return report;
+  }
+
+  report += '## Departed Contributors\n\n';
+  report += '| Author | Last Commit | Commits | Files Owned |\n';
+  report += '|--------|-------------|---------|-------------|\n';
+  result.departedAuthors.forEach(author => {
+    report += `| ${author.author} | ${formatDate(author.lastCommitAt)} | ${author.commits} | ${author.primaryFiles} |\n`;
+  });
+  report += '\n';
+
+  if (result.features.length > 0) {
+    report += '## Features at Risk\n\n';
+    result.features.forEach(feature => {
+      report += `- **${feature.name}** (${feature.fileCount} files): ${describeLoss(feature)}\n`;
+    });
+    report += '\n';
+  }
+
+  if (result.files.length > 0) {
+    report += `## Files at Risk (${result.files.length})\n\n`;
+    report += '| File | Primary Owner | Departed Share |\n';
+    report += '|------|---------------|----------------|\n';
+    result.files.slice(0, top).forEach(file => {
+      const owner = file.primaryDeparted ? `${file.primary} (departed)` : file.primary;
+      report += `| ${file.path} | ${owner} | ${formatShare(file.departedShare)} |\n`;
+    });
+    if (result.files.length > top) {
+      report += `\n... and ${result.files.length - top} more files\n`;
+    }
+    report += '\n';
+  }
+
+  report += '---\n\n';
+  report += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return report;
+}
+
+module.exports = { knowledgeLoss };
@@ -3,14 +3,18 @@ const fs = require('fs').promises;
 const path = require('path');
 const { loadCliDeps } = require('../utils/cli-deps');
 const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+const { formatPrimaryOwner } = require('../utils/ownership');
 
-async function map(repoPath, options) {
+async function map(repoPath, cliOptions) {
   const { chalk, ora } = await loadCliDeps();
   const spinner = ora('Generating architecture map...').start();
   
   try {
-    const analyzer = new RepositoryAnalyzer(repoPath);
-    const analysis = await analyzer.analyze(getAnalyzerOptions(options));
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('map', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze(getAnalyzerOptions(options, config));
     const categories = analyzer.categorizeFiles(analysis.files);
     const features = analyzer.identifyFeatures(analysis.files);
     
@@ -21,6 +25,8 @@ async function map(repoPath, options) {
       categories,
       features,
       callGraph: analysis.callGraph,
+      symbolGraph: analysis.symbolGraph,
+      cycles: analysis.cycles,
       generatedAt: new Date().toISOString()
     };
     
@@ -56,7 +62,9 @@ function generateMarkdownMap(mapData, analysis) {
   markdown += '## Overview\n\n';
   markdown += `- **Total Files:** ${analysis.totalFiles}\n`;
   markdown += `- **Languages:** ${Object.keys(analysis.languages).join(', ')}\n`;
-  markdown += `- **Dead Code Files:** ${analysis.deadCode.length}\n\n`;
+  markdown += `- **Dead Code Files:** ${analysis.deadCode.length}\n`;
+  markdown += `- **Unused Exports:** ${analysis.unusedExports.length}\n`;
+  markdown += `- **Import Cycles:** ${analysis.cycles.length}\n\n`;
   
   markdown += '## File Categories\n\n';
   
@@ -67,7 +75,7 @@ function generateMarkdownMap(mapData, analysis) {
       markdown += `- **${relPath}**\n`;
       markdown += `  - Language: ${file.language}\n`;
       markdown += `  - Lines: ${file.lines}\n`;
-      markdown += `  - Owner: ${file.ownership?.primary || 'Unknown'}\n`;
+      markdown += `  - Owner: ${formatPrimaryOwner(file)}\n`;
     });
     markdown += '\n';
   }
@@ -114,6 +122,35 @@ function generateMarkdownMap(mapData, analysis) {
     const deps = file.callGraphInfo?.calledBy?.length || 0;
     markdown += `${i + 1}. **${relPath}** (${deps} dependencies)\n`;
   });
+
+  if (analysis.cycles.length > 0) {
+    markdown += '\n## Import Cycles\n\n';
+    analysis.cycles.forEach((cycle, i) => {
+      const cyclePath = cycle.shortestCycle
+        .map(filePath => path.relative(mapData.repository, filePath))
+        .join(' → ');
+      markdown += `${i + 1}. **${cycle.size} files** — shortest cycle: ${cyclePath}\n`;
+      if (cycle.size > cycle.shortestCycle.length - 1) {
+        cycle.files.forEach(filePath => {
+          markdown += `   - ${path.relative(mapData.repository, filePath)}\n`;
+        });
+      }
+    });
+  }
+
+  const sortedSymbols = Object.values(mapData.symbolGraph || {})
+    .filter(node => node.calledBy.length > 0)
+    .sort((a, b) => b.calledBy.length - a.calledBy.length)
+    .slice(0, 10);
+
+  if (sortedSymbols.length > 0) {
+    markdown += '\n## Key Functions\n\n';
+    markdown += 'Exported functions and classes called from the most places:\n\n';
+    sortedSymbols.forEach((node, i) => {
+      const relPath = path.relative(mapData.repository, node.file);
+      markdown += `${i + 1}. **${node.symbol}** in ${relPath} (${node.calledBy.length} callers)\n`;
+    });
+  }
   
   return markdown;
 }
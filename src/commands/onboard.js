@@ -3,20 +3,30 @@ const fs = require('fs').promises;
 const path = require('path');
 const { loadCliDeps } = require('../utils/cli-deps');
 const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+const { formatPrimaryOwner } = require('../utils/ownership');
 
-async function onboard(repoPath, options) {
+async function onboard(repoPath, cliOptions) {
   const { chalk, ora } = await loadCliDeps();
   const spinner = ora('Generating onboarding report...').start();
   
   try {
-    const analyzer = new RepositoryAnalyzer(repoPath);
-    const analysis = await analyzer.analyze(getAnalyzerOptions(options));
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('onboard', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze(getAnalyzerOptions(options, config));
     const categories = analyzer.categorizeFiles(analysis.files);
     const features = analyzer.identifyFeatures(analysis.files);
+    const days = parseInt(options.days) || 180;
+    const departedAuthors = await analyzer.gitAnalyzer.getDepartedAuthors(days);
+    const busFactor = analyzer.analyzeBusFactor(analysis.files, {
+      mode: analysis.ownershipMode,
+      departedAuthors: departedAuthors.map(author => author.author)
+    });
     
     spinner.succeed('Onboarding report generated!');
     
-    const report = generateOnboardingReport(analysis, categories, features);
+    const report = generateOnboardingReport(analysis, categories, features, busFactor);
     
     if (options.output) {
       await fs.writeFile(options.output, report);
@@ -31,7 +41,7 @@ async function onboard(repoPath, options) {
   }
 }
 
-function generateOnboardingReport(analysis, categories, features) {
+function generateOnboardingReport(analysis, categories, features, busFactor) {
   let report = '# Onboarding Guide\n\n';
   report += `**Repository:** ${analysis.repository}\n`;
   report += `**Generated:** ${analysis.analyzedAt}\n\n`;
@@ -57,7 +67,7 @@ function generateOnboardingReport(analysis, categories, features) {
       const relPath = path.relative(analysis.repository, file.path);
       report += `${i + 1}. **${relPath}**\n`;
       report += '   - Purpose: Main application entry point\n';
-      report += `   - Owner: ${file.ownership?.primary || 'Unknown'}\n`;
+      report += `   - Owner: ${formatPrimaryOwner(file)}\n`;
       report += `   - Complexity: ${file.complexity > 10 ? 'High' : file.complexity > 5 ? 'Medium' : 'Low'}\n`;
     });
     report += '\n';
@@ -70,7 +80,7 @@ function generateOnboardingReport(analysis, categories, features) {
       const relPath = path.relative(analysis.repository, file.path);
       const deps = file.callGraphInfo?.calledBy?.length || 0;
       report += `${i + 1}. **${relPath}** (used by ${deps} files)\n`;
-      report += `   - Owner: ${file.ownership?.primary || 'Unknown'}\n`;
+      report += `   - Owner: ${formatPrimaryOwner(file)}\n`;
       report += `   - Functions: ${file.functions?.length || 0}\n`;
       report += `   - Classes: ${file.classes?.length || 0}\n`;
     });
@@ -86,13 +96,36 @@ function generateOnboardingReport(analysis, categories, features) {
   }
   
   report += '### Team & Ownership\n\n';
-  report += 'Key contributors to this codebase:\n\n';
+  report += analysis.ownershipHalfLife
+    ? `Key contributors to this codebase, weighted towards recent work (half-life ${analysis.ownershipHalfLife} days):\n\n`
+    : 'Key contributors to this codebase:\n\n';
   analysis.topContributors.slice(0, 5).forEach((contributor, i) => {
     report += `${i + 1}. **${contributor.author}**\n`;
     report += `   - Primary owner of: ${contributor.filesOwned} files\n`;
     report += `   - Total commits: ${contributor.totalCommits}\n`;
+    if (contributor.decayedCommits !== undefined) {
+      report += `   - Recent activity: ${contributor.decayedCommits.toFixed(1)} weighted commits\n`;
+    }
+    if (contributor.totalLines !== undefined) {
+      report += `   - Surviving lines: ${contributor.totalLines}\n`;
+    }
   });
   report += '\n';
+
+  if (busFactor.repository.fileCount > 0) {
+    report += '### Bus Factor\n\n';
+    report += `The repository's truck factor is **${busFactor.repository.truckFactor}**`;
+    report += busFactor.repository.keyAuthors.length > 0
+      ? `: losing ${busFactor.repository.keyAuthors.join(', ')} would leave more than half of the files without a knowledgeable owner.\n\n`
+      : ': more than half of the files have no knowledgeable owner who is still active.\n\n';
+    if (busFactor.atRiskFeatures.length > 0) {
+      report += 'These areas depend on a single person, so pair with them early:\n\n';
+      busFactor.atRiskFeatures.slice(0, 8).forEach(feature => {
+        report += `- **${feature.name}**: ${feature.keyAuthors.length > 0 ? feature.keyAuthors.join(', ') : 'Unknown'}\n`;
+      });
+      report += '\n';
+    }
+  }
   
   report += '### Testing\n\n';
   if (categories.tests.length > 0) {
@@ -123,10 +156,16 @@ function generateOnboardingReport(analysis, categories, features) {
   }
   report += '\n';
   
-  if (analysis.deadCode.length > 0) {
+  const highConfidenceUnused = analysis.unusedExports.filter(entry => entry.confidence === 'high');
+  if (analysis.deadCode.length > 0 || highConfidenceUnused.length > 0) {
     report += '### Maintenance Notes\n\n';
-    report += `⚠️ There are ${analysis.deadCode.length} files that may be unused (dead code).\n`;
-    report += 'Consider reviewing these files for potential cleanup.\n\n';
+    if (analysis.deadCode.length > 0) {
+      report += `⚠️ There are ${analysis.deadCode.length} files that may be unused (dead code).\n`;
+    }
+    if (highConfidenceUnused.length > 0) {
+      report += `⚠️ There are ${highConfidenceUnused.length} exports that no other module uses.\n`;
+    }
+    report += 'Consider reviewing these for potential cleanup.\n\n';
   }
   
   report += '### Next Steps\n\n';
@@ -0,0 +1,160 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+const { getOwnershipMeasure } = require('../utils/ownership');
+
+async function owners(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Calculating directory ownership...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('owners', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze({
+      ...getAnalyzerOptions(options, config),
+      includeCoChange: false
+    });
+
+    const maxShare = parseFloat(options.maxShare);
+    const ownershipOptions = {
+      maxShare: Number.isNaN(maxShare) ? 0.75 : maxShare,
+      topOwners: parseInt(options.top) || 3,
+      mode: analysis.ownershipMode
+    };
+    const directories = analyzer.aggregateDirectoryOwnership(analysis.files, ownershipOptions);
+
+    spinner.succeed('Ownership calculation complete!');
+
+    const format = options.format || 'table';
+    if (format === 'json') {
+      const output = JSON.stringify({
+        repository: analysis.repository,
+        ownership: ownershipOptions.mode,
+        maxShare: ownershipOptions.maxShare,
+        directories,
+        generatedAt: new Date().toISOString()
+      }, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Ownership saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const report = generateOwnershipReport(directories, analysis.repository, ownershipOptions);
+      if (options.output) {
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`Ownership saved to ${options.output}`));
+      } else {
+        console.log(report);
+      }
+    } else {
+      displayOwnershipTable(directories, analysis.repository, ownershipOptions, chalk);
+      if (options.output) {
+        const report = generateOwnershipReport(directories, analysis.repository, ownershipOptions);
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`\nOwnership saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Ownership calculation failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(0)}%`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatOwners(directory) {
+  if (directory.owners.length === 0) {
+    return 'Unknown';
+  }
+  return directory.owners
+    .map(owner => `${owner.author} (${formatShare(owner.share)})`)
+    .join(', ');
+}
+
+function displayOwnershipTable(directories, repoPath, { maxShare, mode }, chalk) {
+  const { unit, total } = getOwnershipMeasure(mode);
+  console.log('\n' + chalk.bold.blue('=== Directory Ownership ==='));
+  console.log(chalk.gray(`Repository: ${repoPath}`));
+  console.log(chalk.gray(`Measured by: ${unit}`));
+  console.log(chalk.gray(`Concentration threshold: ${formatShare(maxShare)}`));
+  console.log();
+
+  if (directories.length === 0) {
+    console.log(chalk.yellow('No analyzable files found.'));
+    return;
+  }
+
+  const table = new Table({
+    head: ['Directory', 'Files', capitalize(unit), 'Top Owners', 'Flag'],
+    style: {
+      head: ['cyan']
+    }
+  });
+
+  directories.forEach(directory => {
+    table.push([
+      directory.directory,
+      directory.fileCount,
+      directory[total],
+      formatOwners(directory),
+      directory.concentrated ? chalk.yellow('⚠ concentrated') : ''
+    ]);
+  });
+
+  console.log(table.toString());
+
+  const concentrated = directories.filter(d => d.concentrated);
+  if (concentrated.length > 0) {
+    console.log(chalk.yellow(`\n⚠ ${concentrated.length} directories are owned by a single person above ${formatShare(maxShare)}`));
+  }
+}
+
+function generateOwnershipReport(directories, repoPath, { maxShare, mode }) {
+  const { unit, total } = getOwnershipMeasure(mode);
+  let report = '# Directory Ownership\n\n';
+  report += `**Repository:** ${repoPath}\n`;
+  report += `**Measured by:** ${unit}\n`;
+  report += `**Concentration threshold:** ${formatShare(maxShare)}\n`;
+  report += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  if (directories.length === 0) {
+    report += 'No analyzable files found.\n';
+    return report;
+  }
+
+  report += `| Directory | Files | ${capitalize(unit)} | Top Owners | Flag |\n`;
+  report += '|-----------|-------|---------|------------|------|\n';
+  directories.forEach(directory => {
+    const flag = directory.concentrated ? '⚠️ concentrated' : '';
+    report += `| ${directory.directory} | ${directory.fileCount} | ${directory[total]} | ${formatOwners(directory)} | ${flag} |\n`;
+  });
+
+  const concentrated = directories.filter(d => d.concentrated);
+  if (concentrated.length > 0) {
+    report += '\n## Knowledge Concentration\n\n';
+    report += `These directories have one person holding more than ${formatShare(maxShare)} of ${unit}:\n\n`;
+    concentrated.forEach(directory => {
+      report += `- **${directory.directory}**: ${directory.primary} (${formatShare(directory.owners[0].share)})\n`;
+    });
+  }
+
+  report += '\n---\n\n';
+  report += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return report;
+}
+
+module.exports = { owners };
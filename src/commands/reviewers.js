@@ -0,0 +1,81 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions, parseFileList } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+async function reviewers(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Finding reviewers...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('reviewers', cliOptions, config);
+    if (!options.files && !options.base) {
+      throw new Error('Pass --base <ref> to diff against a branch, or --files <paths> to list changed files');
+    }
+
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analyzerOptions = getAnalyzerOptions(options, config);
+    const head = analyzerOptions.rev || 'HEAD';
+    const changedPaths = options.files
+      ? parseFileList(options.files, analyzer.repoPath)
+      : await analyzer.gitAnalyzer.getChangedFiles(options.base, head);
+
+    // The change's authors come from --author, or from the commits on the branch
+    const changeAuthors = options.author
+      ? options.author.split(',').map(author => author.trim()).filter(Boolean)
+      : options.base ? await analyzer.gitAnalyzer.getChangeAuthors(options.base, head) : [];
+
+    const analysis = await analyzer.analyze({ ...analyzerOptions, ownershipMode: 'commits' });
+    const impact = analyzer.analyzeImpact(analysis.files, changedPaths, {
+      depth: parseInt(options.depth) || 0
+    });
+    const suggestions = analyzer.suggestReviewers(analysis.files, impact, {
+      count: parseInt(options.count) || 2,
+      exclude: changeAuthors
+    });
+
+    spinner.succeed('Reviewer suggestion complete!');
+
+    const output = options.format === 'json'
+      ? JSON.stringify({
+        repository: analysis.repository,
+        change: options.files ? 'listed files' : `${options.base}...${head}`,
+        changedFiles: changedPaths,
+        excludedAuthors: changeAuthors,
+        halfLifeDays: analysis.ownershipHalfLife,
+        reviewers: suggestions,
+        generatedAt: new Date().toISOString()
+      }, null, 2)
+      : formatReviewers(suggestions, changedPaths, changeAuthors);
+
+    if (options.output) {
+      await fs.writeFile(options.output, output);
+      console.log(chalk.green(`Reviewers saved to ${options.output}`));
+    } else {
+      console.log(output);
+    }
+  } catch (error) {
+    spinner.fail('Reviewer suggestion failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatReviewers(suggestions, changedPaths, changeAuthors) {
+  let output = `Suggested reviewers for ${changedPaths.length} changed files`;
+  output += changeAuthors.length > 0 ? ` (excluding ${changeAuthors.join(', ')}):\n` : ':\n';
+
+  if (suggestions.length === 0) {
+    return output + '  No one else has worked on these files\n';
+  }
+
+  suggestions.forEach((reviewer, i) => {
+    output += `  ${i + 1}. ${reviewer.author} (score ${reviewer.score}; knows ${reviewer.changedFiles} changed`;
+    output += reviewer.otherFiles > 0 ? ` and ${reviewer.otherFiles} related files)\n` : ' files)\n';
+  });
+  return output;
+}
+
+module.exports = { reviewers };
@@ -4,31 +4,58 @@ const Table = require('cli-table3');
 const path = require('path');
 const { loadCliDeps } = require('../utils/cli-deps');
 const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
 
-async function risk(repoPath, options) {
+const RISK_FACTOR_LABELS = {
+  complexity: 'Complexity',
+  size: 'Lines',
+  changeFrequency: 'Change frequency',
+  contributors: 'Contributors',
+  dependencies: 'Dependents',
+  cycles: 'Import cycle size'
+};
+
+// Percentile scores run 0-100, so the absolute defaults would flag nearly everything
+const RISK_LEVELS = {
+  absolute: { threshold: 5, high: 7, critical: 10 },
+  percentile: { threshold: 75, high: 75, critical: 90 }
+};
+
+async function risk(repoPath, cliOptions) {
   const { chalk, ora } = await loadCliDeps();
   const spinner = ora('Calculating refactor risk scores...').start();
   
   try {
-    const analyzer = new RepositoryAnalyzer(repoPath);
-    const analysis = await analyzer.analyze(getAnalyzerOptions(options));
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('risk', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analysis = await analyzer.analyze(getAnalyzerOptions(options, config));
     
-    const filesWithRisk = analysis.files.map(file => ({
+    const mode = options.mode;
+    const explanations = analyzer.explainRiskScores(analysis.files, mode);
+    const filesWithRisk = analysis.files.map((file, i) => ({
       ...file,
-      riskScore: analyzer.calculateRiskScore(file)
+      riskScore: explanations[i].score,
+      riskFactors: explanations[i].factors
     }));
     
-    const threshold = parseInt(options.threshold) || 5;
+    const levels = RISK_LEVELS[mode];
+    const parsedThreshold = parseFloat(options.threshold);
+    const threshold = Number.isNaN(parsedThreshold) ? levels.threshold : parsedThreshold;
     const highRiskFiles = filesWithRisk
       .filter(f => f.riskScore >= threshold)
       .sort((a, b) => b.riskScore - a.riskScore);
     
     spinner.succeed('Risk calculation complete!');
     
-    displayRiskReport(highRiskFiles, analysis.repository, threshold, chalk);
+    const reportOptions = { mode, levels, threshold };
+    displayRiskReport(highRiskFiles, analysis.repository, reportOptions, chalk);
+    if (options.explain) {
+      displayRiskBreakdown(highRiskFiles, analysis.repository, chalk);
+    }
     
     if (options.output) {
-      const report = generateRiskReport(highRiskFiles, analysis.repository, threshold);
+      const report = generateRiskReport(highRiskFiles, analysis.repository, reportOptions, options.explain);
       await fs.writeFile(options.output, report);
       console.log(chalk.green(`\nReport saved to ${options.output}`));
     }
@@ -39,9 +66,10 @@ async function risk(repoPath, options) {
   }
 }
 
-function displayRiskReport(highRiskFiles, repoPath, threshold, chalk) {
+function displayRiskReport(highRiskFiles, repoPath, { mode, levels, threshold }, chalk) {
   console.log('\n' + chalk.bold.blue('=== Refactor Risk Report ==='));
   console.log(chalk.gray(`Repository: ${repoPath}`));
+  console.log(chalk.gray(`Scoring: ${mode}`));
   console.log(chalk.gray(`Threshold: ${threshold}`));
   console.log();
   
@@ -64,8 +92,8 @@ function displayRiskReport(highRiskFiles, repoPath, threshold, chalk) {
     const shortPath = relPath.length > 50 ? '...' + relPath.slice(-47) : relPath;
     const deps = file.callGraphInfo?.calledBy?.length || 0;
     
-    const riskColor = file.riskScore >= 10 ? chalk.red : 
-      file.riskScore >= 7 ? chalk.yellow : 
+    const riskColor = file.riskScore >= levels.critical ? chalk.red : 
+      file.riskScore >= levels.high ? chalk.yellow : 
         chalk.white;
     
     table.push([
@@ -90,16 +118,17 @@ function displayRiskReport(highRiskFiles, repoPath, threshold, chalk) {
   console.log('  • Change Frequency: Files that change often are riskier');
   console.log('  • Contributors: Multiple contributors indicate complexity');
   console.log('  • Dependencies: Files with many dependents are critical');
+  console.log('  • Import Cycles: Files in circular dependencies cannot change in isolation');
   
   const avgRisk = (highRiskFiles.reduce((sum, f) => sum + f.riskScore, 0) / highRiskFiles.length).toFixed(1);
   console.log(chalk.bold(`\nAverage Risk Score: ${avgRisk}`));
   
   console.log('\n' + chalk.bold('Recommendations:'));
-  const criticalFiles = highRiskFiles.filter(f => f.riskScore >= 10);
+  const criticalFiles = highRiskFiles.filter(f => f.riskScore >= levels.critical);
   if (criticalFiles.length > 0) {
     console.log(chalk.red(`  ⚠ ${criticalFiles.length} critical files need immediate attention`));
   }
-  const highFiles = highRiskFiles.filter(f => f.riskScore >= 7 && f.riskScore < 10);
+  const highFiles = highRiskFiles.filter(f => f.riskScore >= levels.high && f.riskScore < levels.critical);
   if (highFiles.length > 0) {
     console.log(chalk.yellow(`  ⚠ ${highFiles.length} files have high risk - consider refactoring`));
   }
@@ -109,9 +138,37 @@ function displayRiskReport(highRiskFiles, repoPath, threshold, chalk) {
   console.log('  • Consider extracting reusable components');
 }
 
-function generateRiskReport(highRiskFiles, repoPath, threshold) {
+function describeRiskFactor(factor) {
+  const label = RISK_FACTOR_LABELS[factor.factor] || factor.factor;
+  const weighting = factor.weight === 1 ? '' : ` × ${factor.weight}`;
+  if (factor.percentile !== undefined) {
+    return `${label}: ${factor.value} (p${factor.percentile})${weighting} → ${factor.contribution}`;
+  }
+  return `${label}: ${factor.value} > ${factor.above} → ${factor.points} pts${weighting} = ${factor.contribution}`;
+}
+
+function isContributingFactor(factor) {
+  return factor.contribution > 0;
+}
+
+function displayRiskBreakdown(highRiskFiles, repoPath, chalk) {
+  if (highRiskFiles.length === 0) {
+    return;
+  }
+
+  console.log('\n' + chalk.bold('Score Breakdown:'));
+  highRiskFiles.slice(0, 20).forEach(file => {
+    console.log(`\n  ${chalk.cyan(path.relative(repoPath, file.path))} ${chalk.bold(String(file.riskScore))}`);
+    file.riskFactors
+      .filter(isContributingFactor)
+      .forEach(factor => console.log(chalk.gray(`    • ${describeRiskFactor(factor)}`)));
+  });
+}
+
+function generateRiskReport(highRiskFiles, repoPath, { mode, levels, threshold }, explain = false) {
   let report = '# Refactor Risk Report\n\n';
   report += `**Repository:** ${repoPath}\n`;
+  report += `**Scoring:** ${mode}\n`;
   report += `**Threshold:** ${threshold}\n`;
   report += `**Generated:** ${new Date().toISOString()}\n\n`;
   
@@ -141,10 +198,24 @@ function generateRiskReport(highRiskFiles, repoPath, threshold) {
   report += '- **Size:** Larger files are harder to refactor\n';
   report += '- **Change Frequency:** Files that change often are riskier\n';
   report += '- **Contributors:** Multiple contributors indicate complexity\n';
-  report += '- **Dependencies:** Files with many dependents are critical\n\n';
+  report += '- **Dependencies:** Files with many dependents are critical\n';
+  report += '- **Import Cycles:** Files in circular dependencies cannot change in isolation\n\n';
+
+  if (explain) {
+    report += '## Score Breakdown\n\n';
+    highRiskFiles.forEach(file => {
+      report += `### ${path.relative(repoPath, file.path)} (${file.riskScore})\n\n`;
+      file.riskFactors
+        .filter(isContributingFactor)
+        .forEach(factor => {
+          report += `- ${describeRiskFactor(factor)}\n`;
+        });
+      report += '\n';
+    });
+  }
   
   report += '## Recommendations\n\n';
-  const criticalFiles = highRiskFiles.filter(f => f.riskScore >= 10);
+  const criticalFiles = highRiskFiles.filter(f => f.riskScore >= levels.critical);
   if (criticalFiles.length > 0) {
     report += `⚠️ **${criticalFiles.length} critical files** need immediate attention:\n\n`;
     criticalFiles.forEach(file => {
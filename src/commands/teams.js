@@ -0,0 +1,173 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+const { getOwnershipMeasure } = require('../utils/ownership');
+
+async function teams(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Analyzing teams...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    if (!config.teams || Object.keys(config.teams).length === 0) {
+      throw new Error('No teams configured; add a "teams" section mapping team names to author names or emails to the project config');
+    }
+    const options = resolveCommandOptions('teams', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analyzerOptions = getAnalyzerOptions(options, config);
+    const analysis = await analyzer.analyze({ ...analyzerOptions, includeCoChange: false });
+    const days = parseInt(options.days) || 0;
+    const maxFilesPerCommit = parseInt(options.maxFilesPerCommit);
+    const result = {
+      days,
+      ...await analyzer.analyzeTeams(analysis.files, {
+        mode: analysis.ownershipMode,
+        days,
+        includeCoChange: analyzerOptions.includeCoChange,
+        maxFilesPerCommit: Number.isNaN(maxFilesPerCommit) ? 30 : maxFilesPerCommit
+      })
+    };
+
+    spinner.succeed('Team analysis complete!');
+
+    const format = options.format || 'table';
+    if (format === 'json') {
+      const output = JSON.stringify({
+        repository: analysis.repository,
+        ownership: analysis.ownershipMode,
+        ...result,
+        generatedAt: new Date().toISOString()
+      }, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Team report saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const report = generateTeamsReport(result, analysis.repository, analysis.ownershipMode);
+      if (options.output) {
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`Team report saved to ${options.output}`));
+      } else {
+        console.log(report);
+      }
+    } else {
+      displayTeams(result, analysis.repository, analysis.ownershipMode, chalk);
+      if (options.output) {
+        await fs.writeFile(options.output, generateTeamsReport(result, analysis.repository, analysis.ownershipMode));
+        console.log(chalk.green(`\nTeam report saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Team analysis failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(0)}%`;
+}
+
+function describeWindow(days) {
+  return days > 0 ? `last ${days} days` : 'all history';
+}
+
+// Rows and columns are teams; each cell is "imports / co-changes" between them
+function buildMatrix(result) {
+  const names = result.teams.map(team => team.team);
+  const pairs = new Map(result.coupling.map(pair => [pair.teams.join('\n'), pair]));
+  return names.map(row => [row, ...names.map(column => {
+    if (row === column) return '-';
+    const pair = pairs.get([row, column].sort().join('\n'));
+    return pair ? `${pair.imports} / ${pair.coChanges}` : '';
+  })]);
+}
+
+function displayTeams(result, repoPath, mode, chalk) {
+  const { unit } = getOwnershipMeasure(mode);
+  console.log('\n' + chalk.bold.blue('=== Teams ==='));
+  console.log(chalk.gray(`Repository: ${repoPath}`));
+  console.log(chalk.gray(`Churn window: ${describeWindow(result.days)}`));
+  console.log();
+
+  if (result.teams.length === 0) {
+    console.log(chalk.yellow('No analyzable files found.'));
+    return;
+  }
+
+  const table = new Table({
+    head: ['Team', 'Members', 'Files', `Share of ${unit}`, 'Churn', 'Avg Risk', 'Max Risk'],
+    style: {
+      head: ['cyan']
+    }
+  });
+  result.teams.forEach(team => {
+    table.push([team.team, team.members.length, team.filesOwned, formatShare(team.share), team.churn, team.averageRisk, team.maxRisk]);
+  });
+  console.log(table.toString());
+
+  if (result.coupling.length === 0) {
+    console.log(chalk.green('\n✓ No imports or co-changes cross team boundaries'));
+    return;
+  }
+
+  console.log('\n' + chalk.bold('Coupling (imports / co-changes):'));
+  const matrix = new Table({
+    head: ['', ...result.teams.map(team => team.team)],
+    style: {
+      head: ['cyan']
+    }
+  });
+  buildMatrix(result).forEach(row => matrix.push(row));
+  console.log(matrix.toString());
+
+  const [top] = result.coupling;
+  console.log(chalk.yellow(`\n⚠ ${top.teams[0]} and ${top.teams[1]} are the most entangled (${top.imports} imports, ${top.coChanges} co-changes)`));
+}
+
+function generateTeamsReport(result, repoPath, mode) {
+  const { unit } = getOwnershipMeasure(mode);
+  let report = '# Team Report\n\n';
+  report += `**Repository:** ${repoPath}\n`;
+  report += `**Churn window:** ${describeWindow(result.days)}\n`;
+  report += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  if (result.teams.length === 0) {
+    report += 'No analyzable files found.\n';
+    return report;
+  }
+
+  report += '## Teams\n\n';
+  report += `| Team | Members | Files | Share of ${unit} | Churn | Avg Risk | Max Risk |\n`;
+  report += '|------|---------|-------|--------|-------|----------|----------|\n';
+  result.teams.forEach(team => {
+    report += `| ${team.team} | ${team.members.join(', ')} | ${team.filesOwned} | ${formatShare(team.share)} | ${team.churn} | ${team.averageRisk} | ${team.maxRisk} |\n`;
+  });
+  report += '\n';
+
+  report += '## Coupling\n\n';
+  if (result.coupling.length === 0) {
+    report += 'No imports or co-changes cross team boundaries.\n\n';
+  } else {
+    report += 'Each cell counts import edges / co-changing file pairs between two teams\' files. ';
+    report += 'The more entangled two teams\' code is, the more they have to coordinate.\n\n';
+    report += `| | ${result.teams.map(team => team.team).join(' | ')} |\n`;
+    report += `|---|${result.teams.map(() => '---').join('|')}|\n`;
+    buildMatrix(result).forEach(row => {
+      report += `| ${row.join(' | ')} |\n`;
+    });
+    report += '\n';
+  }
+
+  report += '---\n\n';
+  report += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return report;
+}
+
+module.exports = { teams };
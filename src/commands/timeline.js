@@ -0,0 +1,196 @@
+const { RepositoryAnalyzer } = require('../analyzers/repository-analyzer');
+const fs = require('fs').promises;
+const Table = require('cli-table3');
+const { loadCliDeps } = require('../utils/cli-deps');
+const { getAnalyzerOptions } = require('../utils/analyzer-options');
+const { loadProjectConfig, resolveCommandOptions } = require('../utils/project-config');
+
+const CSV_COLUMNS = ['label', 'commit', 'date', 'files', 'lines', 'importEdges', 'cycles', 'deadFiles', 'averageRisk', 'languages'];
+
+async function timeline(repoPath, cliOptions) {
+  const { chalk, ora } = await loadCliDeps();
+  const spinner = ora('Collecting snapshots...').start();
+
+  try {
+    const config = loadProjectConfig(repoPath, cliOptions.config);
+    const options = resolveCommandOptions('timeline', cliOptions, config);
+    const analyzer = new RepositoryAnalyzer(repoPath, config);
+    const analyzerOptions = getAnalyzerOptions(options, config);
+
+    analyzer.gitAnalyzer.setHistoryWindow(analyzerOptions);
+    await analyzer.gitAnalyzer.verifyRevision();
+    const snapshots = await analyzer.gitAnalyzer.getSnapshotRevisions({
+      by: options.by,
+      step: parseInt(options.step) || 0,
+      limit: parseInt(options.limit) || 0
+    });
+
+    const series = await analyzer.analyzeTimeline(snapshots, {
+      ...analyzerOptions,
+      onSnapshot: (snapshot, index, total) => {
+        spinner.text = `Analyzing ${snapshot.label} (${index + 1}/${total})...`;
+      }
+    });
+
+    spinner.succeed(`Analyzed ${series.length} snapshots!`);
+
+    const format = options.format || 'table';
+    if (format === 'json' || format === 'csv') {
+      const output = format === 'json'
+        ? JSON.stringify({
+          repository: analyzer.repoPath,
+          by: options.by,
+          snapshots: series,
+          generatedAt: new Date().toISOString()
+        }, null, 2)
+        : formatTimelineCsv(series);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.log(chalk.green(`Timeline saved to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } else if (format === 'markdown') {
+      const report = generateTimelineReport(series, analyzer.repoPath, options.by);
+      if (options.output) {
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`Timeline saved to ${options.output}`));
+      } else {
+        console.log(report);
+      }
+    } else {
+      displayTimeline(series, analyzer.repoPath, chalk);
+      if (options.output) {
+        const report = generateTimelineReport(series, analyzer.repoPath, options.by);
+        await fs.writeFile(options.output, report);
+        console.log(chalk.green(`\nTimeline saved to ${options.output}`));
+      }
+    }
+  } catch (error) {
+    spinner.fail('Timeline analysis failed');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatDate(isoDate) {
+  return isoDate ? isoDate.slice(0, 10) : 'unknown';
+}
+
+function formatLanguages(languages) {
+  return Object.entries(languages).map(([language, count]) => `${language}:${count}`).join(' ');
+}
+
+function formatDelta(value) {
+  const rounded = Math.round(value * 10) / 10;
+  return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+// The step between consecutive snapshots where average risk rose the most
+function findLargestRiskIncrease(series) {
+  let largest = null;
+  for (let i = 1; i < series.length; i++) {
+    const increase = series[i].averageRisk - series[i - 1].averageRisk;
+    if (increase > 0 && (!largest || increase > largest.increase)) {
+      largest = { from: series[i - 1], to: series[i], increase };
+    }
+  }
+  return largest;
+}
+
+function formatTimelineCsv(series) {
+  const escape = value => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = series.map(snapshot => [
+    snapshot.label,
+    snapshot.hash,
+    snapshot.date,
+    snapshot.files,
+    snapshot.lines,
+    snapshot.importEdges,
+    snapshot.cycles,
+    snapshot.deadFiles,
+    snapshot.averageRisk,
+    formatLanguages(snapshot.languages)
+  ].map(escape).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function displayTimeline(series, repoPath, chalk) {
+  console.log('\n' + chalk.bold.blue('=== Architecture Timeline ==='));
+  console.log(chalk.gray(`Repository: ${repoPath}`));
+  console.log();
+
+  const table = new Table({
+    head: ['Snapshot', 'Date', 'Files', 'Edges', 'Cycles', 'Dead', 'Avg Risk', 'Languages'],
+    style: {
+      head: ['cyan']
+    }
+  });
+
+  series.forEach((snapshot, i) => {
+    const previous = series[i - 1];
+    const riskRose = previous && snapshot.averageRisk > previous.averageRisk;
+    table.push([
+      snapshot.label,
+      formatDate(snapshot.date),
+      snapshot.files,
+      snapshot.importEdges,
+      snapshot.cycles,
+      snapshot.deadFiles,
+      riskRose ? chalk.red(String(snapshot.averageRisk)) : String(snapshot.averageRisk),
+      formatLanguages(snapshot.languages)
+    ]);
+  });
+
+  console.log(table.toString());
+
+  const largest = findLargestRiskIncrease(series);
+  if (largest) {
+    console.log(chalk.yellow(`\n⚠ Average risk rose most between ${largest.from.label} and ${largest.to.label} (${formatDelta(largest.increase)})`));
+  }
+}
+
+function generateTimelineReport(series, repoPath, by) {
+  let report = '# Architecture Timeline\n\n';
+  report += `**Repository:** ${repoPath}\n`;
+  report += `**Snapshots:** ${series.length} (by ${by})\n`;
+  report += `**Generated:** ${new Date().toISOString()}\n\n`;
+
+  if (series.length > 1) {
+    const first = series[0];
+    const last = series[series.length - 1];
+    report += '## Summary\n\n';
+    report += `From ${first.label} (${formatDate(first.date)}) to ${last.label} (${formatDate(last.date)}):\n\n`;
+    report += `- **Files:** ${first.files} → ${last.files} (${formatDelta(last.files - first.files)})\n`;
+    report += `- **Import edges:** ${first.importEdges} → ${last.importEdges} (${formatDelta(last.importEdges - first.importEdges)})\n`;
+    report += `- **Cycles:** ${first.cycles} → ${last.cycles} (${formatDelta(last.cycles - first.cycles)})\n`;
+    report += `- **Dead files:** ${first.deadFiles} → ${last.deadFiles} (${formatDelta(last.deadFiles - first.deadFiles)})\n`;
+    report += `- **Average risk:** ${first.averageRisk} → ${last.averageRisk} (${formatDelta(last.averageRisk - first.averageRisk)})\n`;
+
+    const largest = findLargestRiskIncrease(series);
+    if (largest) {
+      report += `\nAverage risk rose most between **${largest.from.label}** and **${largest.to.label}** `;
+      report += `(${formatDelta(largest.increase)}), which is a good place to start looking for decay.\n`;
+    }
+    report += '\n';
+  }
+
+  report += '## Snapshots\n\n';
+  report += '| Snapshot | Date | Files | Lines | Import Edges | Cycles | Dead Files | Avg Risk | Languages |\n';
+  report += '|----------|------|-------|-------|--------------|--------|------------|----------|-----------|\n';
+  series.forEach(snapshot => {
+    report += `| ${snapshot.label} | ${formatDate(snapshot.date)} | ${snapshot.files} | ${snapshot.lines} | ${snapshot.importEdges} | ${snapshot.cycles} | ${snapshot.deadFiles} | ${snapshot.averageRisk} | ${formatLanguages(snapshot.languages)} |\n`;
+  });
+
+  report += '\n---\n\n';
+  report += '*This report was automatically generated by Repo Archaeologist.*\n';
+
+  return report;
+}
+
+module.exports = { timeline };
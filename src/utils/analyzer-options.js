@@ -1,28 +1,54 @@
-const DEFAULT_IGNORE_PATTERNS = ['node_modules', '.git', 'dist', 'build', 'coverage'];
+const path = require('path');
 
-function parseIgnorePatterns(ignoreOption) {
-  if (!ignoreOption) {
-    return DEFAULT_IGNORE_PATTERNS;
-  }
+const DEFAULT_IGNORE_PATTERNS = ['node_modules', '.git', 'dist', 'build', 'coverage'];
 
-  const additionalPatterns = ignoreOption
+function parseIgnorePatterns(ignoreOption, configPatterns = []) {
+  const additionalPatterns = (ignoreOption || '')
     .split(',')
     .map(pattern => pattern.trim())
     .filter(Boolean);
 
-  return [...new Set([...DEFAULT_IGNORE_PATTERNS, ...additionalPatterns])];
+  if (additionalPatterns.length === 0 && configPatterns.length === 0) {
+    return DEFAULT_IGNORE_PATTERNS;
+  }
+
+  return [...new Set([...DEFAULT_IGNORE_PATTERNS, ...configPatterns, ...additionalPatterns])];
 }
 
-function getAnalyzerOptions(options = {}) {
+// Comma-separated paths, relative to the repository root or absolute
+function parseFileList(filesOption, repoPath) {
+  return (filesOption || '')
+    .split(',')
+    .map(file => file.trim())
+    .filter(Boolean)
+    .map(file => path.relative(repoPath, path.resolve(repoPath, file)).replace(/\\/g, '/'));
+}
+
+function getAnalyzerOptions(options = {}, config = {}) {
+  const includeTests = options.includeTests !== undefined
+    ? options.includeTests
+    : config.includeTests;
+  const skipCochange = options.skipCochange !== undefined
+    ? options.skipCochange
+    : config.skipCochange;
+
   return {
-    ignorePatterns: parseIgnorePatterns(options.ignore),
-    includeTestsInDeadCode: Boolean(options.includeTests),
-    includeCoChange: options.includeCoChange === false ? false : !Boolean(options.skipCochange)
+    ignorePatterns: parseIgnorePatterns(options.ignore, config.ignore),
+    includeTestsInDeadCode: Boolean(includeTests),
+    includeCoChange: options.includeCoChange === false ? false : !skipCochange,
+    testPatterns: config.testPatterns || [],
+    entryPoints: config.entryPoints || [],
+    ownershipMode: options.ownership || 'commits',
+    halfLifeDays: options.halfLife !== undefined ? parseFloat(options.halfLife) : 0,
+    since: options.since || null,
+    until: options.until || null,
+    rev: options.rev || null
   };
 }
 
 module.exports = {
   DEFAULT_IGNORE_PATTERNS,
   parseIgnorePatterns,
+  parseFileList,
   getAnalyzerOptions
 };
@@ -19,18 +19,29 @@ function extractAstData(content, language) {
     const classes = new Set();
     const exports = new Set();
     const interfaces = new Set();
+    const importBindings = new Map();
+    const reExports = [];
+    const localExportSpecifiers = [];
+    const dynamicImports = new Set();
 
     walkAst(ast, (node) => {
       switch (node.type) {
       case 'ImportDeclaration':
         addImportSource(node, imports, { ignoreTypeOnly: true });
+        addImportBindings(node, importBindings);
         break;
       case 'ExportAllDeclaration':
         addImportSource(node, imports);
         exports.add('*');
+        addReExports(node, reExports);
         break;
       case 'ExportNamedDeclaration':
         addImportSource(node, imports, { ignoreTypeOnly: true });
+        if (node.source) {
+          addReExports(node, reExports);
+        } else {
+          addLocalExportSpecifiers(node, localExportSpecifiers);
+        }
         if (node.declaration) {
           collectDeclarationNames(node.declaration, {
             functions,
@@ -63,9 +74,11 @@ function extractAstData(content, language) {
         break;
       case 'CallExpression':
         addRequireImport(node, imports);
+        addDynamicImport(node, dynamicImports);
         break;
       case 'AssignmentExpression':
         addCommonJsExports(node, exports);
+        addCommonJsExportSpecifiers(node, localExportSpecifiers);
         break;
       case 'FunctionDeclaration':
         if (node.id && node.id.name) {
@@ -74,6 +87,7 @@ function extractAstData(content, language) {
         break;
       case 'VariableDeclarator':
         addFunctionFromVariableDeclarator(node, functions);
+        addRequireBindings(node, importBindings);
         break;
       case 'ClassDeclaration':
         if (node.id && node.id.name) {
@@ -90,13 +104,26 @@ function extractAstData(content, language) {
       }
     });
 
+    // Exports that merely pass an imported binding through behave like re-exports
+    localExportSpecifiers.forEach(({ local, exported }) => {
+      const binding = importBindings.get(local);
+      if (binding) {
+        reExports.push({ source: binding.source, imported: binding.imported, exported });
+      }
+    });
+
     return {
       imports: Array.from(imports),
       functions: Array.from(functions),
       classes: Array.from(classes),
       exports: Array.from(exports),
       interfaces: Array.from(interfaces),
-      structs: []
+      structs: [],
+      importBindings: Array.from(importBindings.entries()).map(([local, binding]) => ({ local, ...binding })),
+      reExports,
+      symbolCalls: collectSymbolCalls(ast, importBindings),
+      namespaceUsages: collectNamespaceUsages(ast, importBindings),
+      dynamicImports: Array.from(dynamicImports)
     };
   } catch (_error) {
     return null;
@@ -122,15 +149,16 @@ function getAstPlugins(language) {
   return plugins;
 }
 
-function walkAst(rootNode, visitor) {
-  const stack = [rootNode];
+function walkAst(rootNode, visitor, getChildContext) {
+  const stack = [{ node: rootNode, context: null }];
 
   while (stack.length > 0) {
-    const current = stack.pop();
+    const { node: current, context } = stack.pop();
     if (!current || typeof current !== 'object') continue;
     if (typeof current.type !== 'string') continue;
 
-    visitor(current);
+    visitor(current, context);
+    const childContext = getChildContext ? getChildContext(current, context) : context;
 
     Object.values(current).forEach((value) => {
       if (!value) return;
@@ -139,19 +167,341 @@ function walkAst(rootNode, visitor) {
         for (let i = value.length - 1; i >= 0; i--) {
           const child = value[i];
           if (child && typeof child.type === 'string') {
-            stack.push(child);
+            stack.push({ node: child, context: childContext });
           }
         }
         return;
       }
 
       if (typeof value === 'object' && typeof value.type === 'string') {
-        stack.push(value);
+        stack.push({ node: value, context: childContext });
       }
     });
   }
 }
 
+function addImportBindings(node, bindings) {
+  if (!node.source || typeof node.source.value !== 'string') {
+    return;
+  }
+
+  (node.specifiers || []).forEach((specifier) => {
+    if (!specifier.local) {
+      return;
+    }
+
+    let imported = null;
+    if (specifier.type === 'ImportDefaultSpecifier') {
+      imported = 'default';
+    } else if (specifier.type === 'ImportNamespaceSpecifier') {
+      imported = '*';
+    } else if (specifier.type === 'ImportSpecifier') {
+      imported = getIdentifierName(specifier.imported);
+    }
+
+    if (!imported) {
+      return;
+    }
+
+    const binding = { source: node.source.value, imported };
+    if (node.importKind === 'type' || specifier.importKind === 'type') {
+      binding.typeOnly = true;
+    }
+    bindings.set(specifier.local.name, binding);
+  });
+}
+
+function addRequireBindings(node, bindings) {
+  if (!node.id || !node.init) {
+    return;
+  }
+
+  let init = node.init;
+  let member = null;
+  if (init.type === 'MemberExpression') {
+    member = getMemberPropertyName(init);
+    init = init.object;
+  }
+
+  const source = getModuleSourceFromCall(init);
+  if (!source) {
+    return;
+  }
+
+  if (node.id.type === 'Identifier') {
+    bindings.set(node.id.name, { source, imported: member || '*' });
+    return;
+  }
+
+  if (node.id.type === 'ObjectPattern' && !member) {
+    node.id.properties.forEach((property) => {
+      if (property.type !== 'ObjectProperty') return;
+
+      const imported = getIdentifierName(property.key);
+      const local = property.value && property.value.type === 'AssignmentPattern'
+        ? property.value.left
+        : property.value;
+      if (imported && local && local.type === 'Identifier') {
+        bindings.set(local.name, { source, imported });
+      }
+    });
+  }
+}
+
+function getModuleSourceFromCall(node) {
+  const call = node && node.type === 'AwaitExpression' ? node.argument : node;
+  if (!call || call.type !== 'CallExpression' || !call.callee) {
+    return null;
+  }
+
+  const isRequire = call.callee.type === 'Identifier' && call.callee.name === 'require';
+  const isDynamicImport = call.callee.type === 'Import';
+  if (!isRequire && !isDynamicImport) {
+    return null;
+  }
+
+  const [firstArg] = call.arguments || [];
+  return firstArg && firstArg.type === 'StringLiteral' ? firstArg.value : null;
+}
+
+function addReExports(node, reExports) {
+  if (node.exportKind === 'type' || !node.source || typeof node.source.value !== 'string') {
+    return;
+  }
+
+  const source = node.source.value;
+  if (node.type === 'ExportAllDeclaration') {
+    reExports.push({ source, imported: '*', exported: '*' });
+    return;
+  }
+
+  (node.specifiers || []).forEach((specifier) => {
+    const exported = getIdentifierName(specifier.exported);
+    if (!exported || specifier.exportKind === 'type') return;
+
+    const imported = specifier.type === 'ExportNamespaceSpecifier'
+      ? '*'
+      : getIdentifierName(specifier.local);
+    if (imported) {
+      reExports.push({ source, imported, exported });
+    }
+  });
+}
+
+function addLocalExportSpecifiers(node, specifiers) {
+  (node.specifiers || []).forEach((specifier) => {
+    const local = getIdentifierName(specifier.local);
+    const exported = getIdentifierName(specifier.exported);
+    if (local && exported) {
+      specifiers.push({ local, exported });
+    }
+  });
+}
+
+function addCommonJsExportSpecifiers(node, specifiers) {
+  if (!node.left || node.left.type !== 'MemberExpression' || !node.right) {
+    return;
+  }
+
+  const leftPath = getMemberExpressionPath(node.left);
+  if (leftPath === 'module.exports' && node.right.type === 'ObjectExpression') {
+    node.right.properties.forEach((property) => {
+      if (property.type !== 'ObjectProperty' || !property.value || property.value.type !== 'Identifier') {
+        return;
+      }
+
+      const exported = getIdentifierName(property.key);
+      if (exported) {
+        specifiers.push({ local: property.value.name, exported });
+      }
+    });
+    return;
+  }
+
+  if (leftPath && node.right.type === 'Identifier') {
+    const match = /^(?:module\.)?exports\.([^.]+)$/.exec(leftPath);
+    if (match) {
+      specifiers.push({ local: node.right.name, exported: match[1] });
+    }
+  }
+}
+
+function collectSymbolCalls(ast, bindings) {
+  const calls = [];
+  const seen = new Set();
+
+  if (bindings.size === 0) {
+    return calls;
+  }
+
+  function record(caller, reference) {
+    if (!reference) return;
+
+    const { binding, member } = reference;
+    const key = [caller, binding.source, binding.imported, member].join('\0');
+    if (seen.has(key)) return;
+
+    seen.add(key);
+    calls.push({
+      caller,
+      source: binding.source,
+      imported: binding.imported,
+      member
+    });
+  }
+
+  walkAst(ast, (node, caller) => {
+    switch (node.type) {
+    case 'CallExpression':
+    case 'NewExpression':
+      record(caller, getBindingReference(node.callee, bindings));
+      break;
+    case 'JSXOpeningElement':
+      record(caller, getJsxBindingReference(node.name, bindings));
+      break;
+    default:
+      break;
+    }
+  }, (node, caller) => caller || getTopLevelSymbolName(node));
+
+  return calls;
+}
+
+// Records which members of a namespace-style binding (`import * as ns`,
+// `const ns = require(...)`, default imports) are used. A member of null means
+// the binding itself was called; '*' means it escaped and any member may be used.
+function collectNamespaceUsages(ast, bindings) {
+  const usages = [];
+  const seen = new Set();
+  const namespaceNames = new Set(
+    Array.from(bindings.entries())
+      .filter(([, binding]) => binding.imported === '*' || binding.imported === 'default')
+      .map(([local]) => local)
+  );
+
+  if (namespaceNames.size === 0) {
+    return usages;
+  }
+
+  walkAst(ast, (node, parent) => {
+    if (!parent || (node.type !== 'Identifier' && node.type !== 'JSXIdentifier')) return;
+    if (!namespaceNames.has(node.name)) return;
+
+    const member = getNamespaceMember(node, parent);
+    if (member === undefined) return;
+
+    const binding = bindings.get(node.name);
+    const key = [binding.source, binding.imported, member].join('\0');
+    if (seen.has(key)) return;
+
+    seen.add(key);
+    usages.push({ source: binding.source, imported: binding.imported, member });
+  }, node => node);
+
+  return usages;
+}
+
+function getNamespaceMember(node, parent) {
+  switch (parent.type) {
+  case 'MemberExpression':
+  case 'OptionalMemberExpression':
+    if (parent.object === node) {
+      return getMemberPropertyName(parent) || '*';
+    }
+    return parent.computed ? '*' : undefined;
+  case 'JSXMemberExpression':
+    return parent.object === node ? parent.property.name : undefined;
+  case 'JSXOpeningElement':
+  case 'JSXClosingElement':
+    return null;
+  case 'TSQualifiedName':
+    return parent.left === node ? getIdentifierName(parent.right) : undefined;
+  case 'CallExpression':
+  case 'NewExpression':
+    return parent.callee === node ? null : '*';
+  case 'ImportDefaultSpecifier':
+  case 'ImportNamespaceSpecifier':
+  case 'ImportSpecifier':
+    return undefined;
+  case 'VariableDeclarator':
+    return parent.id === node ? undefined : '*';
+  case 'ObjectProperty':
+  case 'ObjectMethod':
+  case 'ClassMethod':
+  case 'ClassProperty':
+    return parent.key === node && !parent.computed ? undefined : '*';
+  default:
+    return '*';
+  }
+}
+
+function getBindingReference(callee, bindings) {
+  if (!callee) return null;
+
+  if (callee.type === 'Identifier' && bindings.has(callee.name)) {
+    return { binding: bindings.get(callee.name), member: null };
+  }
+
+  if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+      bindings.has(callee.object.name)) {
+    return { binding: bindings.get(callee.object.name), member: getMemberPropertyName(callee) };
+  }
+
+  return null;
+}
+
+function getJsxBindingReference(name, bindings) {
+  if (!name) return null;
+
+  if (name.type === 'JSXIdentifier' && bindings.has(name.name)) {
+    return { binding: bindings.get(name.name), member: null };
+  }
+
+  if (name.type === 'JSXMemberExpression' && name.object.type === 'JSXIdentifier' &&
+      bindings.has(name.object.name)) {
+    return { binding: bindings.get(name.object.name), member: name.property.name };
+  }
+
+  return null;
+}
+
+// Calls are attributed to the outermost named declaration that contains them,
+// which is the granularity exports are tracked at.
+function getTopLevelSymbolName(node) {
+  switch (node.type) {
+  case 'ExportDefaultDeclaration':
+    return 'default';
+  case 'FunctionDeclaration':
+  case 'ClassDeclaration':
+    return node.id ? node.id.name : null;
+  case 'VariableDeclarator':
+    return node.id && node.id.type === 'Identifier' && isFunctionOrClass(node.init)
+      ? node.id.name
+      : null;
+  case 'AssignmentExpression': {
+    const leftPath = node.left && node.left.type === 'MemberExpression'
+      ? getMemberExpressionPath(node.left)
+      : null;
+    const match = leftPath && /^(?:module\.)?exports\.([^.]+)$/.exec(leftPath);
+    return match && isFunctionOrClass(node.right) ? match[1] : null;
+  }
+  case 'ObjectMethod':
+    return getIdentifierName(node.key);
+  case 'ObjectProperty':
+    return isFunctionOrClass(node.value) ? getIdentifierName(node.key) : null;
+  default:
+    return null;
+  }
+}
+
+function isFunctionOrClass(node) {
+  return Boolean(node) && (
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'ClassExpression'
+  );
+}
+
 function addImportSource(node, imports, options = {}) {
   if (options.ignoreTypeOnly && node.importKind === 'type') {
     return;
@@ -185,6 +535,17 @@ function addRequireImport(node, imports) {
   }
 }
 
+function addDynamicImport(node, dynamicImports) {
+  if (!node.callee || node.callee.type !== 'Import') {
+    return;
+  }
+
+  const [firstArg] = node.arguments || [];
+  if (firstArg && firstArg.type === 'StringLiteral') {
+    dynamicImports.add(firstArg.value);
+  }
+}
+
 function addCommonJsExports(node, exportsSet) {
   if (!node.left || node.left.type !== 'MemberExpression') {
     return;
@@ -0,0 +1,59 @@
+const { matchesAnyGlob } = require('./glob');
+
+// GitHub apps and most CI accounts commit as "<name>[bot]"
+const DEFAULT_BOT_PATTERNS = ['*[bot]'];
+
+// Builds a resolver from the config's `authors` section:
+//   aliases: { "Jane Doe": ["jdoe", "jane@work.example.com"] }
+//   bots: ["renovate-runner", "ci@*"]
+// Names and emails match case-insensitively; bot patterns are globs.
+function createAuthorResolver(authorsConfig = {}) {
+  const aliasTargets = new Map();
+  Object.entries(authorsConfig.aliases || {}).forEach(([canonical, aliases]) => {
+    [canonical, ...aliases].forEach(alias => {
+      aliasTargets.set(alias.trim().toLowerCase(), canonical);
+    });
+  });
+
+  const botPatterns = [...DEFAULT_BOT_PATTERNS, ...(authorsConfig.bots || [])]
+    .map(pattern => pattern.toLowerCase());
+
+  return function resolveAuthor(name, email = '') {
+    const normalizedName = (name || '').trim();
+    const normalizedEmail = (email || '').trim().replace(/^<|>$/g, '');
+    const canonical = aliasTargets.get(normalizedName.toLowerCase()) ||
+      (normalizedEmail && aliasTargets.get(normalizedEmail.toLowerCase())) ||
+      normalizedName ||
+      'Unknown';
+    const isBot = [canonical, normalizedName, normalizedEmail]
+      .filter(Boolean)
+      .some(identity => matchesAnyGlob(identity.toLowerCase(), botPatterns));
+
+    return { name: canonical, email: normalizedEmail, isBot };
+  };
+}
+
+// Builds a resolver from the config's `teams` section:
+//   teams: { "@acme/payments": ["Jane Doe", "*@payments.example.com"] }
+// Members are author names or emails, matched case-insensitively as globs.
+// The first listed team that matches wins; unmatched authors resolve to null.
+function createTeamResolver(teamsConfig = {}) {
+  const teams = Object.entries(teamsConfig).map(([team, members]) => ({
+    team,
+    patterns: members.map(member => member.trim().toLowerCase())
+  }));
+
+  return function resolveTeam(name, emails = []) {
+    const identities = [name, ...emails]
+      .filter(Boolean)
+      .map(identity => identity.trim().toLowerCase());
+    const match = teams.find(({ patterns }) => identities.some(identity => matchesAnyGlob(identity, patterns)));
+    return match ? match.team : null;
+  };
+}
+
+module.exports = {
+  DEFAULT_BOT_PATTERNS,
+  createAuthorResolver,
+  createTeamResolver
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+// Where GitHub looks for the file, in the order it looks
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+function findCodeownersFile(repoPath) {
+  const location = CODEOWNERS_LOCATIONS.find(candidate => fs.existsSync(path.join(repoPath, candidate)));
+  return location ? path.join(repoPath, location) : null;
+}
+
+// Each rule is "<pattern> <owner>...". Comments and blank lines are skipped, and
+// line numbers are kept so stale entries can point back at the file
+function parseCodeowners(content) {
+  return content.split('\n')
+    .map((line, i) => ({ line: i + 1, text: line.replace(/(^|\s)#.*$/, '').trim() }))
+    .filter(({ text }) => text)
+    .map(({ line, text }) => {
+      const [pattern, ...owners] = text.split(/\s+/);
+      return { line, pattern, owners };
+    });
+}
+
+// gitignore-style matching: patterns without a slash match at any depth, a
+// trailing slash limits the pattern to directories, and a pattern naming a
+// directory covers everything below it except when it ends in "/*"
+function codeownersPatternToRegExp(pattern) {
+  const directoryOnly = pattern.endsWith('/');
+  const trimmed = pattern.replace(/\/+$/, '');
+  const anchored = trimmed.includes('/');
+  const normalized = trimmed.replace(/^\/+/, '');
+  if (!normalized) {
+    return /^.*$/;
+  }
+
+  const body = globToRegExp(normalized).source.slice(1, -1);
+  const prefix = anchored ? '' : '(?:.*/)?';
+  let suffix = '(?:/.*)?';
+  if (directoryOnly) {
+    suffix = '/.*';
+  } else if (normalized.endsWith('/*')) {
+    suffix = '';
+  }
+  return new RegExp(`^${prefix}${body}${suffix}$`);
+}
+
+function matchesCodeownersPattern(filePath, pattern) {
+  return codeownersPatternToRegExp(pattern).test(filePath.replace(/\\/g, '/'));
+}
+
+// The last matching rule wins, as on GitHub
+function findOwningRule(filePath, rules) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (matchesCodeownersPattern(filePath, rules[i].pattern)) {
+      return rules[i];
+    }
+  }
+  return null;
+}
+
+// GitHub only accepts @user or @org/team handles and email addresses as owners
+function isCodeownersOwner(owner) {
+  return /^@[^\s@]+$/.test(owner) || /^[^\s@]+@[^\s@]+$/.test(owner);
+}
+
+// Rules whose owners GitHub would reject are commented out rather than left to
+// invalidate the line
+function formatCodeowners(rules, header = []) {
+  const width = Math.max(0, ...rules.map(rule => rule.pattern.length));
+  const formatRule = rule => {
+    const line = `${rule.pattern.padEnd(width)} ${rule.owners.join(' ')}`;
+    return rule.owners.every(isCodeownersOwner)
+      ? line
+      : `# ${line} (no team, email or @handle known; map the author in the config's teams or authors.aliases)`;
+  };
+  const lines = [
+    ...header.map(line => `# ${line}`.trimEnd()),
+    ...(header.length > 0 && rules.length > 0 ? [''] : []),
+    ...rules.map(formatRule)
+  ];
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  findCodeownersFile,
+  parseCodeowners,
+  matchesCodeownersPattern,
+  findOwningRule,
+  isCodeownersOwner,
+  formatCodeowners
+};
@@ -0,0 +1,74 @@
+const GLOB_CHARS = /[*?{]/;
+
+function normalizeGlobPath(value) {
+  return String(value).replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '');
+}
+
+function globToRegExp(pattern) {
+  const normalized = normalizeGlobPath(pattern);
+  let source = '';
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+
+    if (char === '*') {
+      if (normalized[i + 1] === '*') {
+        // `**/` matches zero or more whole directories, a trailing `**` matches anything
+        if (normalized[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = normalized.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const alternatives = normalized.slice(i + 1, end).split(',').map(escapeRegExp);
+        source += `(?:${alternatives.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function matchesGlob(filePath, pattern) {
+  const normalizedPath = normalizeGlobPath(filePath);
+  const normalizedPattern = normalizeGlobPath(pattern);
+
+  if (!normalizedPattern) {
+    return false;
+  }
+
+  // Plain paths match the file itself or anything below that directory
+  if (!GLOB_CHARS.test(normalizedPattern)) {
+    return normalizedPath === normalizedPattern || normalizedPath.startsWith(`${normalizedPattern}/`);
+  }
+
+  return globToRegExp(normalizedPattern).test(normalizedPath);
+}
+
+function matchesAnyGlob(filePath, patterns) {
+  return (patterns || []).some(pattern => matchesGlob(filePath, pattern));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  matchesAnyGlob
+};
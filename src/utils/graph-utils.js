@@ -0,0 +1,133 @@
+const path = require('path');
+
+const GRAPH_DIRECTIONS = ['both', 'callers', 'callees'];
+
+function extractSubgraph(callGraph, focusPath, options = {}) {
+  const direction = options.direction || 'both';
+  const maxDepth = Number.isFinite(options.depth) ? options.depth : Infinity;
+
+  if (!GRAPH_DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown graph direction: ${direction} (expected ${GRAPH_DIRECTIONS.join(', ')})`);
+  }
+
+  if (!callGraph[focusPath]) {
+    throw new Error(`File not found in call graph: ${focusPath}`);
+  }
+
+  const included = new Set([focusPath]);
+  let frontier = [focusPath];
+
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const nextFrontier = [];
+
+    frontier.forEach((filePath) => {
+      const node = callGraph[filePath];
+      const neighbours = [];
+      if (direction !== 'callers') neighbours.push(...node.calls);
+      if (direction !== 'callees') neighbours.push(...node.calledBy);
+
+      neighbours.forEach((neighbour) => {
+        if (!included.has(neighbour) && callGraph[neighbour]) {
+          included.add(neighbour);
+          nextFrontier.push(neighbour);
+        }
+      });
+    });
+
+    frontier = nextFrontier;
+  }
+
+  const subgraph = {};
+  included.forEach((filePath) => {
+    subgraph[filePath] = {
+      calls: callGraph[filePath].calls.filter(target => included.has(target)),
+      calledBy: callGraph[filePath].calledBy.filter(source => included.has(source))
+    };
+  });
+
+  return subgraph;
+}
+
+function getGraphNodes(callGraph, repoPath) {
+  return Object.keys(callGraph)
+    .map(filePath => toRelativePath(filePath, repoPath))
+    .sort();
+}
+
+function getGraphEdges(callGraph, repoPath) {
+  const seen = new Set();
+  const edges = [];
+
+  Object.entries(callGraph).forEach(([filePath, node]) => {
+    const from = toRelativePath(filePath, repoPath);
+    node.calls.forEach((target) => {
+      if (!callGraph[target]) return;
+
+      const to = toRelativePath(target, repoPath);
+      const key = `${from}\0${to}`;
+      if (seen.has(key)) return;
+
+      seen.add(key);
+      edges.push({ from, to });
+    });
+  });
+
+  return edges.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+}
+
+function formatDot(callGraph, repoPath, options = {}) {
+  const focus = options.focus ? toRelativePath(options.focus, repoPath) : null;
+  let output = 'digraph callgraph {\n';
+  output += '  rankdir=LR;\n';
+  output += '  node [shape=box, fontname="Helvetica"];\n';
+
+  getGraphNodes(callGraph, repoPath).forEach((node) => {
+    const attributes = node === focus ? ' [style=filled, fillcolor="#ffe08a"]' : '';
+    output += `  ${quoteDotId(node)}${attributes};\n`;
+  });
+
+  getGraphEdges(callGraph, repoPath).forEach(({ from, to }) => {
+    output += `  ${quoteDotId(from)} -> ${quoteDotId(to)};\n`;
+  });
+
+  output += '}\n';
+  return output;
+}
+
+function formatMermaid(callGraph, repoPath, options = {}) {
+  const focus = options.focus ? toRelativePath(options.focus, repoPath) : null;
+  const nodeIds = new Map();
+  let output = 'graph LR\n';
+
+  getGraphNodes(callGraph, repoPath).forEach((node, i) => {
+    const id = `n${i}`;
+    nodeIds.set(node, id);
+    output += `  ${id}["${node.replace(/"/g, '#quot;')}"]\n`;
+  });
+
+  getGraphEdges(callGraph, repoPath).forEach(({ from, to }) => {
+    output += `  ${nodeIds.get(from)} --> ${nodeIds.get(to)}\n`;
+  });
+
+  if (focus && nodeIds.has(focus)) {
+    output += `  style ${nodeIds.get(focus)} fill:#ffe08a\n`;
+  }
+
+  return output;
+}
+
+function toRelativePath(filePath, repoPath) {
+  return path.relative(repoPath, filePath).replace(/\\/g, '/');
+}
+
+function quoteDotId(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+module.exports = {
+  extractSubgraph,
+  getGraphNodes,
+  getGraphEdges,
+  formatDot,
+  formatMermaid
+};
@@ -0,0 +1,35 @@
+const OWNERSHIP_MODES = ['commits', 'lines'];
+
+// `commits` counts every commit that touched a file; `lines` counts the lines
+// each author still owns at HEAD according to git blame
+const OWNERSHIP_MEASURES = {
+  commits: { source: 'ownership', unit: 'commits', total: 'totalCommits' },
+  lines: { source: 'lineOwnership', unit: 'lines', total: 'totalLines' }
+};
+
+function getOwnershipMeasure(mode = 'commits') {
+  if (!OWNERSHIP_MEASURES[mode]) {
+    throw new Error(`Unknown ownership mode "${mode}". Use one of: ${OWNERSHIP_MODES.join(', ')}`);
+  }
+  return OWNERSHIP_MEASURES[mode];
+}
+
+function formatPrimaryOwner(file) {
+  if (file.lineOwnership && file.lineOwnership.totalLines > 0) {
+    const share = file.lineOwnership.contributors[0].share;
+    return `${file.lineOwnership.primary} (${(share * 100).toFixed(0)}% of lines)`;
+  }
+  return file.ownership?.primary || 'Unknown';
+}
+
+// Decayed commit counts are fractional; three decimals keep the JSON readable
+function roundWeight(weight) {
+  return Math.round((weight || 0) * 1000) / 1000;
+}
+
+module.exports = {
+  OWNERSHIP_MODES,
+  getOwnershipMeasure,
+  formatPrimaryOwner,
+  roundWeight
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAMES = [
+  '.repoarchaeologistrc',
+  '.repoarchaeologistrc.json',
+  'repo-archaeologist.config.js',
+  'repo-archaeologist.config.cjs'
+];
+
+const COMMAND_DEFAULTS = {
+  analyze: { format: 'text' },
+  map: { format: 'markdown', ownership: 'commits' },
+  onboard: { ownership: 'commits', halfLife: '365', days: '180' },
+  risk: { mode: 'absolute' },
+  graph: { format: 'dot', depth: '1', direction: 'both' },
+  owners: { format: 'table', top: '3', maxShare: '0.75', ownership: 'commits' },
+  check: { format: 'text' },
+  hotspots: { format: 'table', days: '365', top: '20' },
+  'bus-factor': { format: 'table', ownership: 'commits', minShare: '0.2', top: '20', days: '180' },
+  'knowledge-loss': { format: 'table', days: '180', ownership: 'commits', top: '20' },
+  timeline: { format: 'table', by: 'tags', limit: '20' },
+  diff: { format: 'table', minRiskDelta: '1' },
+  impact: { format: 'table', depth: '0', ownership: 'commits' },
+  reviewers: { format: 'text', count: '2', depth: '1', halfLife: '180' },
+  codeowners: { format: 'text', ownership: 'commits', minConfidence: '0.5', days: '180' },
+  teams: { format: 'table', ownership: 'commits', days: '365', maxFilesPerCommit: '30' },
+  coupling: { format: 'table', level: 'file', maxFilesPerCommit: '30', minShared: '2', minCoupling: '0.3', top: '20' }
+};
+
+const STRING_LIST_KEYS = ['ignore', 'testPatterns', 'entryPoints'];
+const BOOLEAN_KEYS = ['includeTests', 'skipCochange'];
+
+function findConfigFile(repoPath, configPath) {
+  if (configPath) {
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return resolved;
+  }
+
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const candidate = path.join(path.resolve(repoPath), fileName);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+function loadProjectConfig(repoPath, configPath) {
+  const configFile = findConfigFile(repoPath, configPath);
+  if (!configFile) {
+    return { configFile: null };
+  }
+
+  let rawConfig;
+  try {
+    if (configFile.endsWith('.js') || configFile.endsWith('.cjs')) {
+      delete require.cache[require.resolve(configFile)];
+      rawConfig = require(configFile);
+    } else {
+      rawConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    }
+  } catch (error) {
+    throw new Error(`Could not read config file ${configFile}: ${error.message}`);
+  }
+
+  return {
+    ...validateProjectConfig(rawConfig, configFile),
+    configFile
+  };
+}
+
+function validateProjectConfig(rawConfig, configFile) {
+  if (!rawConfig || typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+    throw new Error(`Config file ${configFile} must export an object`);
+  }
+
+  const config = { ...rawConfig };
+
+  STRING_LIST_KEYS.forEach(key => {
+    if (config[key] === undefined) return;
+    if (!Array.isArray(config[key]) || !config[key].every(item => typeof item === 'string')) {
+      throw new Error(`Invalid config in ${configFile}: "${key}" must be an array of strings`);
+    }
+  });
+
+  BOOLEAN_KEYS.forEach(key => {
+    if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+      throw new Error(`Invalid config in ${configFile}: "${key}" must be true or false`);
+    }
+  });
+
+  if (config.features !== undefined) {
+    const validFeatures = isPlainObject(config.features) && Object.values(config.features)
+      .every(patterns => Array.isArray(patterns) && patterns.every(item => typeof item === 'string'));
+    if (!validFeatures) {
+      throw new Error(`Invalid config in ${configFile}: "features" must map feature names to arrays of path patterns`);
+    }
+  }
+
+  if (config.riskWeights !== undefined) {
+    const validWeights = isPlainObject(config.riskWeights) && Object.values(config.riskWeights)
+      .every(weight => typeof weight === 'number' && weight >= 0);
+    if (!validWeights) {
+      throw new Error(`Invalid config in ${configFile}: "riskWeights" must map factor names to non-negative numbers`);
+    }
+  }
+
+  if (config.riskBands !== undefined) {
+    const validBands = isPlainObject(config.riskBands) && Object.values(config.riskBands)
+      .every(bands => Array.isArray(bands) && bands.every(isValidRiskBand));
+    if (!validBands) {
+      throw new Error(`Invalid config in ${configFile}: "riskBands" must map factor names to arrays of { above, points }`);
+    }
+  }
+
+  if (config.authors !== undefined) {
+    const { aliases = {}, bots = [] } = isPlainObject(config.authors) ? config.authors : {};
+    const validAuthors = isPlainObject(config.authors) &&
+      isPlainObject(aliases) &&
+      Object.values(aliases).every(isStringList) &&
+      isStringList(bots);
+    if (!validAuthors) {
+      throw new Error(`Invalid config in ${configFile}: "authors" must be { aliases: { name: [aliases] }, bots: [patterns] }`);
+    }
+  }
+
+  if (config.teams !== undefined) {
+    const validTeams = isPlainObject(config.teams) && Object.values(config.teams).every(isStringList);
+    if (!validTeams) {
+      throw new Error(`Invalid config in ${configFile}: "teams" must map team names to arrays of author names or emails`);
+    }
+  }
+
+  if (config.output !== undefined) {
+    const validOutput = isPlainObject(config.output) && Object.values(config.output).every(isPlainObject);
+    if (!validOutput) {
+      throw new Error(`Invalid config in ${configFile}: "output" must map command names to option objects`);
+    }
+  }
+
+  if (config.rules !== undefined && !Array.isArray(config.rules)) {
+    throw new Error(`Invalid config in ${configFile}: "rules" must be an array`);
+  }
+
+  return config;
+}
+
+// CLI flags win over the config file's `output.<command>` section, which wins
+// over the built-in defaults.
+function resolveCommandOptions(commandName, cliOptions = {}, config = {}) {
+  const definedCliOptions = Object.fromEntries(
+    Object.entries(cliOptions).filter(([, value]) => value !== undefined)
+  );
+
+  return {
+    ...(COMMAND_DEFAULTS[commandName] || {}),
+    ...((config.output && config.output[commandName]) || {}),
+    ...definedCliOptions
+  };
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isValidRiskBand(band) {
+  return isPlainObject(band) &&
+    typeof band.above === 'number' &&
+    typeof band.points === 'number' &&
+    band.points >= 0;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  COMMAND_DEFAULTS,
+  findConfigFile,
+  loadProjectConfig,
+  validateProjectConfig,
+  resolveCommandOptions
+};
@@ -1,6 +1,7 @@
 const {
   DEFAULT_IGNORE_PATTERNS,
   parseIgnorePatterns,
+  parseFileList,
   getAnalyzerOptions
 } = require('../src/utils/analyzer-options');
 
@@ -26,4 +27,41 @@ describe('analyzer-options', () => {
     const options = getAnalyzerOptions({ skipCochange: true });
     expect(options.includeCoChange).toBe(false);
   });
+
+  test('should merge config ignore patterns with CLI patterns', () => {
+    const patterns = parseIgnorePatterns('tmp', ['generated']);
+
+    expect(patterns).toEqual(expect.arrayContaining(DEFAULT_IGNORE_PATTERNS));
+    expect(patterns).toContain('generated');
+    expect(patterns).toContain('tmp');
+  });
+
+  test('should fall back to config values when CLI flags are missing', () => {
+    const options = getAnalyzerOptions({}, {
+      includeTests: true,
+      skipCochange: true,
+      testPatterns: ['spec/**'],
+      entryPoints: ['src/server.js']
+    });
+
+    expect(options.includeTestsInDeadCode).toBe(true);
+    expect(options.includeCoChange).toBe(false);
+    expect(options.testPatterns).toEqual(['spec/**']);
+    expect(options.entryPoints).toEqual(['src/server.js']);
+  });
+
+  test('should let CLI flags override config values', () => {
+    const options = getAnalyzerOptions({ includeTests: false, skipCochange: false }, {
+      includeTests: true,
+      skipCochange: true
+    });
+
+    expect(options.includeTestsInDeadCode).toBe(false);
+    expect(options.includeCoChange).toBe(true);
+  });
+
+  test('should parse file lists relative to the repository root', () => {
+    expect(parseFileList(' src/a.js, /repo/lib/b.js ,,', '/repo')).toEqual(['src/a.js', 'lib/b.js']);
+    expect(parseFileList(undefined, '/repo')).toEqual([]);
+  });
 });
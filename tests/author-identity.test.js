@@ -0,0 +1,54 @@
+const { createAuthorResolver, createTeamResolver } = require('../src/utils/author-identity');
+
+describe('author-identity', () => {
+  test('should pass names through when nothing is configured', () => {
+    const resolveAuthor = createAuthorResolver();
+
+    expect(resolveAuthor('Jane Doe', 'jane@example.com')).toEqual({
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      isBot: false
+    });
+    expect(resolveAuthor('', '').name).toBe('Unknown');
+  });
+
+  test('should merge aliases by name or email, ignoring case', () => {
+    const resolveAuthor = createAuthorResolver({
+      aliases: { 'Jane Doe': ['jdoe', 'Jane Doe (work laptop)', 'jane@work.example.com'] }
+    });
+
+    expect(resolveAuthor('JDoe', 'jd@home.example.com').name).toBe('Jane Doe');
+    expect(resolveAuthor('Jane Doe (work laptop)').name).toBe('Jane Doe');
+    expect(resolveAuthor('Someone', '<Jane@Work.example.com>').name).toBe('Jane Doe');
+    expect(resolveAuthor('John', 'john@example.com').name).toBe('John');
+  });
+
+  test('should flag [bot] accounts by default', () => {
+    const resolveAuthor = createAuthorResolver();
+
+    expect(resolveAuthor('copilot-swe-agent[bot]', '198982749+Copilot@users.noreply.github.com').isBot).toBe(true);
+    expect(resolveAuthor('dependabot[bot]').isBot).toBe(true);
+    expect(resolveAuthor('Robert').isBot).toBe(false);
+  });
+
+  test('should flag configured bot patterns against names and emails', () => {
+    const resolveAuthor = createAuthorResolver({ bots: ['Release Bot', 'ci@*'] });
+
+    expect(resolveAuthor('release bot').isBot).toBe(true);
+    expect(resolveAuthor('Build Runner', 'ci@example.com').isBot).toBe(true);
+    expect(resolveAuthor('Build Runner', 'dev@example.com').isBot).toBe(false);
+  });
+
+  test('should map authors to the first team listing their name or email', () => {
+    const resolveTeam = createTeamResolver({
+      '@acme/payments': ['Jane Doe', '*@payments.example.com'],
+      '@acme/platform': ['jane doe', 'ops@example.com']
+    });
+
+    expect(resolveTeam('JANE DOE')).toBe('@acme/payments');
+    expect(resolveTeam('John', ['john@Payments.example.com'])).toBe('@acme/payments');
+    expect(resolveTeam('Ops', ['ops@example.com'])).toBe('@acme/platform');
+    expect(resolveTeam('Someone', ['someone@example.com'])).toBeNull();
+    expect(createTeamResolver()('Jane Doe')).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  parseCodeowners,
+  matchesCodeownersPattern,
+  findOwningRule,
+  isCodeownersOwner,
+  formatCodeowners
+} = require('../src/utils/codeowners');
+
+describe('codeowners', () => {
+  test('should parse rules with line numbers, skipping comments', () => {
+    const content = '# Owners\n\n*       @acme/core\n/docs/  docs@example.com @jane # writers\n/vendor/\n';
+
+    expect(parseCodeowners(content)).toEqual([
+      { line: 3, pattern: '*', owners: ['@acme/core'] },
+      { line: 4, pattern: '/docs/', owners: ['docs@example.com', '@jane'] },
+      { line: 5, pattern: '/vendor/', owners: [] }
+    ]);
+  });
+
+  test('should match patterns the way GitHub does', () => {
+    expect(matchesCodeownersPattern('src/deep/app.js', '*')).toBe(true);
+    expect(matchesCodeownersPattern('src/deep/app.js', '*.js')).toBe(true);
+    expect(matchesCodeownersPattern('src/api/users.js', '/src/api/')).toBe(true);
+    expect(matchesCodeownersPattern('lib/src/api/users.js', '/src/api/')).toBe(false);
+    expect(matchesCodeownersPattern('packages/app/build/out.js', 'build/')).toBe(true);
+    expect(matchesCodeownersPattern('docs/guide.md', 'docs/*')).toBe(true);
+    expect(matchesCodeownersPattern('docs/api/guide.md', 'docs/*')).toBe(false);
+    expect(matchesCodeownersPattern('src/logs/a.txt', 'src/logs')).toBe(true);
+    expect(matchesCodeownersPattern('src/a/b/c.js', 'src/**/c.js')).toBe(true);
+  });
+
+  test('should let the last matching rule win', () => {
+    const rules = parseCodeowners('* @core\n/src/api/ @api\n');
+
+    expect(findOwningRule('src/api/a.js', rules).owners).toEqual(['@api']);
+    expect(findOwningRule('src/db/a.js', rules).owners).toEqual(['@core']);
+    expect(findOwningRule('a.js', [])).toBeNull();
+  });
+
+  test('should format aligned rules under a comment header', () => {
+    const output = formatCodeowners([
+      { pattern: '*', owners: ['@core'] },
+      { pattern: '/src/api/', owners: ['@api', 'jane@example.com'] }
+    ], ['Generated']);
+
+    expect(output).toBe('# Generated\n\n*         @core\n/src/api/ @api jane@example.com\n');
+  });
+
+  test('should comment out rules whose owners GitHub would reject', () => {
+    const output = formatCodeowners([
+      { pattern: '/src/', owners: ['Jane Doe'] },
+      { pattern: '/docs/', owners: ['@docs'] }
+    ]);
+
+    expect(output.split('\n')).toEqual([
+      "# /src/  Jane Doe (no team, email or @handle known; map the author in the config's teams or authors.aliases)",
+      '/docs/ @docs',
+      ''
+    ]);
+    expect(isCodeownersOwner('@acme/api')).toBe(true);
+    expect(isCodeownersOwner('jane@example.com')).toBe(true);
+    expect(isCodeownersOwner('Jane Doe')).toBe(false);
+  });
+});
@@ -34,6 +34,19 @@ const { analyze } = require('../src/commands/analyze');
 const { map } = require('../src/commands/map');
 const { onboard } = require('../src/commands/onboard');
 const { risk } = require('../src/commands/risk');
+const { graph } = require('../src/commands/graph');
+const { owners } = require('../src/commands/owners');
+const { check } = require('../src/commands/check');
+const { hotspots } = require('../src/commands/hotspots');
+const { busFactor } = require('../src/commands/bus-factor');
+const { knowledgeLoss } = require('../src/commands/knowledge-loss');
+const { timeline } = require('../src/commands/timeline');
+const { diff } = require('../src/commands/diff');
+const { impact } = require('../src/commands/impact');
+const { reviewers } = require('../src/commands/reviewers');
+const { codeowners } = require('../src/commands/codeowners');
+const { teams } = require('../src/commands/teams');
+const { coupling } = require('../src/commands/coupling');
 
 describe('Command Handlers', () => {
   let tempDir;
@@ -90,6 +103,20 @@ describe('Command Handlers', () => {
       expect(getJsonOutput()).toBeDefined();
     });
 
+    test('should include decayed ownership in JSON with --half-life', async () => {
+      await analyze(tempDir, { format: 'json', halfLife: '90' });
+      const output = getJsonOutput();
+      expect(output.ownershipHalfLife).toBe(90);
+      expect(output.files[0].ownership.contributors[0]).toEqual({ author: 'Test User', commits: 1, decayedCommits: 1 });
+    });
+
+    test('should limit history to --since and --until', async () => {
+      await analyze(tempDir, { format: 'json', since: '2000-01-01', until: '2001-01-01' });
+      const output = getJsonOutput();
+      expect(output.historyWindow).toEqual({ since: '2000-01-01', until: '2001-01-01', rev: null });
+      expect(output.files[0].ownership.totalCommits).toBe(0);
+    });
+
     test('should save to output file', async () => {
       const outputPath = path.join(tempDir, 'output.json');
       await analyze(tempDir, { format: 'json', output: outputPath });
@@ -149,6 +176,18 @@ describe('Command Handlers', () => {
       expect(analyzedPaths.some(p => p.includes('custom-ignore'))).toBe(false);
     });
 
+    test('should report unused exports of imported files', async () => {
+      await fs.writeFile(path.join(tempDir, 'lib.js'), 'const a = 1;\nconst b = 2;\nmodule.exports = { a, b };');
+      await fs.writeFile(path.join(tempDir, 'index.js'), "const { a } = require('./lib');\nmodule.exports = a;");
+
+      await analyze(tempDir, { format: 'json' });
+      const output = getJsonOutput();
+
+      expect(output.unusedExports).toEqual([
+        expect.objectContaining({ export: 'b', confidence: 'high' })
+      ]);
+    });
+
     test('should skip co-change analysis when skipCochange is enabled', async () => {
       await fs.writeFile(path.join(tempDir, 'a.js'), 'const a = 1;\nmodule.exports = a;');
       await fs.writeFile(path.join(tempDir, 'b.js'), 'const b = 1;\nmodule.exports = b;');
@@ -197,6 +236,20 @@ describe('Command Handlers', () => {
       expect(output).toContain('Onboarding Guide');
     });
 
+    test('should weigh key contributors towards recent work by default', async () => {
+      await onboard(tempDir, {});
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('weighted towards recent work (half-life 365 days)');
+      expect(output).toContain('Recent activity: 1.0 weighted commits');
+    });
+
+    test('should count every commit equally with a zero half-life', async () => {
+      await onboard(tempDir, { halfLife: '0' });
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Key contributors to this codebase:');
+      expect(output).not.toContain('Recent activity');
+    });
+
     test('should save report to file', async () => {
       const outputPath = path.join(tempDir, 'onboard.md');
       await onboard(tempDir, { output: outputPath });
@@ -231,6 +284,54 @@ describe('Command Handlers', () => {
       expect(content).toContain('Refactor Risk Report');
     });
 
+    test('should explain scores using configured bands and weights', async () => {
+      await fs.writeFile(path.join(tempDir, '.repoarchaeologistrc'), JSON.stringify({
+        riskBands: { size: [{ above: 0, points: 4 }] },
+        riskWeights: { size: 2, changeFrequency: 0 }
+      }));
+      const outputPath = path.join(tempDir, 'risk.md');
+
+      await risk(tempDir, { explain: true, output: outputPath });
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Score Breakdown');
+      expect(output).toContain('Lines: 2 > 0 → 4 pts × 2 = 8');
+
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('## Score Breakdown');
+      expect(content).toContain('### index.js (8)');
+    });
+
+    test('should score files by percentile with a matching default threshold', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'big.js'),
+        'function a(x) { if (x) { return 1; } if (!x) { return 2; } return 3; }\nmodule.exports = a;\n'.repeat(5)
+      );
+      const outputPath = path.join(tempDir, 'risk.md');
+
+      await risk(tempDir, { mode: 'percentile', output: outputPath });
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('**Scoring:** percentile');
+      expect(content).toContain('**Threshold:** 75');
+    });
+
+    test('should apply an explicit threshold to percentile scores', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'big.js'),
+        'function a(x) { if (x) { return 1; } if (!x) { return 2; } return 3; }\nmodule.exports = a;\n'.repeat(5)
+      );
+      const outputPath = path.join(tempDir, 'risk.md');
+
+      await risk(tempDir, { mode: 'percentile', threshold: '30', output: outputPath });
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('| 1 | big.js |');
+      expect(content).not.toContain('| index.js |');
+    });
+
+    test('should exit with an error for an unknown scoring mode', async () => {
+      await expect(risk(tempDir, { mode: 'relative' })).rejects.toThrow('process.exit called');
+      expect(errorSpy.mock.calls[0][1]).toContain('Unknown risk mode');
+    });
+
     test('should handle errors with process.exit(1)', async () => {
       await expect(
         risk('/nonexistent/path/that/does/not/exist', {})
@@ -238,4 +339,677 @@ describe('Command Handlers', () => {
       expect(exitSpy).toHaveBeenCalledWith(1);
     });
   });
+
+  describe('graph command', () => {
+    beforeEach(async () => {
+      await fs.writeFile(path.join(tempDir, 'a.js'), "const b = require('./b');\nmodule.exports = b;");
+      await fs.writeFile(path.join(tempDir, 'b.js'), "const c = require('./c');\nmodule.exports = c;");
+      await fs.writeFile(path.join(tempDir, 'c.js'), 'module.exports = 1;');
+    });
+
+    test('should output the whole graph as DOT by default', async () => {
+      await graph(tempDir, {});
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('digraph callgraph');
+      expect(output).toContain('"a.js" -> "b.js"');
+      expect(output).toContain('"b.js" -> "c.js"');
+    });
+
+    test('should output a focused JSON graph', async () => {
+      await graph(tempDir, { format: 'json', focus: 'a.js', depth: '1' });
+      const output = getJsonOutput();
+
+      expect(output.focus).toBe('a.js');
+      expect(output.nodes).toEqual(['a.js', 'b.js']);
+      expect(output.edges).toEqual([{ from: 'a.js', to: 'b.js' }]);
+    });
+
+    test('should follow only callers when requested', async () => {
+      await graph(tempDir, { format: 'json', focus: 'c.js', depth: '3', direction: 'callers' });
+      const output = getJsonOutput();
+
+      expect(output.nodes).toEqual(['a.js', 'b.js', 'c.js']);
+    });
+
+    test('should output the symbol-level graph', async () => {
+      await fs.writeFile(path.join(tempDir, 'util.js'), 'function shout(s) { return s; }\nmodule.exports = { shout };');
+      await fs.writeFile(path.join(tempDir, 'cli.js'), "const { shout } = require('./util');\nfunction main() { shout('hi'); }\nmodule.exports = { main };");
+
+      await graph(tempDir, { format: 'json', symbols: true });
+      const output = getJsonOutput();
+
+      expect(output.level).toBe('symbol');
+      expect(output.edges).toContainEqual({ from: 'cli.js#main', to: 'util.js#shout' });
+    });
+
+    test('should save Mermaid output to file', async () => {
+      const outputPath = path.join(tempDir, 'graph.mmd');
+      await graph(tempDir, { format: 'mermaid', output: outputPath });
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('graph LR');
+    });
+
+    test('should exit with an error for an unknown focus file', async () => {
+      await expect(
+        graph(tempDir, { focus: 'missing.js' })
+      ).rejects.toThrow('process.exit called');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should handle errors with process.exit(1)', async () => {
+      await expect(
+        graph('/nonexistent/path/that/does/not/exist', {})
+      ).rejects.toThrow('process.exit called');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('owners command', () => {
+    test('should print an ownership table', async () => {
+      await owners(tempDir, {});
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Directory Ownership');
+      expect(output).toContain('Test User');
+    });
+
+    test('should output JSON with concentrated directories flagged', async () => {
+      await owners(tempDir, { format: 'json', maxShare: '0.5' });
+      const output = getJsonOutput();
+      const root = output.directories.find(d => d.directory === '.');
+
+      expect(root.primary).toBe('Test User');
+      expect(root.owners[0].share).toBe(1);
+      expect(root.concentrated).toBe(true);
+    });
+
+    test('should save a Markdown report', async () => {
+      const outputPath = path.join(tempDir, 'owners.md');
+      await owners(tempDir, { format: 'markdown', output: outputPath });
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('# Directory Ownership');
+      expect(content).toContain('Knowledge Concentration');
+    });
+
+    test('should handle errors with process.exit(1)', async () => {
+      await expect(
+        owners('/nonexistent/path/that/does/not/exist', {})
+      ).rejects.toThrow('process.exit called');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('ownership modes', () => {
+    test('should roll up owners by surviving lines', async () => {
+      await owners(tempDir, { format: 'json', ownership: 'lines' });
+      const output = getJsonOutput();
+
+      expect(output.ownership).toBe('lines');
+      const root = output.directories.find(d => d.directory === '.');
+      expect(root.totalLines).toBe(2);
+      expect(root.owners[0]).toEqual({ author: 'Test User', lines: 2, share: 1 });
+    });
+
+    test('should show line shares in the onboarding guide', async () => {
+      const outputPath = path.join(tempDir, 'ONBOARDING.md');
+      await onboard(tempDir, { output: outputPath, ownership: 'lines' });
+
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('Surviving lines: 2');
+    });
+
+    test('should include line ownership in the architecture map', async () => {
+      await map(tempDir, { format: 'json', ownership: 'lines' });
+      const output = getJsonOutput();
+
+      const files = Object.values(output.categories).flat();
+      expect(files[0].lineOwnership.primary).toBe('Test User');
+    });
+
+    test('should exit with an error for an unknown ownership mode', async () => {
+      await expect(owners(tempDir, { ownership: 'blame' })).rejects.toThrow('process.exit called');
+      expect(errorSpy.mock.calls[0][1]).toContain('Unknown ownership mode');
+    });
+  });
+
+  describe('check command', () => {
+    beforeEach(async () => {
+      await fs.mkdir(path.join(tempDir, 'ui'), { recursive: true });
+      await fs.mkdir(path.join(tempDir, 'db'), { recursive: true });
+      await fs.writeFile(path.join(tempDir, 'db', 'query.js'), 'module.exports = {};');
+      await fs.writeFile(path.join(tempDir, 'ui', 'view.js'), "require('../db/query');");
+    });
+
+    test('should pass when no rule is violated', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'repo-archaeologist.rules.json'),
+        JSON.stringify({ rules: [{ from: 'db', disallow: 'ui' }] })
+      );
+
+      await check(tempDir, {});
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('No rule violations found');
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should list violations and exit non-zero', async () => {
+      const rulesPath = path.join(tempDir, 'layers.json');
+      await fs.writeFile(rulesPath, JSON.stringify({ rules: [{ name: 'no-ui-db', from: 'ui', disallow: 'db' }] }));
+
+      await expect(
+        check(tempDir, { rules: rulesPath, format: 'json' })
+      ).rejects.toThrow('process.exit called');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+
+      const output = getJsonOutput();
+      expect(output.passed).toBe(false);
+      expect(output.violations[0]).toEqual(expect.objectContaining({
+        file: 'ui/view.js',
+        importPath: '../db/query',
+        target: 'db/query.js'
+      }));
+    });
+
+    test('should not fail on warnings', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'repo-archaeologist.rules.json'),
+        JSON.stringify({ rules: [{ from: 'ui', disallow: 'db', severity: 'warn' }] })
+      );
+
+      await check(tempDir, {});
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('0 errors, 1 warnings');
+      expect(exitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to rules from the project config', async () => {
+      await fs.writeFile(
+        path.join(tempDir, '.repoarchaeologistrc'),
+        JSON.stringify({ rules: [{ from: 'ui', disallow: 'db', severity: 'warn' }] })
+      );
+
+      await check(tempDir, { format: 'json' });
+      const output = getJsonOutput();
+      expect(output.rulesFile).toBe(path.join(tempDir, '.repoarchaeologistrc'));
+      expect(output.warningCount).toBe(1);
+    });
+
+    test('should exit with an error when no rules file exists', async () => {
+      await expect(check(tempDir, {})).rejects.toThrow('process.exit called');
+      expect(errorSpy.mock.calls[0][1]).toContain('No rules file found');
+    });
+  });
+
+  describe('hotspots command', () => {
+    test('should output ranked hotspots as JSON', async () => {
+      await hotspots(tempDir, { format: 'json' });
+      const output = getJsonOutput();
+
+      expect(output.days).toBe(365);
+      expect(output.hotspots[0]).toEqual(expect.objectContaining({
+        path: 'index.js',
+        churn: 2,
+        commits: 1
+      }));
+    });
+
+    test('should display a table and save a markdown report', async () => {
+      const outputPath = path.join(tempDir, 'hotspots.md');
+      await hotspots(tempDir, { output: outputPath, days: '0' });
+
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Churn Hotspots');
+      expect(output).toContain('Window: all history');
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('| 1 | index.js |');
+    });
+
+    test('should handle errors with process.exit(1)', async () => {
+      await expect(
+        hotspots('/nonexistent/path/that/does/not/exist', {})
+      ).rejects.toThrow('process.exit called');
+    });
+  });
+
+  describe('bus-factor command', () => {
+    test('should output the truck factor as JSON', async () => {
+      await busFactor(tempDir, { format: 'json' });
+      const output = getJsonOutput();
+
+      expect(output.truckFactor).toEqual({
+        truckFactor: 1,
+        fileCount: 1,
+        orphanedFiles: 1,
+        inactiveFiles: 0,
+        keyAuthors: ['Test User']
+      });
+      expect(output.days).toBe(180);
+      expect(output.singleOwnerFiles).toBe(1);
+    });
+
+    test('should count files known only by inactive authors as orphaned', async () => {
+      await fs.mkdir(path.join(tempDir, 'legacy'));
+      await fs.writeFile(path.join(tempDir, 'legacy', 'report.js'), 'module.exports = 1;');
+      await simpleGit(tempDir).add('.').commit('legacy report', undefined, {
+        '--author': 'Old Timer <old@example.com>',
+        '--date': '2015-03-01T00:00:00Z'
+      });
+
+      await busFactor(tempDir, { format: 'json', days: '90' });
+      const output = getJsonOutput();
+
+      expect(output.departedAuthors).toEqual(['Old Timer']);
+      expect(output.truckFactor.inactiveFiles).toBe(1);
+      expect(output.directories).toEqual([
+        { directory: 'legacy', truckFactor: 0, fileCount: 1, orphanedFiles: 1, inactiveFiles: 1, keyAuthors: [] }
+      ]);
+      expect(output.files[0]).toEqual({ path: 'legacy/report.js', busFactor: 0, owners: [], departedOwners: ['Old Timer'] });
+    });
+
+    test('should display a table and save a markdown report', async () => {
+      await fs.mkdir(path.join(tempDir, 'billing'));
+      await fs.writeFile(path.join(tempDir, 'billing', 'charge.js'), 'module.exports = 1;');
+      await simpleGit(tempDir).add('.').commit('add billing');
+      const outputPath = path.join(tempDir, 'bus-factor.md');
+
+      await busFactor(tempDir, { output: outputPath });
+
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Truck factor: 1');
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('## At-Risk Areas');
+      expect(content).toContain('- **billing**: Test User (1 files)');
+      expect(content).toContain('## Directories');
+      expect(content).toContain('| billing | 1 | 1 | Test User |');
+    });
+
+    test('should list the bus factor in the onboarding guide', async () => {
+      const outputPath = path.join(tempDir, 'ONBOARDING.md');
+      await onboard(tempDir, { output: outputPath });
+
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('### Bus Factor');
+      expect(content).toContain("The repository's truck factor is **1**");
+    });
+
+    test('should not count inactive authors in the onboarding bus factor', async () => {
+      await fs.mkdir(path.join(tempDir, 'legacy'));
+      await fs.writeFile(path.join(tempDir, 'legacy', 'report.js'), 'module.exports = 1;');
+      await fs.writeFile(path.join(tempDir, 'legacy', 'export.js'), 'module.exports = 2;');
+      await simpleGit(tempDir).add('.').commit('legacy reports', undefined, {
+        '--author': 'Old Timer <old@example.com>',
+        '--date': '2015-03-01T00:00:00Z'
+      });
+      const outputPath = path.join(tempDir, 'ONBOARDING.md');
+
+      await onboard(tempDir, { output: outputPath, days: '90' });
+
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain("The repository's truck factor is **0**: more than half of the files have no knowledgeable owner who is still active.");
+      expect(content).not.toContain('losing  would');
+    });
+
+    test('should handle errors with process.exit(1)', async () => {
+      await expect(
+        busFactor('/nonexistent/path/that/does/not/exist', {})
+      ).rejects.toThrow('process.exit called');
+    });
+  });
+
+  describe('knowledge-loss command', () => {
+    beforeEach(async () => {
+      await fs.mkdir(path.join(tempDir, 'legacy'));
+      await fs.writeFile(path.join(tempDir, 'legacy', 'report.js'), 'module.exports = 1;');
+      await simpleGit(tempDir).add('.').commit('legacy report', undefined, {
+        '--author': 'Old Timer <old@example.com>',
+        '--date': '2015-03-01T00:00:00Z'
+      });
+    });
+
+    test('should output departed authors and lost files as JSON', async () => {
+      await knowledgeLoss(tempDir, { format: 'json', days: '90' });
+      const output = getJsonOutput();
+
+      expect(output.days).toBe(90);
+      expect(output.departedAuthors.map(a => a.author)).toEqual(['Old Timer']);
+      expect(output.files.map(f => f.path)).toEqual(['legacy/report.js']);
+      expect(output.features.map(f => f.name)).toEqual(['legacy']);
+    });
+
+    test('should display a table and save a markdown report', async () => {
+      const outputPath = path.join(tempDir, 'knowledge-loss.md');
+      await knowledgeLoss(tempDir, { output: outputPath });
+
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Knowledge Loss');
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('| Old Timer | 2015-03-01 | 1 | 1 |');
+      expect(content).toContain('| legacy/report.js | Old Timer (departed) | 100% |');
+    });
+
+    test('should handle errors with process.exit(1)', async () => {
+      await expect(
+        knowledgeLoss('/nonexistent/path/that/does/not/exist', {})
+      ).rejects.toThrow('process.exit called');
+    });
+  });
+
+  describe('timeline command', () => {
+    beforeEach(async () => {
+      const git = simpleGit(tempDir);
+      await git.addTag('v1');
+      await fs.writeFile(path.join(tempDir, 'util.js'), 'module.exports = 2;');
+      await git.add('.').commit('add util');
+      await git.addTag('v2');
+    });
+
+    test('should output a snapshot per tag as JSON', async () => {
+      await timeline(tempDir, { format: 'json' });
+      const output = getJsonOutput();
+
+      expect(output.by).toBe('tags');
+      expect(output.snapshots.map(s => s.label)).toEqual(['v1', 'v2']);
+      expect(output.snapshots.map(s => s.files)).toEqual([1, 2]);
+    });
+
+    test('should output CSV', async () => {
+      await timeline(tempDir, { format: 'csv', by: 'commits', step: '1' });
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+
+      expect(output).toContain('label,commit,date,files,lines,importEdges,cycles,deadFiles,averageRisk,languages');
+      expect(output.trim().split('\n')).toHaveLength(3);
+      expect(output).toContain(',2,3,0,0,');
+    });
+
+    test('should display a table and save a markdown summary', async () => {
+      const outputPath = path.join(tempDir, 'timeline.md');
+      await timeline(tempDir, { output: outputPath });
+
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Architecture Timeline');
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('**Files:** 1 → 2 (+1)');
+      expect(content).toContain('| v2 |');
+    });
+
+    test('should fail when there are no tags to snapshot', async () => {
+      await simpleGit(tempDir).tag(['-d', 'v1', 'v2']);
+      await expect(timeline(tempDir, {})).rejects.toThrow('process.exit called');
+      expect(errorSpy).toHaveBeenCalledWith('Error:', expect.stringContaining('No tags found'));
+    });
+  });
+
+  describe('diff command', () => {
+    beforeEach(async () => {
+      const git = simpleGit(tempDir);
+      await git.addTag('base');
+      await fs.writeFile(path.join(tempDir, 'util.js'), "const x = require('./index');\nmodule.exports = x;");
+      await git.add('.').commit('add util');
+    });
+
+    test('should compare two git refs as JSON', async () => {
+      await diff('base', 'HEAD', tempDir, { format: 'json' });
+      const output = getJsonOutput();
+
+      expect(output.base).toBe('base');
+      expect(output.files.added).toEqual(['util.js']);
+      expect(output.edges.added).toEqual([{ from: 'util.js', to: 'index.js' }]);
+    });
+
+    test('should compare analysis JSON files and write a markdown report', async () => {
+      const basePath = path.join(tempDir, 'base.json');
+      const headPath = path.join(tempDir, 'head.json');
+      await analyze(tempDir, { format: 'json', rev: 'base', output: basePath });
+      await analyze(tempDir, { format: 'json', output: headPath });
+      consoleSpy.mockClear();
+
+      const reportPath = path.join(tempDir, 'diff.md');
+      await diff(basePath, headPath, tempDir, { output: reportPath });
+
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Architecture Diff');
+      const content = await fs.readFile(reportPath, 'utf-8');
+      expect(content).toContain('| Files | 1 | 0 |');
+      expect(content).toContain('`util.js` → `index.js`');
+    });
+
+    test('should reject files that are not analyses', async () => {
+      const bogusPath = path.join(tempDir, 'bogus.json');
+      await fs.writeFile(bogusPath, '{"hello": true}');
+
+      await expect(diff(bogusPath, 'HEAD', tempDir, {})).rejects.toThrow('process.exit called');
+      expect(errorSpy).toHaveBeenCalledWith('Error:', expect.stringContaining('is not an analysis file'));
+    });
+  });
+
+  describe('impact command', () => {
+    beforeEach(async () => {
+      const git = simpleGit(tempDir);
+      await git.addTag('base');
+      await fs.writeFile(path.join(tempDir, 'util.js'), "const x = require('./index');\nmodule.exports = x;");
+      await fs.writeFile(path.join(tempDir, 'app.js'), "const util = require('./util');\nmodule.exports = util;");
+      await git.add('.').commit('add util and app');
+    });
+
+    test('should report importers of explicitly listed files as JSON', async () => {
+      await impact(tempDir, { format: 'json', files: 'index.js' });
+      const output = getJsonOutput();
+
+      expect(output.change).toBe('listed files');
+      expect(output.changedFiles.map(f => f.path)).toEqual(['index.js']);
+      expect(output.affectedFiles.map(f => [f.path, f.distance])).toEqual([['util.js', 1], ['app.js', 2]]);
+      expect(output.reviewers).toEqual([{ author: 'Test User', files: 3 }]);
+    });
+
+    test('should take changed files from git diff against --base', async () => {
+      const outputPath = path.join(tempDir, 'impact.md');
+      await impact(tempDir, { base: 'base', output: outputPath });
+
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Change Impact');
+      const content = await fs.readFile(outputPath, 'utf-8');
+      expect(content).toContain('**Change:** base...HEAD');
+      expect(content).toContain('## Changed Files (2)');
+      expect(content).toContain('- Test User (owns 2 impacted files)');
+    });
+
+    test('should require --base or --files', async () => {
+      await expect(impact(tempDir, {})).rejects.toThrow('process.exit called');
+      expect(errorSpy).toHaveBeenCalledWith('Error:', expect.stringContaining('Pass --base <ref>'));
+    });
+  });
+
+  describe('reviewers command', () => {
+    beforeEach(async () => {
+      const git = simpleGit(tempDir);
+      await fs.writeFile(path.join(tempDir, 'util.js'), "const x = require('./index');\nmodule.exports = x;");
+      await git.add('.').commit('add util', undefined, { '--author': 'Util Owner <util@example.com>' });
+      await git.addTag('base');
+      await fs.writeFile(path.join(tempDir, 'index.js'), 'const x = 2;\nmodule.exports = x;');
+      await git.add('.').commit('change index', undefined, { '--author': 'Newcomer <new@example.com>' });
+    });
+
+    test('should suggest reviewers other than the branch authors as text', async () => {
+      await reviewers(tempDir, { base: 'base' });
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+
+      expect(output).toContain('Suggested reviewers for 1 changed files (excluding Newcomer):');
+      expect(output).toContain('1. Test User (score');
+      expect(output).toContain('2. Util Owner (score 0.5; knows 0 changed and 1 related files)');
+    });
+
+    test('should output JSON for explicit files and authors', async () => {
+      await reviewers(tempDir, { files: 'index.js', author: 'Test User', format: 'json', count: '1' });
+      const output = getJsonOutput();
+
+      expect(output.excludedAuthors).toEqual(['Test User']);
+      expect(output.halfLifeDays).toBe(180);
+      expect(output.reviewers.map(r => r.author)).toEqual(['Newcomer']);
+    });
+
+    test('should require --base or --files', async () => {
+      await expect(reviewers(tempDir, {})).rejects.toThrow('process.exit called');
+    });
+  });
+
+  describe('codeowners command', () => {
+    test('should print a CODEOWNERS proposal and flag stale entries', async () => {
+      await fs.mkdir(path.join(tempDir, '.github'));
+      await fs.writeFile(path.join(tempDir, '.github', 'CODEOWNERS'), '# owners\n* @test\n/legacy/ @former\n');
+      await codeowners(tempDir, {});
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+
+      expect(output).toContain('* test@example.com');
+      expect(output).toContain('# Stale entries in .github/CODEOWNERS');
+      expect(output).toContain('#   line 3: /legacy/ @former (matches no files)');
+    });
+
+    test('should output JSON with team owners', async () => {
+      await fs.writeFile(path.join(tempDir, '.repoarchaeologistrc'), JSON.stringify({
+        teams: { '@acme/core': ['*@example.com'] }
+      }));
+      await codeowners(tempDir, { format: 'json' });
+      const output = getJsonOutput();
+
+      expect(output.rules).toEqual([expect.objectContaining({ pattern: '*', owners: ['@acme/core'] })]);
+      expect(output.existing).toBeNull();
+    });
+
+    test('should reject a confidence outside 0-1', async () => {
+      await expect(codeowners(tempDir, { minConfidence: '2' })).rejects.toThrow('process.exit called');
+    });
+  });
+
+  describe('teams command', () => {
+    beforeEach(async () => {
+      await fs.writeFile(path.join(tempDir, '.repoarchaeologistrc'), JSON.stringify({
+        teams: { '@acme/core': ['Test User'], '@acme/web': ['*@web.example.com'] }
+      }));
+      const git = simpleGit(tempDir);
+      await fs.writeFile(path.join(tempDir, 'app.js'), "const x = require('./index');\nmodule.exports = x;");
+      await git.add('app.js').commit('add app', undefined, { '--author': 'Web Dev <dev@web.example.com>' });
+    });
+
+    test('should show teams and the coupling matrix', async () => {
+      await teams(tempDir, {});
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+
+      expect(output).toContain('=== Teams ===');
+      expect(output).toContain('@acme/core');
+      expect(output).toContain('Coupling (imports / co-changes):');
+      expect(output).toContain('@acme/core and @acme/web are the most entangled (1 imports, 0 co-changes)');
+    });
+
+    test('should output JSON', async () => {
+      await teams(tempDir, { format: 'json', days: '0' });
+      const output = getJsonOutput();
+
+      expect(output.days).toBe(0);
+      expect(output.teams.map(team => team.team).sort()).toEqual(['@acme/core', '@acme/web']);
+      expect(output.coupling).toEqual([{ teams: ['@acme/core', '@acme/web'], imports: 1, coChanges: 0, total: 1 }]);
+    });
+
+    test('should count files the teams change together', async () => {
+      const git = simpleGit(tempDir);
+      for (const version of [2, 3]) {
+        await fs.writeFile(path.join(tempDir, 'index.js'), `module.exports = ${version};`);
+        await fs.writeFile(path.join(tempDir, 'app.js'), `const x = require('./index');\nmodule.exports = x + ${version};`);
+        await git.add('.').commit(`change ${version}`, undefined, { '--author': 'Web Dev <dev@web.example.com>' });
+      }
+      for (const version of [4, 5]) {
+        await fs.writeFile(path.join(tempDir, 'index.js'), `module.exports = ${version};`);
+        await git.add('.').commit(`change ${version}`);
+      }
+
+      await teams(tempDir, { format: 'json' });
+      expect(getJsonOutput().coupling).toEqual([{ teams: ['@acme/core', '@acme/web'], imports: 1, coChanges: 1, total: 2 }]);
+
+      consoleSpy.mockClear();
+      await teams(tempDir, { format: 'json', skipCochange: true });
+      expect(getJsonOutput().coupling[0].coChanges).toBe(0);
+    });
+
+    test('should require a teams section in the config', async () => {
+      await fs.rm(path.join(tempDir, '.repoarchaeologistrc'));
+      await expect(teams(tempDir, {})).rejects.toThrow('process.exit called');
+      expect(errorSpy).toHaveBeenCalledWith('Error:', expect.stringContaining('No teams configured'));
+    });
+  });
+
+  describe('coupling command', () => {
+    beforeEach(async () => {
+      const git = simpleGit(tempDir);
+      for (const version of [2, 3]) {
+        await fs.writeFile(path.join(tempDir, 'index.js'), `const x = ${version};\nmodule.exports = x;`);
+        await fs.writeFile(path.join(tempDir, 'config.js'), `module.exports = ${version};`);
+        await git.add('.').commit(`change ${version}`);
+      }
+    });
+
+    test('should rank coupled files and flag hidden dependencies', async () => {
+      await coupling(tempDir, {});
+      const output = consoleSpy.mock.calls.map(c => c[0]).join('\n');
+
+      expect(output).toContain('=== Temporal Coupling ===');
+      expect(output).toContain('Level: file (3 commits analyzed, 0 skipped touching more than 30 files)');
+      expect(output).toContain('⚠ 1 coupled pairs have no import between them: hidden dependencies');
+    });
+
+    test('should output JSON at directory level', async () => {
+      await coupling(tempDir, { format: 'json', level: 'directory', hiddenOnly: true });
+      const output = getJsonOutput();
+
+      expect(output.level).toBe('directory');
+      expect(output.modules).toEqual([]);
+      expect(output.pairs).toEqual([]);
+    });
+
+    test('should write a markdown report', async () => {
+      const outputFile = path.join(tempDir, 'coupling.md');
+      await coupling(tempDir, { format: 'markdown', output: outputFile });
+      const report = await fs.readFile(outputFile, 'utf8');
+
+      expect(report).toContain('# Temporal Coupling');
+      expect(report).toContain('| config.js | index.js | 2 | 80% | ⚠️ none |');
+    });
+  });
+
+  describe('project config', () => {
+    test('should apply output settings from the config file', async () => {
+      await fs.writeFile(
+        path.join(tempDir, '.repoarchaeologistrc'),
+        JSON.stringify({ output: { analyze: { format: 'json' } } })
+      );
+
+      await analyze(tempDir, {});
+      expect(getJsonOutput()).toHaveProperty('totalFiles');
+    });
+
+    test('should let CLI flags override the config file', async () => {
+      await fs.writeFile(
+        path.join(tempDir, '.repoarchaeologistrc'),
+        JSON.stringify({ output: { analyze: { format: 'json' } } })
+      );
+
+      await analyze(tempDir, { format: 'text' });
+      expect(getJsonOutput()).toBeNull();
+    });
+
+    test('should load an explicit config file and apply its ignore list', async () => {
+      await fs.mkdir(path.join(tempDir, 'vendor'));
+      await fs.writeFile(path.join(tempDir, 'vendor', 'lib.js'), 'module.exports = 1;');
+      const configPath = path.join(tempDir, 'archaeologist.json');
+      await fs.writeFile(configPath, JSON.stringify({ ignore: ['vendor'] }));
+
+      await analyze(tempDir, { format: 'json', config: configPath });
+      const output = getJsonOutput();
+      expect(output.files.map(file => file.path)).not.toContain(path.join(tempDir, 'vendor', 'lib.js'));
+    });
+
+    test('should exit with an error for an invalid config file', async () => {
+      await fs.writeFile(path.join(tempDir, '.repoarchaeologistrc'), JSON.stringify({ ignore: 'vendor' }));
+
+      await expect(analyze(tempDir, {})).rejects.toThrow('process.exit called');
+      expect(errorSpy.mock.calls[0][1]).toContain('"ignore" must be an array of strings');
+    });
+  });
 });
@@ -85,7 +85,7 @@ describe('GitAnalyzer', () => {
 
       const indexCalls = rawSpy.mock.calls.filter((call) => {
         const [args] = call;
-        return Array.isArray(args) && args[0] === 'log' && args.includes('--name-only');
+        return Array.isArray(args) && args[0] === 'log' && args.includes('--numstat');
       });
       expect(indexCalls).toHaveLength(1);
     });
@@ -105,6 +105,31 @@ describe('GitAnalyzer', () => {
       expect(ownership.contributors[0]).toEqual({ author: 'Test User', commits: 2 });
     });
 
+    test('should weigh recent commits more with a half-life', async () => {
+      for (const version of ['v1', 'v2', 'v3']) {
+        await fs.writeFile(path.join(tempDir, 'file.js'), version);
+        await git.add('.').commit(version, undefined, {
+          '--author': 'Old Timer <old@example.com>',
+          '--date': '2015-03-01T00:00:00Z'
+        });
+      }
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'v4');
+      await git.add('.').commit('v4');
+
+      const raw = await analyzer.getFileOwnership('file.js');
+      const decayed = await analyzer.getFileOwnership('file.js', { halfLifeDays: 90 });
+
+      expect(raw.primary).toBe('Old Timer');
+      expect(raw.contributors[0]).not.toHaveProperty('decayedCommits');
+      expect(decayed.primary).toBe('Test User');
+      expect(decayed.rawPrimary).toBe('Old Timer');
+      expect(decayed.totalCommits).toBe(4);
+      expect(decayed.halfLifeDays).toBe(90);
+      expect(decayed.contributors[0]).toEqual({ author: 'Test User', commits: 1, decayedCommits: 1 });
+      expect(decayed.contributors[1]).toEqual({ author: 'Old Timer', commits: 3, decayedCommits: 0 });
+      expect(decayed.totalDecayedCommits).toBe(1);
+    });
+
     test('should return Unknown for no history', async () => {
       await fs.writeFile(path.join(tempDir, 'dummy.js'), 'x');
       await git.add('.').commit('init');
@@ -167,7 +192,7 @@ describe('GitAnalyzer', () => {
       expect(logSpy).toHaveBeenCalledTimes(0);
       const indexCalls = rawSpy.mock.calls.filter((call) => {
         const [args] = call;
-        return Array.isArray(args) && args[0] === 'log' && args.includes('--name-only');
+        return Array.isArray(args) && args[0] === 'log' && args.includes('--numstat');
       });
       expect(indexCalls).toHaveLength(1);
     });
@@ -269,6 +294,500 @@ describe('GitAnalyzer', () => {
     });
   });
 
+  describe('rename tracking', () => {
+    const content = Array.from({ length: 20 }, (_, i) => `const line${i} = ${i};`).join('\n');
+
+    async function commitMove(from, to, message) {
+      await fs.mkdir(path.dirname(path.join(tempDir, to)), { recursive: true });
+      await git.mv(from, to);
+      await git.commit(message, undefined, { '--author': 'Mover <mover@example.com>' });
+    }
+
+    beforeEach(async () => {
+      await fs.mkdir(path.join(tempDir, 'src'));
+      await fs.writeFile(path.join(tempDir, 'src', 'a.js'), content);
+      await fs.writeFile(path.join(tempDir, 'other.js'), 'o1');
+      await git.add('.').commit('first');
+      await fs.writeFile(path.join(tempDir, 'src', 'a.js'), content + '\nconst extra = 1;');
+      await fs.writeFile(path.join(tempDir, 'other.js'), 'o2');
+      await git.add('.').commit('second');
+    });
+
+    test('should follow a file across a move', async () => {
+      await commitMove('src/a.js', 'lib/a.js', 'move');
+
+      const history = await analyzer.getFileHistory('lib/a.js');
+      const ownership = await analyzer.getFileOwnership('lib/a.js');
+
+      expect(history.map(c => c.message)).toEqual(['move', 'second', 'first']);
+      expect(ownership.primary).toBe('Test User');
+      expect(ownership.totalCommits).toBe(3);
+      expect(await analyzer.getChangeFrequency('lib/a.js')).toBeGreaterThanOrEqual(0);
+      expect(await analyzer.getPreviousPaths('lib/a.js')).toEqual(['src/a.js']);
+    });
+
+    test('should follow chains of renames', async () => {
+      await commitMove('src/a.js', 'lib/a.js', 'move once');
+      await commitMove('lib/a.js', 'core/b.js', 'move twice');
+
+      const history = await analyzer.getFileHistory('core/b.js');
+
+      expect(history).toHaveLength(4);
+      expect(await analyzer.getPreviousPaths('core/b.js')).toEqual(['lib/a.js', 'src/a.js']);
+    });
+
+    test('should not report the old path as a co-changed file', async () => {
+      await commitMove('src/a.js', 'lib/a.js', 'move');
+
+      const related = await analyzer.getFilesChangedTogether('other.js');
+
+      expect(related.map(r => r.file)).toEqual(['lib/a.js']);
+    });
+
+    test('should keep a new file at an old path separate', async () => {
+      await commitMove('src/a.js', 'lib/a.js', 'move');
+      await fs.writeFile(path.join(tempDir, 'src', 'a.js'), 'brand new');
+      await git.add('.').commit('recreate');
+
+      const history = await analyzer.getFileHistory('src/a.js');
+
+      expect(history.map(c => c.message)).toEqual(['recreate']);
+    });
+  });
+
+  describe('getLineOwnership', () => {
+    test('should attribute surviving lines to their authors', async () => {
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a\nb\nc\nd\n');
+      await git.add('.').commit('write file');
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a\nB\nc\nd\n');
+      await git.add('.').commit('fix typo', undefined, { '--author': 'Typo Fixer <typo@example.com>' });
+
+      const commitOwnership = await analyzer.getFileOwnership('file.js');
+      const lineOwnership = await analyzer.getLineOwnership('file.js');
+
+      expect(commitOwnership.contributors).toHaveLength(2);
+      expect(lineOwnership).toEqual({
+        primary: 'Test User',
+        contributors: [
+          { author: 'Test User', lines: 3, share: 0.75 },
+          { author: 'Typo Fixer', lines: 1, share: 0.25 }
+        ],
+        totalLines: 4
+      });
+    });
+
+    test('should return empty ownership for untracked files', async () => {
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a');
+      await git.add('.').commit('first');
+
+      const ownership = await analyzer.getLineOwnership('missing.js');
+
+      expect(ownership).toEqual({ primary: 'Unknown', contributors: [], totalLines: 0 });
+    });
+
+    test('should cache blame results per file', async () => {
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a\n');
+      await git.add('.').commit('first');
+      const rawSpy = jest.spyOn(analyzer.git, 'raw');
+
+      await analyzer.getLineOwnership('file.js');
+      await analyzer.getLineOwnership(path.join(tempDir, 'file.js'));
+
+      const blameCalls = rawSpy.mock.calls.filter(([args]) => args[0] === 'blame');
+      expect(blameCalls).toHaveLength(1);
+    });
+
+    test('should run at most blameConcurrency blames at once', async () => {
+      const limited = new GitAnalyzer(tempDir, { blameConcurrency: 2 });
+      let active = 0;
+      let maxActive = 0;
+      jest.spyOn(limited.git, 'raw').mockImplementation(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return 'author Someone\nauthor-mail <someone@example.com>\n';
+      });
+
+      const results = await Promise.all(
+        ['a.js', 'b.js', 'c.js', 'd.js', 'e.js'].map(file => limited.getLineOwnership(file))
+      );
+
+      expect(maxActive).toBe(2);
+      expect(results.every(result => result.primary === 'Someone')).toBe(true);
+    });
+  });
+
+  describe('author identities', () => {
+    async function commitAs(author, fileName, content) {
+      await fs.writeFile(path.join(tempDir, fileName), content);
+      await git.add('.');
+      await git.commit(`change ${fileName}`, undefined, { '--author': author });
+    }
+
+    test('should merge identities listed in .mailmap', async () => {
+      await fs.writeFile(path.join(tempDir, '.mailmap'), 'Jane Doe <jane@example.com> jdoe <jane@example.com>\n');
+      await commitAs('Jane Doe <jane@example.com>', 'file.js', 'a\n');
+      await commitAs('jdoe <jane@example.com>', 'file.js', 'a\nb\n');
+
+      const ownership = await analyzer.getFileOwnership('file.js');
+      const lineOwnership = await analyzer.getLineOwnership('file.js');
+
+      expect(ownership.contributors).toEqual([{ author: 'Jane Doe', commits: 2 }]);
+      expect(lineOwnership.contributors.map(c => c.author)).toEqual(['Jane Doe']);
+    });
+
+    test('should merge configured aliases', async () => {
+      const aliased = new GitAnalyzer(tempDir, {
+        authors: { aliases: { 'Jane Doe': ['Jane Doe (work laptop)'] } }
+      });
+      await commitAs('Jane Doe <jane@example.com>', 'file.js', 'a\n');
+      await commitAs('Jane Doe (work laptop) <jane@laptop.local>', 'file.js', 'a\nb\n');
+
+      const ownership = await aliased.getFileOwnership('file.js');
+
+      expect(ownership.primary).toBe('Jane Doe');
+      expect(ownership.contributors).toHaveLength(1);
+    });
+
+    test('should exclude bot accounts from ownership', async () => {
+      await commitAs('Jane Doe <jane@example.com>', 'file.js', 'a\n');
+      await commitAs('copilot-swe-agent[bot] <198982749+Copilot@users.noreply.github.com>', 'file.js', 'a\nb\nc\n');
+
+      const history = await analyzer.getFileHistory('file.js');
+      const ownership = await analyzer.getFileOwnership('file.js');
+      const lineOwnership = await analyzer.getLineOwnership('file.js');
+
+      expect(history).toHaveLength(2);
+      expect(ownership).toEqual({
+        primary: 'Jane Doe',
+        contributors: [{ author: 'Jane Doe', commits: 1 }],
+        totalCommits: 1
+      });
+      expect(lineOwnership.contributors).toEqual([{ author: 'Jane Doe', lines: 1, share: 1 }]);
+    });
+  });
+
+  describe('getFileChurn', () => {
+    test('should sum lines added and deleted across commits', async () => {
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a\nb\nc\n');
+      await git.add('.').commit('first');
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a\nB\nc\nd\n');
+      await git.add('.').commit('second');
+
+      const churn = await analyzer.getFileChurn('file.js');
+
+      expect(churn).toEqual({ added: 5, deleted: 1, churn: 6, commits: 2 });
+    });
+
+    test('should only count commits inside the window', async () => {
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a\nb\n');
+      await git.add('.').commit('old', undefined, { '--date': '2015-01-01T00:00:00Z' });
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a\nb\nc\n');
+      await git.add('.').commit('new');
+
+      const churn = await analyzer.getFileChurn('file.js', { since: new Date('2020-01-01') });
+
+      expect(churn).toEqual({ added: 1, deleted: 0, churn: 1, commits: 1 });
+    });
+
+    test('should return zero churn for unknown files', async () => {
+      await fs.writeFile(path.join(tempDir, 'file.js'), 'a');
+      await git.add('.').commit('first');
+
+      expect((await analyzer.getFileChurn('missing.js')).churn).toBe(0);
+    });
+  });
+
+  describe('_parseNumstatLine', () => {
+    test('should parse added, deleted and path', () => {
+      expect(analyzer._parseNumstatLine('3\t1\tsrc/a.js')).toEqual({ file: 'src/a.js', previousFile: null, added: 3, deleted: 1 });
+    });
+
+    test('should treat binary files as zero churn', () => {
+      expect(analyzer._parseNumstatLine('-\t-\tlogo.png')).toEqual({ file: 'logo.png', previousFile: null, added: 0, deleted: 0 });
+    });
+
+    test('should resolve renames to the new path', () => {
+      expect(analyzer._parseNumstatLine('0\t0\tsrc/{old => new}/a.js')).toEqual({
+        file: 'src/new/a.js',
+        previousFile: 'src/old/a.js',
+        added: 0,
+        deleted: 0
+      });
+      expect(analyzer._parseNumstatLine('0\t0\tsrc/{lib => }/a.js').file).toBe('src/a.js');
+      expect(analyzer._parseNumstatLine('1\t0\told.js => new.js').file).toBe('new.js');
+    });
+  });
+
+  describe('getDepartedAuthors', () => {
+    test('should list authors without recent commits', async () => {
+      await fs.writeFile(path.join(tempDir, 'old.js'), 'a');
+      await git.add('.').commit('old work', undefined, {
+        '--author': 'Old Timer <old@example.com>',
+        '--date': '2015-03-01T00:00:00Z'
+      });
+      await fs.writeFile(path.join(tempDir, 'new.js'), 'b');
+      await git.add('.').commit('new work');
+
+      const departed = await analyzer.getDepartedAuthors(90);
+
+      expect(departed).toHaveLength(1);
+      expect(departed[0]).toEqual(expect.objectContaining({ author: 'Old Timer', commits: 1 }));
+      expect(departed[0].lastCommitAt.startsWith('2015-03-01')).toBe(true);
+    });
+
+    test('should not count bots as departed contributors', async () => {
+      await fs.writeFile(path.join(tempDir, 'old.js'), 'a');
+      await git.add('.').commit('bump', undefined, {
+        '--author': 'dependabot[bot] <bot@example.com>',
+        '--date': '2015-03-01T00:00:00Z'
+      });
+
+      expect(await analyzer.getDepartedAuthors(90)).toEqual([]);
+    });
+  });
+
+  describe('history window', () => {
+    beforeEach(async () => {
+      // --since/--until filter on the committer date
+      await fs.writeFile(path.join(tempDir, 'app.js'), 'one\n');
+      await simpleGit(tempDir)
+        .env({ ...process.env, GIT_COMMITTER_DATE: '2015-03-01T00:00:00Z' })
+        .add('.')
+        .commit('old', undefined, {
+          '--author': 'Old Timer <old@example.com>',
+          '--date': '2015-03-01T00:00:00Z'
+        });
+      await git.addTag('v1');
+      await fs.writeFile(path.join(tempDir, 'app.js'), 'one\ntwo\n');
+      await fs.writeFile(path.join(tempDir, 'new.js'), 'x');
+      await git.add('.').commit('new');
+    });
+
+    test('should only count commits after --since', async () => {
+      analyzer.setHistoryWindow({ since: '2020-01-01' });
+
+      const ownership = await analyzer.getFileOwnership('app.js');
+      expect(ownership.contributors).toEqual([{ author: 'Test User', commits: 1 }]);
+    });
+
+    test('should only count commits before --until', async () => {
+      analyzer.setHistoryWindow({ until: '2020-01-01' });
+
+      expect((await analyzer.getFileHistory('app.js')).map(c => c.message)).toEqual(['old']);
+      expect(await analyzer.getFileHistory('new.js')).toEqual([]);
+    });
+
+    test('should read history, blame and tracked files at --rev', async () => {
+      analyzer.setHistoryWindow({ rev: 'v1' });
+
+      expect((await analyzer.getFileHistory('app.js')).map(c => c.message)).toEqual(['old']);
+      expect(await analyzer.getLineOwnership('app.js')).toEqual(expect.objectContaining({ primary: 'Old Timer', totalLines: 1 }));
+      expect(await analyzer.getAllTrackedFiles()).toEqual(['app.js']);
+    });
+
+    test('should measure recency from the newest commit in the window', async () => {
+      analyzer.setHistoryWindow({ rev: 'v1' });
+
+      expect(await analyzer.getReferenceTime()).toBe(Date.parse('2015-03-01T00:00:00Z'));
+      expect(Object.keys(await analyzer.getRecentlyModifiedFiles(30))).toEqual(['app.js']);
+    });
+
+    test('should find the newest commit in a long history once', async () => {
+      const parse = analyzer._parseRepositoryLog.bind(analyzer);
+      jest.spyOn(analyzer, '_parseRepositoryLog').mockImplementation(rawLog => {
+        const repositoryIndex = parse(rawLog);
+        repositoryIndex.commits = Array.from({ length: 200000 }, () => ({ date: '2010-01-01T00:00:00Z' }))
+          .concat(repositoryIndex.commits);
+        return repositoryIndex;
+      });
+      analyzer.setHistoryWindow({ rev: 'v1' });
+
+      expect(await analyzer.getReferenceTime()).toBe(Date.parse('2015-03-01T00:00:00Z'));
+      expect(await analyzer.getReferenceTime()).toBe(Date.parse('2015-03-01T00:00:00Z'));
+      expect(analyzer._parseRepositoryLog).toHaveBeenCalledTimes(1);
+    });
+
+    test('should drop cached history when the window changes', async () => {
+      expect(await analyzer.getFileHistory('app.js')).toHaveLength(2);
+
+      analyzer.setHistoryWindow({ rev: 'v1' });
+      expect(await analyzer.getFileHistory('app.js')).toHaveLength(1);
+    });
+
+    test('should reject unknown revisions', async () => {
+      analyzer.setHistoryWindow({ rev: 'no-such-branch' });
+      await expect(analyzer.verifyRevision()).rejects.toThrow('Unknown revision "no-such-branch"');
+    });
+
+    test('should reject revisions that look like options', async () => {
+      analyzer.setHistoryWindow({ rev: '--all' });
+      await expect(analyzer.verifyRevision()).rejects.toThrow('Invalid revision "--all"');
+    });
+
+    test('should read a revision named like a directory', async () => {
+      await fs.mkdir(path.join(tempDir, 'v1'));
+      await fs.writeFile(path.join(tempDir, 'v1', 'notes.md'), 'x');
+      analyzer.setHistoryWindow({ rev: 'v1' });
+
+      await analyzer.verifyRevision();
+      expect((await analyzer.getFileHistory('app.js')).map(c => c.message)).toEqual(['old']);
+    });
+  });
+
+  describe('getChangedFiles', () => {
+    test('should list files changed since the branch left its base', async () => {
+      await fs.writeFile(path.join(tempDir, 'a.js'), 'a');
+      await git.add('.').commit('base');
+      const base = (await git.branchLocal()).current;
+      await git.checkoutLocalBranch('feature');
+      await fs.writeFile(path.join(tempDir, 'b.js'), 'b');
+      await git.add('.').commit('feature work');
+      await git.checkout(base);
+      await fs.writeFile(path.join(tempDir, 'c.js'), 'c');
+      await git.add('.').commit('unrelated work on base');
+
+      expect(await analyzer.getChangedFiles(base, 'feature')).toEqual(['b.js']);
+    });
+
+    test('should reject unknown refs', async () => {
+      await fs.writeFile(path.join(tempDir, 'a.js'), 'a');
+      await git.add('.').commit('base');
+
+      await expect(analyzer.getChangedFiles('nope')).rejects.toThrow('Could not compare nope...HEAD');
+    });
+  });
+
+  describe('getChangeAuthors', () => {
+    test('should list humans who committed since the base', async () => {
+      await fs.writeFile(path.join(tempDir, 'a.js'), 'a');
+      await git.add('.').commit('base', undefined, { '--author': 'Base Author <base@example.com>' });
+      await git.addTag('base');
+      for (const author of ['Jane <jane@example.com>', 'renovate[bot] <bot@example.com>', 'Jane <jane@example.com>']) {
+        await fs.appendFile(path.join(tempDir, 'a.js'), 'x');
+        await git.add('.').commit('change', undefined, { '--author': author });
+      }
+
+      expect(await analyzer.getChangeAuthors('base')).toEqual(['Jane']);
+    });
+  });
+
+  describe('getAuthorEmails', () => {
+    test('should list each human author\'s emails, most used first', async () => {
+      const authors = ['Jane <jane@old.example.com>', 'Jane <jane@example.com>', 'Jane <jane@example.com>', 'ci[bot] <ci@example.com>'];
+      for (const author of authors) {
+        await fs.appendFile(path.join(tempDir, 'a.js'), 'x');
+        await git.add('.').commit('change', undefined, { '--author': author });
+      }
+
+      const emails = await analyzer.getAuthorEmails();
+
+      expect(emails.get('Jane')).toEqual(['jane@example.com', 'jane@old.example.com']);
+      expect(emails.has('ci[bot]')).toBe(false);
+    });
+  });
+
+  describe('getCoChanges', () => {
+    const commitFiles = async (files, message) => {
+      for (const file of files) {
+        await fs.mkdir(path.dirname(path.join(tempDir, file)), { recursive: true });
+        await fs.appendFile(path.join(tempDir, file), 'x');
+      }
+      await git.add('.').commit(message);
+    };
+
+    test('should count shared commits per pair, skipping oversized commits', async () => {
+      await commitFiles(['a.js', 'b.js'], 'one');
+      await commitFiles(['a.js', 'b.js', 'c.js'], 'two');
+      await commitFiles(['a.js', 'b.js', 'c.js', 'd.js'], 'reformat');
+
+      const result = await analyzer.getCoChanges({ maxFilesPerCommit: 3 });
+
+      expect(result.commitsAnalyzed).toBe(2);
+      expect(result.commitsSkipped).toBe(1);
+      expect(result.revisions.get('a.js')).toBe(2);
+      expect(result.pairs).toEqual(expect.arrayContaining([
+        { modules: ['a.js', 'b.js'], sharedCommits: 2 },
+        { modules: ['b.js', 'c.js'], sharedCommits: 1 }
+      ]));
+    });
+
+    test('should group files into modules', async () => {
+      await commitFiles(['api/a.js', 'api/b.js', 'db/c.js', 'docs/guide.md'], 'one');
+
+      const result = await analyzer.getCoChanges({
+        mapFile: file => (file.startsWith('docs/') ? null : path.posix.dirname(file))
+      });
+
+      expect(result.revisions).toEqual(new Map([['api', 1], ['db', 1]]));
+      expect(result.pairs).toEqual([{ modules: ['api', 'db'], sharedCommits: 1 }]);
+    });
+  });
+
+  describe('getSnapshotRevisions', () => {
+    const commitAt = async (content, date) => {
+      await fs.writeFile(path.join(tempDir, 'app.js'), content);
+      await simpleGit(tempDir)
+        .env({ ...process.env, GIT_COMMITTER_DATE: date })
+        .add('.')
+        .commit(content, undefined, { '--date': date });
+    };
+
+    beforeEach(async () => {
+      await commitAt('a', '2020-01-01T00:00:00Z');
+      await git.addAnnotatedTag('v1.0', 'first release');
+      await commitAt('b', '2020-01-10T00:00:00Z');
+      await commitAt('c', '2020-02-20T00:00:00Z');
+      await git.addTag('v2.0');
+      await commitAt('d', '2020-03-01T00:00:00Z');
+    });
+
+    test('should snapshot every tag, oldest first', async () => {
+      const snapshots = await analyzer.getSnapshotRevisions({ by: 'tags' });
+      const history = await analyzer.getFileHistory('app.js');
+
+      expect(snapshots.map(s => s.label)).toEqual(['v1.0', 'v2.0']);
+      expect(snapshots[0].hash).toBe(history[3].hash);
+      expect(snapshots[1].hash).toBe(history[1].hash);
+    });
+
+    test('should only snapshot tags in the history of --rev', async () => {
+      await git.checkoutBranch('hotfix', 'v1.0');
+      await commitAt('hotfix', '2020-01-05T00:00:00Z');
+      await git.addTag('v1.0.1');
+
+      expect((await analyzer.getSnapshotRevisions({ by: 'tags' })).map(s => s.label)).toEqual(['v1.0', 'v1.0.1', 'v2.0']);
+
+      analyzer.setHistoryWindow({ rev: 'v2.0' });
+      expect((await analyzer.getSnapshotRevisions({ by: 'tags' })).map(s => s.label)).toEqual(['v1.0', 'v2.0']);
+    });
+
+    test('should sample every N commits and always end at the newest', async () => {
+      const snapshots = await analyzer.getSnapshotRevisions({ by: 'commits', step: 2 });
+      const history = await analyzer.getFileHistory('app.js');
+
+      expect(snapshots.map(s => s.hash)).toEqual([history[3].hash, history[1].hash, history[0].hash]);
+      expect(snapshots[0].label).toBe(history[3].hash.slice(0, 7));
+    });
+
+    test('should sample the first commit after every N weeks', async () => {
+      const snapshots = await analyzer.getSnapshotRevisions({ by: 'weeks', step: 4 });
+
+      expect(snapshots.map(s => s.date.slice(0, 10))).toEqual(['2020-01-01', '2020-02-20', '2020-03-01']);
+    });
+
+    test('should keep only the most recent snapshots', async () => {
+      const snapshots = await analyzer.getSnapshotRevisions({ by: 'commits', step: 1, limit: 2 });
+
+      expect(snapshots.map(s => s.date.slice(0, 10))).toEqual(['2020-02-20', '2020-03-01']);
+    });
+
+    test('should reject unknown modes', async () => {
+      await expect(analyzer.getSnapshotRevisions({ by: 'months' })).rejects.toThrow('Unknown timeline mode "months"');
+    });
+  });
+
   describe('getAllTrackedFiles', () => {
     test('should list tracked files', async () => {
       await fs.writeFile(path.join(tempDir, 'tracked.js'), 'code');
@@ -288,6 +807,28 @@ describe('GitAnalyzer', () => {
       expect(files).not.toContain('untracked.js');
     });
 
+    test('should list files at a revision without quoting their names', async () => {
+      await fs.writeFile(path.join(tempDir, 'café.js'), 'code');
+      await git.add('.').commit('add file');
+      await git.addTag('v1');
+      analyzer.setHistoryWindow({ rev: 'v1' });
+
+      expect(await analyzer.getAllTrackedFiles()).toEqual(['café.js']);
+    });
+
+    test('should list the files at HEAD of a bare repository', async () => {
+      await fs.writeFile(path.join(tempDir, 'tracked.js'), 'code');
+      await git.add('.').commit('add file');
+      const bareDir = `${tempDir}-bare.git`;
+      await simpleGit().clone(tempDir, bareDir, ['--bare']);
+
+      try {
+        expect(await new GitAnalyzer(bareDir).getAllTrackedFiles()).toEqual(['tracked.js']);
+      } finally {
+        await fs.rm(bareDir, { recursive: true, force: true });
+      }
+    });
+
     test('should return empty for non-git repo', async () => {
       const nonGitDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nogit-'));
       const badAnalyzer = new GitAnalyzer(nonGitDir);
@@ -0,0 +1,86 @@
+const { GitTreeSource, isBareRepository } = require('../src/analyzers/git-tree-source');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const simpleGit = require('simple-git');
+
+describe('GitTreeSource', () => {
+  let tempDir;
+  let git;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-tree-'));
+    git = simpleGit(tempDir);
+    await git.init();
+    await git.addConfig('user.name', 'Test User');
+    await git.addConfig('user.email', 'test@example.com');
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.writeFile(path.join(tempDir, 'src', 'app.js'), 'const café = "☕";\n\nmodule.exports = café;\n');
+    await fs.writeFile(path.join(tempDir, 'README.md'), '# Title\n');
+    await git.add('.').commit('first');
+    await git.addTag('v1');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('listFiles', () => {
+    test('should list blobs at a revision with their object ids', async () => {
+      await fs.writeFile(path.join(tempDir, 'later.js'), 'x');
+      await git.add('.').commit('second');
+
+      const entries = await new GitTreeSource(tempDir, 'v1').listFiles();
+
+      expect(entries.map(entry => entry.path)).toEqual(['README.md', 'src/app.js']);
+      expect(entries[1]).toEqual(expect.objectContaining({ mode: '100644', type: 'blob' }));
+      expect(entries[1].object).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    test('should list a subdirectory relative to itself', async () => {
+      const entries = await new GitTreeSource(path.join(tempDir, 'src'), 'v1').listFiles();
+
+      expect(entries.map(entry => entry.path)).toEqual(['app.js']);
+    });
+
+    test('should reject unknown revisions', async () => {
+      await expect(new GitTreeSource(tempDir, 'missing').listFiles()).rejects.toThrow('Unknown revision "missing"');
+    });
+
+    test('should reject revisions that look like options', async () => {
+      await expect(new GitTreeSource(tempDir, '--all').listFiles()).rejects.toThrow('Invalid revision "--all"');
+    });
+  });
+
+  describe('readFiles', () => {
+    test('should read every file through one batch', async () => {
+      const source = new GitTreeSource(tempDir, 'v1');
+      const contents = await source.readFiles(await source.listFiles());
+
+      expect(contents.get('README.md')).toBe('# Title\n');
+      expect(contents.get('src/app.js')).toBe('const café = "☕";\n\nmodule.exports = café;\n');
+    });
+
+    test('should skip missing objects', async () => {
+      const source = new GitTreeSource(tempDir, 'v1');
+      const blobs = await source.readBlobs(['0000000000000000000000000000000000000001']);
+
+      expect(blobs.size).toBe(0);
+    });
+
+    test('should read from bare repositories', async () => {
+      const bareDir = `${tempDir}-bare.git`;
+      await simpleGit().clone(tempDir, bareDir, ['--bare']);
+      try {
+        const source = new GitTreeSource(bareDir);
+        const contents = await source.readFiles(await source.listFiles());
+
+        expect(Array.from(contents.keys())).toEqual(['README.md', 'src/app.js']);
+        expect(await isBareRepository(bareDir)).toBe(true);
+        expect(await isBareRepository(tempDir)).toBe(false);
+      } finally {
+        await fs.rm(bareDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const { globToRegExp, matchesGlob, matchesAnyGlob } = require('../src/utils/glob');
+
+describe('glob', () => {
+  test('should match single and double star wildcards', () => {
+    expect(matchesGlob('src/commands/map.js', 'src/commands/*.js')).toBe(true);
+    expect(matchesGlob('src/commands/sub/map.js', 'src/commands/*.js')).toBe(false);
+    expect(matchesGlob('src/commands/sub/map.js', 'src/**')).toBe(true);
+    expect(matchesGlob('src/map.js', 'src/**/*.js')).toBe(true);
+  });
+
+  test('should treat plain paths as directory prefixes', () => {
+    expect(matchesGlob('ui/button.js', 'ui')).toBe(true);
+    expect(matchesGlob('ui/button.js', './ui/')).toBe(true);
+    expect(matchesGlob('ui-kit/button.js', 'ui')).toBe(false);
+  });
+
+  test('should support brace alternatives', () => {
+    const pattern = globToRegExp('src/{api,db}/*.js');
+    expect(pattern.test('src/api/a.js')).toBe(true);
+    expect(pattern.test('src/db/b.js')).toBe(true);
+    expect(pattern.test('src/ui/c.js')).toBe(false);
+  });
+
+  test('should match against any of several patterns', () => {
+    expect(matchesAnyGlob('db/query.js', ['ui', 'db'])).toBe(true);
+    expect(matchesAnyGlob('api/query.js', ['ui', 'db'])).toBe(false);
+    expect(matchesAnyGlob('api/query.js', undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  extractSubgraph,
+  getGraphEdges,
+  formatDot,
+  formatMermaid
+} = require('../src/utils/graph-utils');
+
+describe('graph-utils', () => {
+  const repoPath = '/repo';
+  const callGraph = {
+    '/repo/a.js': { calls: ['/repo/b.js'], calledBy: [] },
+    '/repo/b.js': { calls: ['/repo/c.js'], calledBy: ['/repo/a.js'] },
+    '/repo/c.js': { calls: ['/repo/d.js'], calledBy: ['/repo/b.js'] },
+    '/repo/d.js': { calls: [], calledBy: ['/repo/c.js'] }
+  };
+
+  describe('extractSubgraph', () => {
+    test('should limit traversal to the requested depth', () => {
+      const subgraph = extractSubgraph(callGraph, '/repo/b.js', { depth: 1 });
+
+      expect(Object.keys(subgraph).sort()).toEqual(['/repo/a.js', '/repo/b.js', '/repo/c.js']);
+      expect(subgraph['/repo/c.js'].calls).toEqual([]);
+    });
+
+    test('should only follow callees when direction is callees', () => {
+      const subgraph = extractSubgraph(callGraph, '/repo/b.js', { depth: 5, direction: 'callees' });
+
+      expect(Object.keys(subgraph).sort()).toEqual(['/repo/b.js', '/repo/c.js', '/repo/d.js']);
+    });
+
+    test('should only follow callers when direction is callers', () => {
+      const subgraph = extractSubgraph(callGraph, '/repo/c.js', { depth: 5, direction: 'callers' });
+
+      expect(Object.keys(subgraph).sort()).toEqual(['/repo/a.js', '/repo/b.js', '/repo/c.js']);
+    });
+
+    test('should throw for unknown focus files and directions', () => {
+      expect(() => extractSubgraph(callGraph, '/repo/missing.js')).toThrow('File not found in call graph');
+      expect(() => extractSubgraph(callGraph, '/repo/a.js', { direction: 'sideways' })).toThrow('Unknown graph direction');
+    });
+  });
+
+  describe('getGraphEdges', () => {
+    test('should return relative, de-duplicated edges', () => {
+      const duplicated = {
+        '/repo/a.js': { calls: ['/repo/b.js', '/repo/b.js'], calledBy: [] },
+        '/repo/b.js': { calls: [], calledBy: ['/repo/a.js', '/repo/a.js'] }
+      };
+
+      expect(getGraphEdges(duplicated, repoPath)).toEqual([{ from: 'a.js', to: 'b.js' }]);
+    });
+  });
+
+  describe('formatters', () => {
+    test('should render DOT with quoted node ids and a highlighted focus', () => {
+      const dot = formatDot(callGraph, repoPath, { focus: '/repo/b.js' });
+
+      expect(dot).toContain('digraph callgraph {');
+      expect(dot).toContain('"a.js" -> "b.js";');
+      expect(dot).toContain('"b.js" [style=filled');
+    });
+
+    test('should render Mermaid with generated node ids', () => {
+      const mermaid = formatMermaid(callGraph, repoPath);
+
+      expect(mermaid.startsWith('graph LR\n')).toBe(true);
+      expect(mermaid).toContain('n0["a.js"]');
+      expect(mermaid).toContain('n0 --> n1');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const {
+  OWNERSHIP_MODES,
+  getOwnershipMeasure,
+  formatPrimaryOwner
+} = require('../src/utils/ownership');
+
+describe('ownership', () => {
+  test('should describe both ownership measures', () => {
+    expect(OWNERSHIP_MODES).toEqual(['commits', 'lines']);
+    expect(getOwnershipMeasure()).toEqual({ source: 'ownership', unit: 'commits', total: 'totalCommits' });
+    expect(getOwnershipMeasure('lines').unit).toBe('lines');
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => getOwnershipMeasure('blame')).toThrow('Unknown ownership mode');
+  });
+
+  test('should format the primary owner with their line share', () => {
+    const file = {
+      ownership: { primary: 'fixer' },
+      lineOwnership: {
+        primary: 'author',
+        contributors: [{ author: 'author', lines: 9, share: 0.9 }],
+        totalLines: 10
+      }
+    };
+
+    expect(formatPrimaryOwner(file)).toBe('author (90% of lines)');
+    expect(formatPrimaryOwner({ ownership: { primary: 'fixer' } })).toBe('fixer');
+    expect(formatPrimaryOwner({})).toBe('Unknown');
+  });
+});
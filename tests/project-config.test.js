@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const {
+  COMMAND_DEFAULTS,
+  findConfigFile,
+  loadProjectConfig,
+  validateProjectConfig,
+  resolveCommandOptions
+} = require('../src/utils/project-config');
+
+describe('project-config', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadProjectConfig', () => {
+    test('should return an empty config when no file exists', () => {
+      expect(findConfigFile(tempDir)).toBeNull();
+      expect(loadProjectConfig(tempDir)).toEqual({ configFile: null });
+    });
+
+    test('should load .repoarchaeologistrc as JSON', async () => {
+      await fs.writeFile(
+        path.join(tempDir, '.repoarchaeologistrc'),
+        JSON.stringify({ ignore: ['vendor'], includeTests: true })
+      );
+
+      const config = loadProjectConfig(tempDir);
+      expect(config.ignore).toEqual(['vendor']);
+      expect(config.includeTests).toBe(true);
+      expect(config.configFile).toBe(path.join(tempDir, '.repoarchaeologistrc'));
+    });
+
+    test('should load repo-archaeologist.config.js', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'repo-archaeologist.config.js'),
+        "module.exports = { features: { api: ['src/api/**'] } };"
+      );
+
+      const config = loadProjectConfig(tempDir);
+      expect(config.features).toEqual({ api: ['src/api/**'] });
+    });
+
+    test('should load an explicit config path', async () => {
+      const configPath = path.join(tempDir, 'custom.json');
+      await fs.writeFile(configPath, JSON.stringify({ entryPoints: ['main.js'] }));
+
+      expect(loadProjectConfig(tempDir, configPath).entryPoints).toEqual(['main.js']);
+    });
+
+    test('should throw when an explicit config path is missing', () => {
+      expect(() => loadProjectConfig(tempDir, path.join(tempDir, 'missing.json')))
+        .toThrow('Config file not found');
+    });
+
+    test('should report unparseable config files', async () => {
+      await fs.writeFile(path.join(tempDir, '.repoarchaeologistrc'), '{ not json');
+
+      expect(() => loadProjectConfig(tempDir)).toThrow('Could not read config file');
+    });
+  });
+
+  describe('validateProjectConfig', () => {
+    test('should reject non-array pattern lists', () => {
+      expect(() => validateProjectConfig({ ignore: 'vendor' }, 'rc'))
+        .toThrow('"ignore" must be an array of strings');
+    });
+
+    test('should reject non-boolean flags', () => {
+      expect(() => validateProjectConfig({ skipCochange: 'yes' }, 'rc'))
+        .toThrow('"skipCochange" must be true or false');
+    });
+
+    test('should reject invalid features and risk weights', () => {
+      expect(() => validateProjectConfig({ features: { api: 'src/api' } }, 'rc'))
+        .toThrow('"features"');
+      expect(() => validateProjectConfig({ riskWeights: { complexity: -1 } }, 'rc'))
+        .toThrow('"riskWeights"');
+    });
+
+    test('should reject malformed risk bands', () => {
+      expect(() => validateProjectConfig({ riskBands: { size: [{ above: 100 }] } }, 'rc'))
+        .toThrow('"riskBands"');
+      expect(validateProjectConfig({ riskBands: { size: [{ above: 100, points: 2 }] } }, 'rc').riskBands)
+        .toEqual({ size: [{ above: 100, points: 2 }] });
+    });
+
+    test('should validate the authors section', () => {
+      expect(() => validateProjectConfig({ authors: { aliases: { jane: 'jdoe' } } }, 'rc'))
+        .toThrow('"authors"');
+      expect(() => validateProjectConfig({ authors: { bots: 'ci' } }, 'rc'))
+        .toThrow('"authors"');
+      expect(validateProjectConfig({ authors: { aliases: { jane: ['jdoe'] }, bots: ['ci'] } }, 'rc').authors)
+        .toEqual({ aliases: { jane: ['jdoe'] }, bots: ['ci'] });
+    });
+
+    test('should validate the teams section', () => {
+      expect(() => validateProjectConfig({ teams: { payments: 'jane' } }, 'rc'))
+        .toThrow('"teams"');
+      expect(validateProjectConfig({ teams: { '@acme/payments': ['jane', '*@payments.example.com'] } }, 'rc').teams)
+        .toEqual({ '@acme/payments': ['jane', '*@payments.example.com'] });
+    });
+
+    test('should reject non-object configs', () => {
+      expect(() => validateProjectConfig([], 'rc')).toThrow('must export an object');
+    });
+  });
+
+  describe('resolveCommandOptions', () => {
+    test('should use built-in defaults', () => {
+      expect(resolveCommandOptions('graph', {}, {})).toEqual(COMMAND_DEFAULTS.graph);
+    });
+
+    test('should prefer config output settings over defaults', () => {
+      const options = resolveCommandOptions('owners', {}, { output: { owners: { format: 'json', top: '5' } } });
+
+      expect(options.format).toBe('json');
+      expect(options.top).toBe('5');
+      expect(options.maxShare).toBe('0.75');
+    });
+
+    test('should prefer CLI options over config settings', () => {
+      const options = resolveCommandOptions(
+        'risk',
+        { threshold: '8', output: undefined },
+        { output: { risk: { threshold: '2' } } }
+      );
+
+      expect(options.threshold).toBe('8');
+    });
+  });
+});
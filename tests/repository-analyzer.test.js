@@ -40,6 +40,19 @@ describe('RepositoryAnalyzer', () => {
       expect(result.analyzedAt).toBeDefined();
     });
 
+    test('should report import cycles and tag files with their cycle size', async () => {
+      await fs.writeFile(path.join(tempDir, 'a.js'), "require('./b');");
+      await fs.writeFile(path.join(tempDir, 'b.js'), "require('./a');");
+      await fs.writeFile(path.join(tempDir, 'c.js'), "require('./a');");
+      await simpleGit(tempDir).add('.').commit('Initial commit');
+
+      const result = await analyzer.analyze({ includeCoChange: false });
+      const cycleSizes = Object.fromEntries(result.files.map(f => [path.basename(f.path), f.cycleSize]));
+
+      expect(result.cycles).toHaveLength(1);
+      expect(cycleSizes).toEqual({ 'a.js': 2, 'b.js': 2, 'c.js': 0 });
+    });
+
     test('should handle empty repository', async () => {
       const result = await analyzer.analyze();
 
@@ -81,6 +94,778 @@ describe('RepositoryAnalyzer', () => {
     });
   });
 
+  describe('aggregateDirectoryOwnership', () => {
+    test('should roll ownership up the directory tree', () => {
+      const files = [
+        {
+          path: path.join(tempDir, 'src/auth/login.js'),
+          ownership: { contributors: [{ author: 'alice', commits: 8 }, { author: 'bob', commits: 2 }] }
+        },
+        {
+          path: path.join(tempDir, 'src/billing/invoice.js'),
+          ownership: { contributors: [{ author: 'bob', commits: 5 }, { author: 'carol', commits: 5 }] }
+        }
+      ];
+
+      const directories = analyzer.aggregateDirectoryOwnership(files, { maxShare: 0.75 });
+      const byPath = Object.fromEntries(directories.map(d => [d.directory, d]));
+
+      expect(Object.keys(byPath).sort()).toEqual(['.', 'src', 'src/auth', 'src/billing']);
+      expect(byPath.src.fileCount).toBe(2);
+      expect(byPath.src.totalCommits).toBe(20);
+      expect(byPath.src.primary).toBe('alice');
+      expect(byPath.src.owners[0]).toEqual({ author: 'alice', commits: 8, share: 0.4 });
+      expect(byPath['src/auth'].concentrated).toBe(true);
+      expect(byPath['src/billing'].concentrated).toBe(false);
+    });
+
+    test('should limit the number of listed owners', () => {
+      const files = [{
+        path: path.join(tempDir, 'lib.js'),
+        ownership: {
+          contributors: [
+            { author: 'a', commits: 3 },
+            { author: 'b', commits: 2 },
+            { author: 'c', commits: 1 }
+          ]
+        }
+      }];
+
+      const [root] = analyzer.aggregateDirectoryOwnership(files, { topOwners: 2 });
+
+      expect(root.owners.map(o => o.author)).toEqual(['a', 'b']);
+      expect(root.contributorCount).toBe(3);
+    });
+  });
+
+  describe('line ownership', () => {
+    test('should roll up surviving lines per directory', () => {
+      const files = [
+        {
+          path: path.join(tempDir, 'src', 'a.js'),
+          ownership: { contributors: [{ author: 'fixer', commits: 5 }, { author: 'author', commits: 1 }] },
+          lineOwnership: { contributors: [{ author: 'author', lines: 90 }, { author: 'fixer', lines: 10 }] }
+        }
+      ];
+
+      const byCommits = analyzer.aggregateDirectoryOwnership(files);
+      const byLines = analyzer.aggregateDirectoryOwnership(files, { mode: 'lines' });
+
+      expect(byCommits.find(d => d.directory === 'src').primary).toBe('fixer');
+      const src = byLines.find(d => d.directory === 'src');
+      expect(src.primary).toBe('author');
+      expect(src.totalLines).toBe(100);
+      expect(src.owners[0]).toEqual({ author: 'author', lines: 90, share: 0.9 });
+    });
+
+    test('should attach blame ownership in lines mode', async () => {
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'const x = 1;\nconst y = 2;\n');
+      await simpleGit(tempDir).add('.').commit('Initial commit');
+
+      const result = await analyzer.analyze({ includeCoChange: false, ownershipMode: 'lines' });
+
+      expect(result.ownershipMode).toBe('lines');
+      expect(result.files[0].lineOwnership).toEqual(expect.objectContaining({ primary: 'Test User', totalLines: 2 }));
+      expect(result.topContributors[0]).toEqual(expect.objectContaining({ author: 'Test User', totalLines: 2, filesOwned: 1 }));
+    });
+
+    test('should report decayed and raw commit counts with a half-life', async () => {
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'const x = 1;\n');
+      await simpleGit(tempDir).add('.').commit('Initial commit');
+
+      const result = await analyzer.analyze({ includeCoChange: false, halfLifeDays: 30 });
+
+      expect(result.ownershipHalfLife).toBe(30);
+      expect(result.files[0].ownership).toEqual(expect.objectContaining({ totalCommits: 1, totalDecayedCommits: 1 }));
+      expect(result.topContributors[0]).toEqual(expect.objectContaining({ author: 'Test User', totalCommits: 1, decayedCommits: 1 }));
+    });
+
+    test('should rank top contributors by decayed commits', () => {
+      const files = [
+        { path: path.join(tempDir, 'a.js'), ownership: { primary: 'new', totalDecayedCommits: 2.5, contributors: [{ author: 'new', commits: 3, decayedCommits: 2.5 }, { author: 'old', commits: 9, decayedCommits: 0.25 }] } }
+      ];
+
+      expect(analyzer.aggregateContributors(files).map(c => c.author)).toEqual(['new', 'old']);
+    });
+
+    test('should reject invalid half-lives', async () => {
+      await expect(analyzer.analyze({ halfLifeDays: NaN })).rejects.toThrow('Invalid ownership half-life');
+    });
+
+    test('should reject unknown ownership modes', async () => {
+      await expect(analyzer.analyze({ ownershipMode: 'blame' })).rejects.toThrow('Unknown ownership mode');
+    });
+  });
+
+  describe('bus factor', () => {
+    const owned = (filePath, contributors) => ({
+      path: path.join(tempDir, filePath),
+      ownership: {
+        contributors: contributors.map(([author, commits]) => ({ author, commits }))
+      }
+    });
+
+    test('should treat minor contributors as not knowing a file', () => {
+      const file = owned('a.js', [['alice', 8], ['bob', 2], ['carol', 1]]);
+
+      expect(analyzer.getKnowledgeableOwners(file)).toEqual(['alice']);
+      expect(analyzer.getKnowledgeableOwners(file, { minShare: 0.1 })).toEqual(['alice', 'bob']);
+      expect(analyzer.getKnowledgeableOwners({ path: 'x.js' })).toEqual([]);
+    });
+
+    test('should remove authors until more than half the files are orphaned', () => {
+      const files = [
+        owned('a.js', [['alice', 5]]),
+        owned('b.js', [['alice', 5]]),
+        owned('c.js', [['alice', 5], ['bob', 1]]),
+        owned('d.js', [['alice', 3], ['bob', 3]]),
+        owned('e.js', [['bob', 5]])
+      ];
+
+      expect(analyzer.calculateTruckFactor(files)).toEqual({
+        truckFactor: 1,
+        fileCount: 5,
+        orphanedFiles: 3,
+        inactiveFiles: 0,
+        keyAuthors: ['alice']
+      });
+    });
+
+    test('should count files known only by departed authors as already orphaned', () => {
+      const files = [
+        owned('a.js', [['alice', 5]]),
+        owned('b.js', [['alice', 5], ['bob', 1]]),
+        owned('c.js', [['alice', 3], ['bob', 3]]),
+        owned('d.js', [['bob', 5]])
+      ];
+
+      // alice holds most of the knowledge but has left, so bob alone is the truck factor
+      expect(analyzer.calculateTruckFactor(files, { departedAuthors: ['alice'] })).toEqual({
+        truckFactor: 1,
+        fileCount: 4,
+        orphanedFiles: 4,
+        inactiveFiles: 2,
+        keyAuthors: ['bob']
+      });
+      expect(analyzer.calculateTruckFactor(files.slice(0, 3), { departedAuthors: ['alice'] })).toMatchObject({
+        truckFactor: 0,
+        orphanedFiles: 2,
+        inactiveFiles: 2,
+        keyAuthors: []
+      });
+    });
+
+    test('should need several departures when knowledge is shared', () => {
+      const files = [
+        owned('a.js', [['alice', 5], ['bob', 5]]),
+        owned('b.js', [['bob', 5], ['carol', 5]]),
+        owned('c.js', [['carol', 5], ['alice', 5]])
+      ];
+
+      const result = analyzer.calculateTruckFactor(files);
+
+      // Any two departures orphan only one of the three files
+      expect(result.truckFactor).toBe(3);
+      expect(result.keyAuthors).toEqual(['alice', 'bob', 'carol']);
+    });
+
+    test('should report the truck factor per feature and flag at-risk areas', () => {
+      const files = [
+        owned('auth/login.js', [['alice', 5], ['bob', 5]]),
+        owned('auth/logout.js', [['alice', 5], ['bob', 5]]),
+        owned('billing/charge.js', [['carol', 5]]),
+        owned('untracked/new.js', [])
+      ];
+
+      const result = analyzer.analyzeBusFactor(files);
+
+      expect(result.repository.fileCount).toBe(3);
+      expect(result.features.map(f => [f.name, f.truckFactor])).toEqual([['billing', 1], ['auth', 2]]);
+      expect(result.atRiskFeatures.map(f => f.name)).toEqual(['billing']);
+      expect(result.singleOwnerFiles).toBe(1);
+      expect(result.files[0]).toEqual({ path: 'billing/charge.js', busFactor: 1, owners: ['carol'], departedOwners: [] });
+    });
+
+    test('should roll the truck factor up to each directory', () => {
+      const files = [
+        owned('src/auth/login.js', [['alice', 5], ['bob', 5]]),
+        owned('src/auth/logout.js', [['alice', 5]]),
+        owned('src/billing/charge.js', [['carol', 5]]),
+        owned('README.md', [['dave', 5]])
+      ];
+
+      const result = analyzer.analyzeBusFactor(files, { departedAuthors: ['carol'] });
+
+      expect(result.directories.map(d => [d.directory, d.fileCount, d.truckFactor, d.keyAuthors])).toEqual([
+        ['src/billing', 1, 0, []],
+        ['src', 3, 1, ['alice']],
+        ['src/auth', 2, 2, ['alice', 'bob']]
+      ]);
+      expect(result.orphanedFiles).toBe(1);
+      expect(result.files[0]).toEqual({ path: 'src/billing/charge.js', busFactor: 0, owners: [], departedOwners: ['carol'] });
+    });
+  });
+
+  describe('analyzeKnowledgeLoss', () => {
+    const owned = (filePath, contributors) => ({
+      path: path.join(tempDir, filePath),
+      ownership: {
+        contributors: contributors.map(([author, commits]) => ({ author, commits }))
+      }
+    });
+
+    test('should flag files and features whose knowledge left with departed authors', async () => {
+      jest.spyOn(analyzer.gitAnalyzer, 'getDepartedAuthors').mockResolvedValue([
+        { author: 'alice', lastCommitAt: '2020-01-01T00:00:00Z', commits: 12 }
+      ]);
+      const files = [
+        owned('billing/charge.js', [['alice', 6], ['bob', 4]]),
+        owned('billing/refund.js', [['bob', 3], ['alice', 2], ['carol', 2]]),
+        owned('auth/login.js', [['bob', 5], ['alice', 1]])
+      ];
+
+      const result = await analyzer.analyzeKnowledgeLoss(files, { days: 90 });
+
+      expect(analyzer.gitAnalyzer.getDepartedAuthors).toHaveBeenCalledWith(90);
+      expect(result.files).toEqual([{
+        path: 'billing/charge.js',
+        primary: 'alice',
+        primaryDeparted: true,
+        departedShare: 0.6,
+        departedOwners: ['alice']
+      }]);
+      expect(result.features).toEqual([{
+        name: 'billing',
+        fileCount: 2,
+        primary: 'alice',
+        primaryDeparted: true,
+        departedShare: 8 / 17
+      }]);
+      expect(result.departedAuthors[0].primaryFiles).toBe(1);
+    });
+
+    test('should flag files where departed authors hold the majority without being primary', async () => {
+      jest.spyOn(analyzer.gitAnalyzer, 'getDepartedAuthors').mockResolvedValue([
+        { author: 'alice', lastCommitAt: '2020-01-01T00:00:00Z', commits: 3 },
+        { author: 'bob', lastCommitAt: '2020-01-01T00:00:00Z', commits: 3 }
+      ]);
+      const files = [owned('core/engine.js', [['carol', 4], ['alice', 3], ['bob', 3]])];
+
+      const result = await analyzer.analyzeKnowledgeLoss(files);
+
+      expect(result.days).toBe(180);
+      expect(result.files[0]).toEqual(expect.objectContaining({ primaryDeparted: false, departedShare: 0.6 }));
+    });
+  });
+
+  describe('author identities', () => {
+    test('should merge configured aliases in top contributors', async () => {
+      const git = simpleGit(tempDir);
+      await fs.writeFile(path.join(tempDir, 'a.js'), 'const a = 1;');
+      await git.add('.').commit('add a');
+      await fs.writeFile(path.join(tempDir, 'b.js'), 'const b = 1;');
+      await git.add('.').commit('add b', undefined, { '--author': 'tuser <test@laptop.local>' });
+
+      const configured = new RepositoryAnalyzer(tempDir, {
+        authors: { aliases: { 'Test User': ['tuser'] } }
+      });
+      const result = await configured.analyze({ includeCoChange: false });
+
+      expect(result.topContributors).toEqual([
+        { author: 'Test User', filesOwned: 2, totalCommits: 2 }
+      ]);
+    });
+  });
+
+  describe('analyze with a history window', () => {
+    test('should read contents and history at --rev', async () => {
+      const git = simpleGit(tempDir);
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'const x = 1;\n');
+      await git.add('.').commit('first');
+      await git.addTag('v1');
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'const x = 1;\nconst y = 2;\nconst z = 3;\n');
+      await fs.writeFile(path.join(tempDir, 'later.js'), 'const later = true;\n');
+      await git.add('.').commit('second');
+
+      const result = await analyzer.analyze({ includeCoChange: false, rev: 'v1' });
+
+      expect(result.historyWindow).toEqual({ since: null, until: null, rev: 'v1' });
+      expect(result.totalFiles).toBe(1);
+      expect(result.files[0].lines).toBe(2);
+      expect(result.files[0].ownership.totalCommits).toBe(1);
+    });
+
+    test('should analyze a subdirectory at --rev', async () => {
+      await fs.mkdir(path.join(tempDir, 'sub'));
+      await fs.mkdir(path.join(tempDir, 'other'));
+      await fs.writeFile(path.join(tempDir, 'sub', 'a.js'), 'const a = 1;\n');
+      await fs.writeFile(path.join(tempDir, 'sub', 'b.js'), 'const b = 1;\n');
+      await fs.writeFile(path.join(tempDir, 'other', 'c.js'), 'const c = 1;\n');
+      await simpleGit(tempDir).add('.').commit('first');
+
+      const subDir = path.join(tempDir, 'sub');
+      const result = await new RepositoryAnalyzer(subDir).analyze({ includeCoChange: false, rev: 'HEAD' });
+
+      expect(result.files.map(file => path.relative(subDir, file.path)).sort()).toEqual(['a.js', 'b.js']);
+    });
+
+    test('should analyze bare repositories at HEAD', async () => {
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'const x = 1;\n');
+      await simpleGit(tempDir).add('.').commit('first');
+      const bareDir = `${tempDir}-bare.git`;
+      await simpleGit().clone(tempDir, bareDir, ['--bare']);
+
+      try {
+        const result = await new RepositoryAnalyzer(bareDir).analyze({ includeCoChange: false, ownershipMode: 'lines' });
+
+        expect(result.files.map(file => path.relative(bareDir, file.path))).toEqual(['test.js']);
+        expect(result.files[0].ownership.primary).toBe('Test User');
+        expect(result.files[0].lineOwnership.totalLines).toBe(1);
+      } finally {
+        await fs.rm(bareDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should fail on unknown revisions', async () => {
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'const x = 1;\n');
+      await simpleGit(tempDir).add('.').commit('first');
+
+      await expect(analyzer.analyze({ rev: 'nope' })).rejects.toThrow('Unknown revision "nope"');
+    });
+  });
+
+  describe('analyzeTimeline', () => {
+    test('should record architecture metrics at each snapshot', async () => {
+      const git = simpleGit(tempDir);
+      await fs.writeFile(path.join(tempDir, 'a.js'), "const b = require('./b');\nmodule.exports = b;\n");
+      await fs.writeFile(path.join(tempDir, 'b.js'), 'module.exports = 1;\n');
+      await git.add('.').commit('first');
+      await fs.writeFile(path.join(tempDir, 'b.js'), "const a = require('./a');\nmodule.exports = a;\n");
+      await fs.writeFile(path.join(tempDir, 'c.py'), 'import os\n');
+      await git.add('.').commit('second');
+      const hashes = (await git.log()).all.map(commit => commit.hash).reverse();
+      const seen = [];
+
+      const timeline = await analyzer.analyzeTimeline(
+        hashes.map(hash => ({ label: hash.slice(0, 7), hash, date: null })),
+        { onSnapshot: snapshot => seen.push(snapshot.label) }
+      );
+
+      expect(seen).toEqual(hashes.map(hash => hash.slice(0, 7)));
+      expect(timeline[0]).toEqual(expect.objectContaining({
+        files: 2,
+        lines: 5,
+        languages: { javascript: 2 },
+        importEdges: 1,
+        cycles: 0
+      }));
+      expect(timeline[1]).toEqual(expect.objectContaining({
+        files: 3,
+        languages: { javascript: 2, python: 1 },
+        importEdges: 2,
+        cycles: 1
+      }));
+      expect(timeline[1].averageRisk).toBeGreaterThan(timeline[0].averageRisk);
+    });
+  });
+
+  describe('analyzeImpact', () => {
+    const file = (filePath, primary, calledBy = [], extra = {}) => ({
+      path: path.join(tempDir, filePath),
+      complexity: 1,
+      lines: 10,
+      ownership: { primary, contributors: [{ author: primary, commits: 1 }] },
+      callGraphInfo: { calls: [], calledBy: calledBy.map(caller => path.join(tempDir, caller)) },
+      ...extra
+    });
+    const buildFiles = () => [
+      file('billing/core.js', 'alice', ['billing/api.js'], {
+        complexity: 25,
+        coChangedFiles: [{ file: 'docs/schema.js', count: 3, correlation: 0.6 }]
+      }),
+      file('billing/api.js', 'bob', ['web/server.js']),
+      file('web/server.js', 'carol'),
+      file('billing/core.test.js', 'alice'),
+      file('docs/schema.js', 'dave')
+    ];
+
+    test('should follow importers transitively and co-changing files', () => {
+      const result = analyzer.analyzeImpact(buildFiles(), ['billing/core.js', 'missing.js']);
+
+      expect(result.changedFiles).toEqual([
+        { path: 'billing/core.js', found: true, riskScore: 3, primary: 'alice' },
+        { path: 'missing.js', found: false, riskScore: 0, primary: 'Unknown' }
+      ]);
+      expect(result.affectedFiles.map(f => [f.path, f.distance, f.reason, f.via])).toEqual([
+        ['billing/api.js', 1, 'imports', 'billing/core.js'],
+        ['docs/schema.js', 1, 'co-change', 'billing/core.js'],
+        ['web/server.js', 2, 'imports', 'billing/core.js']
+      ]);
+      expect(result.features).toEqual([
+        { name: 'billing', changedFiles: 1, affectedFiles: 1 },
+        { name: 'docs', changedFiles: 0, affectedFiles: 1 },
+        { name: 'web', changedFiles: 0, affectedFiles: 1 }
+      ]);
+      expect(result.reviewers).toEqual([
+        { author: 'alice', files: 1 },
+        { author: 'bob', files: 1 },
+        { author: 'carol', files: 1 },
+        { author: 'dave', files: 1 }
+      ]);
+      expect(result.risk).toEqual({ score: 3, maxFileRisk: 3, changedFiles: 2, affectedFiles: 3 });
+    });
+
+    test('should stop after the requested number of import hops', () => {
+      const result = analyzer.analyzeImpact(buildFiles(), ['billing/core.js'], { depth: 1 });
+
+      expect(result.affectedFiles.map(f => f.path)).toEqual(['billing/api.js', 'docs/schema.js']);
+    });
+  });
+
+  describe('suggestReviewers', () => {
+    const file = (filePath, contributors) => ({
+      path: path.join(tempDir, filePath),
+      ownership: { contributors }
+    });
+    const impact = {
+      changedFiles: [{ path: 'a.js', found: true }, { path: 'gone.js', found: false }],
+      affectedFiles: [{ path: 'b.js', distance: 1 }]
+    };
+
+    test('should rank people by their share of the changed and related files', () => {
+      const files = [
+        file('a.js', [{ author: 'alice', commits: 3 }, { author: 'bob', commits: 1 }]),
+        file('b.js', [{ author: 'bob', commits: 2 }, { author: 'carol', commits: 2 }])
+      ];
+
+      expect(analyzer.suggestReviewers(files, impact, { count: 3 })).toEqual([
+        { author: 'alice', score: 0.75, changedFiles: 1, otherFiles: 0 },
+        { author: 'bob', score: 0.5, changedFiles: 1, otherFiles: 1 },
+        { author: 'carol', score: 0.25, changedFiles: 0, otherFiles: 1 }
+      ]);
+    });
+
+    test('should exclude the change authors and prefer recent activity', () => {
+      const files = [
+        file('a.js', [
+          { author: 'Alice', commits: 1, decayedCommits: 0.9 },
+          { author: 'bob', commits: 9, decayedCommits: 0.1 },
+          { author: 'dora', commits: 5, decayedCommits: 0 }
+        ]),
+        file('b.js', [{ author: 'carol', commits: 1, decayedCommits: 1 }])
+      ];
+
+      const suggestions = analyzer.suggestReviewers(files, impact, { count: 2, exclude: ['alice'] });
+
+      expect(suggestions.map(s => s.author)).toEqual(['carol', 'bob']);
+    });
+  });
+
+  describe('proposeCodeowners', () => {
+    const owned = (filePath, contributors) => ({
+      path: path.join(tempDir, filePath),
+      ownership: {
+        contributors: contributors.map(([author, commits]) => ({ author, commits }))
+      }
+    });
+    const buildFiles = () => [
+      owned('src/api/routes.js', [['alice', 4]]),
+      owned('src/api/v2/users.js', [['alice', 3], ['bob', 1]]),
+      owned('src/db/pool.js', [['bob', 5]]),
+      owned('src/shared/util.js', [['carol', 2], ['alice', 1], ['bob', 1]]),
+      owned('README.js', [['carol', 1]])
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(analyzer.gitAnalyzer, 'getAuthorEmails').mockResolvedValue(new Map([
+        ['alice', ['alice@example.com']],
+        ['bob', ['bob@example.com']],
+        ['carol', ['carol@example.com']]
+      ]));
+    });
+
+    test('should give confident directories a rule and fold subtrees with the same owner', async () => {
+      const { rules, lowConfidence } = await analyzer.proposeCodeowners(buildFiles());
+
+      expect(rules.map(rule => [rule.pattern, rule.owners])).toEqual([
+        ['/src/api/', ['alice@example.com']],
+        ['/src/db/', ['bob@example.com']],
+        ['/src/shared/', ['carol@example.com']]
+      ]);
+      expect(rules[0]).toEqual(expect.objectContaining({ confidence: 0.88, fileCount: 2, directories: 2 }));
+      expect(lowConfidence.map(directory => directory.directory)).toEqual(['.', 'src']);
+    });
+
+    test('should map authors to teams and respect the minimum confidence', async () => {
+      const teamed = new RepositoryAnalyzer(tempDir, {
+        teams: { '@acme/backend': ['alice', 'bob'] }
+      });
+      jest.spyOn(teamed.gitAnalyzer, 'getAuthorEmails').mockResolvedValue(new Map());
+
+      const { rules } = await teamed.proposeCodeowners(buildFiles(), { minConfidence: 0.8 });
+
+      expect(rules.map(rule => [rule.pattern, rule.owners[0], rule.directories])).toEqual([
+        ['*', '@acme/backend', 5]
+      ]);
+      expect(rules[0].authors).toEqual(['alice', 'bob']);
+    });
+
+    test('should mark rules for authors with no team, email or handle as unresolved', async () => {
+      const aliased = new RepositoryAnalyzer(tempDir, {
+        authors: { aliases: { carol: ['@carol-gh'] } }
+      });
+      jest.spyOn(aliased.gitAnalyzer, 'getAuthorEmails').mockResolvedValue(new Map());
+
+      const { rules } = await aliased.proposeCodeowners([
+        owned('src/api/routes.js', [['Jane Doe', 4]]),
+        owned('src/db/pool.js', [['carol', 5]])
+      ], { minConfidence: 0.6 });
+
+      expect(rules.map(rule => [rule.pattern, rule.owners[0], rule.unresolved])).toEqual([
+        ['/src/api/', 'Jane Doe', true],
+        ['/src/db/', '@carol-gh', false]
+      ]);
+    });
+  });
+
+  describe('findStaleCodeowners', () => {
+    test('should report entries whose owners stopped touching their files', async () => {
+      const configured = new RepositoryAnalyzer(tempDir, {
+        teams: { '@acme/db': ['dora'] },
+        authors: { aliases: { bob: ['@bobby'] } }
+      });
+      jest.spyOn(configured.gitAnalyzer, 'getAllTrackedFiles')
+        .mockResolvedValue(['src/api/a.js', 'src/db/pool.js', 'src/legacy/old.js', 'docs/guide.md']);
+      jest.spyOn(configured.gitAnalyzer, 'getRecentlyModifiedFiles').mockResolvedValue({
+        'src/api/a.js': [{ author: 'bob' }],
+        'src/db/pool.js': [{ author: 'dora' }],
+        'docs/guide.md': [{ author: 'carol' }]
+      });
+      jest.spyOn(configured.gitAnalyzer, 'getAuthorEmails').mockResolvedValue(new Map([
+        ['carol', ['12345+carol@users.noreply.github.com']]
+      ]));
+      const entries = [
+        { line: 1, pattern: '*', owners: ['@carol'] },
+        { line: 2, pattern: '/src/api/', owners: ['@alice', '@bobby'] },
+        { line: 3, pattern: 'src/db', owners: ['@acme/db'] },
+        { line: 4, pattern: '/src/legacy/', owners: ['@alice'] },
+        { line: 5, pattern: '/vendor/', owners: ['@alice'] }
+      ];
+
+      const stale = await configured.findStaleCodeowners(entries, { days: 90 });
+
+      expect(configured.gitAnalyzer.getRecentlyModifiedFiles).toHaveBeenCalledWith(90);
+      expect(stale).toEqual([
+        {
+          line: 2,
+          pattern: '/src/api/',
+          owners: ['@alice', '@bobby'],
+          fileCount: 1,
+          reason: 'inactive-owners',
+          staleOwners: ['@alice'],
+          recentAuthors: ['bob']
+        },
+        expect.objectContaining({ line: 5, fileCount: 0, reason: 'no-files', staleOwners: [] })
+      ]);
+    });
+
+    test('should not count bot commits as recent activity', async () => {
+      jest.spyOn(analyzer.gitAnalyzer, 'getAllTrackedFiles').mockResolvedValue(['package.json']);
+      jest.spyOn(analyzer.gitAnalyzer, 'getRecentlyModifiedFiles').mockResolvedValue({
+        'package.json': [{ author: 'dependabot[bot]', isBot: true }]
+      });
+      jest.spyOn(analyzer.gitAnalyzer, 'getAuthorEmails').mockResolvedValue(new Map());
+
+      const stale = await analyzer.findStaleCodeowners([{ line: 1, pattern: '*', owners: ['@alice'] }], { days: 90 });
+
+      expect(stale).toEqual([]);
+    });
+  });
+
+  describe('analyzeTeams', () => {
+    const file = (filePath, contributors, extra = {}) => ({
+      path: path.join(tempDir, filePath),
+      complexity: 1,
+      lines: 10,
+      ownership: {
+        contributors: contributors.map(([author, commits]) => ({ author, commits }))
+      },
+      ...extra
+    });
+
+    test('should roll ownership, churn and risk up to teams and count cross-team coupling', async () => {
+      const teamed = new RepositoryAnalyzer(tempDir, {
+        teams: { '@acme/api': ['alice'], '@acme/data': ['*@data.example.com'] }
+      });
+      jest.spyOn(teamed.gitAnalyzer, 'getAuthorEmails').mockResolvedValue(new Map([
+        ['bob', ['bob@data.example.com']]
+      ]));
+      jest.spyOn(teamed.gitAnalyzer, 'getFileChurn').mockResolvedValue({ churn: 10 });
+      // seed.js changed with pool.js only once, below the coupling report's two shared commits
+      jest.spyOn(teamed.gitAnalyzer, 'getCoChanges').mockResolvedValue({
+        revisions: new Map([['api/routes.js', 3], ['db/pool.js', 2], ['scripts/seed.js', 2]]),
+        pairs: [
+          { modules: ['api/routes.js', 'db/pool.js'], sharedCommits: 2 },
+          { modules: ['api/routes.js', 'scripts/seed.js'], sharedCommits: 2 },
+          { modules: ['db/pool.js', 'scripts/seed.js'], sharedCommits: 1 }
+        ],
+        commitsAnalyzed: 4,
+        commitsSkipped: 1
+      });
+      const files = [
+        file('api/routes.js', [['alice', 3], ['bob', 1]], {
+          callGraphInfo: { calls: [path.join(tempDir, 'db/pool.js')] }
+        }),
+        file('db/pool.js', [['bob', 4]]),
+        file('scripts/seed.js', [['carol', 1]])
+      ];
+
+      const result = await teamed.analyzeTeams(files, { days: 30, maxFilesPerCommit: 10 });
+
+      expect(teamed.gitAnalyzer.getFileChurn).toHaveBeenCalledWith(files[0].path, { since: expect.any(Date) });
+      expect(teamed.gitAnalyzer.getCoChanges).toHaveBeenCalledWith(expect.objectContaining({ maxFilesPerCommit: 10 }));
+      expect(result.teams).toEqual([
+        { team: '@acme/data', members: ['bob'], filesOwned: 1, commits: 5, share: 0.56, churn: 10, averageRisk: 0, maxRisk: 0 },
+        { team: '@acme/api', members: ['alice'], filesOwned: 1, commits: 3, share: 0.33, churn: 10, averageRisk: 0, maxRisk: 0 },
+        { team: 'Unassigned', members: ['carol'], filesOwned: 1, commits: 1, share: 0.11, churn: 10, averageRisk: 0, maxRisk: 0 }
+      ]);
+      expect(result.coupling).toEqual([
+        { teams: ['@acme/api', '@acme/data'], imports: 1, coChanges: 1, total: 2 },
+        { teams: ['@acme/api', 'Unassigned'], imports: 0, coChanges: 1, total: 1 }
+      ]);
+    });
+  });
+
+  describe('analyzeTemporalCoupling', () => {
+    const writeAndCommit = async (files, message) => {
+      for (const [file, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(tempDir, file)), { recursive: true });
+        await fs.writeFile(path.join(tempDir, file), content);
+      }
+      await simpleGit(tempDir).add('.').commit(message);
+    };
+
+    beforeEach(async () => {
+      await writeAndCommit({
+        'api/routes.js': "const db = require('../db/pool');\nmodule.exports = db;",
+        'db/pool.js': 'module.exports = 1;',
+        'db/schema.js': 'module.exports = 2;',
+        'docs/config.js': 'module.exports = 3;'
+      }, 'initial');
+      await writeAndCommit({ 'api/routes.js': "const db = require('../db/pool');\nmodule.exports = [db];", 'db/pool.js': 'module.exports = 10;' }, 'pool');
+      await writeAndCommit({ 'db/schema.js': 'module.exports = 20;', 'docs/config.js': 'module.exports = 30;' }, 'schema');
+      await writeAndCommit({ 'db/schema.js': 'module.exports = 21;', 'docs/config.js': 'module.exports = 31;' }, 'schema again');
+    });
+
+    test('should rank files by sum of coupling and flag pairs without an import', async () => {
+      const analysis = await analyzer.analyze({ includeCoChange: false });
+
+      const result = await analyzer.analyzeTemporalCoupling(analysis.files, { maxFilesPerCommit: 3 });
+
+      expect(result.commitsAnalyzed).toBe(3);
+      expect(result.commitsSkipped).toBe(1);
+      expect(result.modules.map(module => [module.module, module.sumOfCoupling])).toEqual([
+        ['db/schema.js', 2],
+        ['docs/config.js', 2],
+        ['api/routes.js', 1],
+        ['db/pool.js', 1]
+      ]);
+      expect(result.pairs).toEqual([
+        { modules: ['db/schema.js', 'docs/config.js'], sharedCommits: 2, coupling: 1, hidden: true }
+      ]);
+    });
+
+    test('should couple directories and keep pairs with an import between them', async () => {
+      const analysis = await analyzer.analyze({ includeCoChange: false });
+
+      const result = await analyzer.analyzeTemporalCoupling(analysis.files, {
+        level: 'directory',
+        maxFilesPerCommit: 0,
+        minSharedCommits: 1
+      });
+
+      expect(result.commitsSkipped).toBe(0);
+      expect(result.pairs).toEqual([
+        { modules: ['db', 'docs'], sharedCommits: 3, coupling: 0.86, hidden: true },
+        { modules: ['api', 'db'], sharedCommits: 2, coupling: 0.67, hidden: false },
+        { modules: ['api', 'docs'], sharedCommits: 1, coupling: 0.4, hidden: true }
+      ]);
+    });
+
+    test('should reject unknown levels', async () => {
+      await expect(analyzer.analyzeTemporalCoupling([], { level: 'package' })).rejects.toThrow('Unknown coupling level');
+    });
+  });
+
+  describe('compareAnalyses', () => {
+    const file = (root, filePath, primary, complexity = 1) => ({
+      path: path.join(root, filePath),
+      complexity,
+      lines: 10,
+      ownership: { primary, contributors: [{ author: primary, commits: 1 }] }
+    });
+
+    test('should report files, edges, cycles, dead files, owners and risk that changed', () => {
+      const baseRoot = '/old/checkout';
+      const headRoot = '/new/checkout';
+      const base = {
+        repository: baseRoot,
+        files: [file(baseRoot, 'a.js', 'alice'), file(baseRoot, 'b.js', 'bob'), file(baseRoot, 'gone.js', 'bob')],
+        callGraph: {
+          [path.join(baseRoot, 'a.js')]: { calls: [path.join(baseRoot, 'gone.js')] }
+        },
+        cycles: [],
+        deadCode: [{ path: path.join(baseRoot, 'b.js') }]
+      };
+      const head = {
+        repository: headRoot,
+        files: [file(headRoot, 'a.js', 'carol', 25), file(headRoot, 'b.js', 'bob'), file(headRoot, 'new.js', 'carol')],
+        callGraph: {
+          [path.join(headRoot, 'a.js')]: { calls: [path.join(headRoot, 'new.js')] },
+          [path.join(headRoot, 'new.js')]: { calls: [path.join(headRoot, 'a.js')] }
+        },
+        cycles: [{ files: [path.join(headRoot, 'new.js'), path.join(headRoot, 'a.js')], size: 2 }],
+        deadCode: []
+      };
+
+      const result = analyzer.compareAnalyses(base, head);
+
+      expect(result.files).toEqual({ added: ['new.js'], removed: ['gone.js'] });
+      expect(result.edges.added).toEqual([{ from: 'a.js', to: 'new.js' }, { from: 'new.js', to: 'a.js' }]);
+      expect(result.edges.removed).toEqual([{ from: 'a.js', to: 'gone.js' }]);
+      expect(result.cycles).toEqual({ added: [{ files: ['a.js', 'new.js'], size: 2 }], removed: [] });
+      expect(result.deadFiles).toEqual({ added: [], removed: ['b.js'] });
+      expect(result.ownershipShifts).toEqual([{ path: 'a.js', from: 'alice', to: 'carol' }]);
+      expect(result.riskChanges).toEqual([{ path: 'a.js', before: 0, after: 3, delta: 3 }]);
+      expect(result.averageRisk.delta).toBeGreaterThan(0);
+    });
+
+    test('should ignore risk changes below the minimum delta', () => {
+      const base = { repository: tempDir, files: [file(tempDir, 'a.js', 'alice')] };
+      const head = { repository: tempDir, files: [file(tempDir, 'a.js', 'alice', 25)] };
+
+      expect(analyzer.compareAnalyses(base, head, { minRiskDelta: 5 }).riskChanges).toEqual([]);
+    });
+  });
+
+  describe('analyze with renamed files', () => {
+    test('should keep ownership and list previous paths after a move', async () => {
+      const git = simpleGit(tempDir);
+      await fs.mkdir(path.join(tempDir, 'old'));
+      await fs.writeFile(path.join(tempDir, 'old', 'util.js'), 'module.exports = function util() { return 42; };\n');
+      await git.add('.').commit('add util');
+      await fs.mkdir(path.join(tempDir, 'new'));
+      await git.mv('old/util.js', 'new/util.js');
+      await git.commit('move util', undefined, { '--author': 'Mover <mover@example.com>' });
+
+      const result = await analyzer.analyze({ includeCoChange: false });
+      const util = result.files.find(file => file.path === path.join(tempDir, 'new', 'util.js'));
+
+      expect(util.previousPaths).toEqual(['old/util.js']);
+      expect(util.ownership.totalCommits).toBe(2);
+    });
+  });
+
   describe('calculateRiskScore', () => {
     test('should calculate risk score based on multiple factors', () => {
       const lowRiskFile = {
@@ -105,6 +890,145 @@ describe('RepositoryAnalyzer', () => {
       expect(lowScore).toBeLessThan(highScore);
       expect(highScore).toBeGreaterThan(10);
     });
+
+    test('should add risk for files inside import cycles', () => {
+      const file = {
+        complexity: 1,
+        lines: 10,
+        changeFrequency: 0,
+        ownership: { contributors: [] },
+        callGraphInfo: { calledBy: [] }
+      };
+
+      expect(analyzer.calculateRiskScore(file)).toBe(0);
+      expect(analyzer.calculateRiskScore({ ...file, cycleSize: 2 })).toBe(1);
+      expect(analyzer.calculateRiskScore({ ...file, cycleSize: 8 })).toBe(3);
+    });
+
+    test('should apply configured risk weights', () => {
+      const file = {
+        complexity: 25,
+        lines: 10,
+        changeFrequency: 0,
+        ownership: { contributors: [] },
+        callGraphInfo: { calledBy: [] }
+      };
+      const weighted = new RepositoryAnalyzer(tempDir, { riskWeights: { complexity: 0.5 } });
+
+      expect(analyzer.calculateRiskScore(file)).toBe(3);
+      expect(weighted.calculateRiskScore(file)).toBe(1.5);
+    });
+
+    test('should explain the score factor by factor', () => {
+      const file = {
+        complexity: 12,
+        lines: 400,
+        changeFrequency: 0,
+        ownership: { contributors: [] },
+        callGraphInfo: { calledBy: [] }
+      };
+
+      const explanation = analyzer.explainRiskScore(file);
+
+      expect(explanation.score).toBe(4);
+      expect(explanation.factors.find(f => f.factor === 'complexity')).toEqual({
+        factor: 'complexity',
+        value: 12,
+        above: 10,
+        points: 2,
+        weight: 1,
+        contribution: 2
+      });
+      expect(explanation.factors.find(f => f.factor === 'changeFrequency')).toEqual(expect.objectContaining({
+        above: null,
+        points: 0
+      }));
+    });
+
+    test('should apply configured risk bands', () => {
+      const file = {
+        complexity: 12,
+        lines: 10,
+        changeFrequency: 0,
+        ownership: { contributors: [] },
+        callGraphInfo: { calledBy: [] }
+      };
+      const configured = new RepositoryAnalyzer(tempDir, {
+        riskBands: { complexity: [{ above: 8, points: 1 }, { above: 11, points: 5 }] }
+      });
+
+      expect(configured.calculateRiskScore(file)).toBe(5);
+    });
+  });
+
+  describe('calculateHotspots', () => {
+    test('should rank files by churn times complexity', async () => {
+      await fs.writeFile(path.join(tempDir, 'simple.js'), 'const a = 1;\nconst b = 2;\nconst c = 3;\n');
+      await fs.writeFile(path.join(tempDir, 'branchy.js'), 'function f(x) {\n  if (x) return 1;\n  return 2;\n}\n');
+      await simpleGit(tempDir).add('.').commit('Initial commit');
+
+      const files = [
+        { path: path.join(tempDir, 'simple.js'), complexity: 1, lines: 3 },
+        { path: path.join(tempDir, 'branchy.js'), complexity: 2, lines: 4 },
+        { path: path.join(tempDir, 'untracked.js'), complexity: 9, lines: 1 }
+      ];
+
+      const hotspots = await analyzer.calculateHotspots(files, { days: 0 });
+
+      expect(hotspots.map(h => h.path)).toEqual(['branchy.js', 'simple.js']);
+      expect(hotspots[0]).toEqual(expect.objectContaining({ churn: 4, complexity: 2, score: 8, commits: 1 }));
+    });
+  });
+
+  describe('explainRiskScores', () => {
+    const makeFile = (complexity, lines) => ({
+      complexity,
+      lines,
+      changeFrequency: 0,
+      ownership: { contributors: [] },
+      callGraphInfo: { calledBy: [] }
+    });
+
+    test('should match calculateRiskScore in absolute mode', () => {
+      const files = [makeFile(25, 600), makeFile(1, 10)];
+
+      expect(analyzer.explainRiskScores(files).map(e => e.score))
+        .toEqual(files.map(file => analyzer.calculateRiskScore(file)));
+    });
+
+    test('should rank factors by percentile within the repository', () => {
+      const files = [makeFile(1, 10), makeFile(2, 20), makeFile(3, 30)];
+
+      const [low, mid, high] = analyzer.explainRiskScores(files, 'percentile');
+
+      expect(high.factors.find(f => f.factor === 'complexity').percentile).toBe(100);
+      expect(mid.factors.find(f => f.factor === 'complexity').percentile).toBe(50);
+      expect(low.score).toBe(0);
+      // Two of six equally weighted factors at p100; the rest are shared by every file
+      expect(high.score).toBe(33.3);
+      expect(mid.score).toBeLessThan(high.score);
+    });
+
+    test('should score small repositories relative to themselves', () => {
+      const files = [makeFile(2, 40), makeFile(4, 80)];
+
+      expect(files.every(file => analyzer.calculateRiskScore(file) === 0)).toBe(true);
+      expect(analyzer.explainRiskScores(files, 'percentile')[1].score).toBeGreaterThan(0);
+    });
+
+    test('should weight percentile factors', () => {
+      const weighted = new RepositoryAnalyzer(tempDir, {
+        riskWeights: { size: 0, changeFrequency: 0, contributors: 0, dependencies: 0, cycles: 0 }
+      });
+
+      const scores = weighted.explainRiskScores([makeFile(1, 10), makeFile(5, 10)], 'percentile');
+
+      expect(scores[1].score).toBe(100);
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => analyzer.explainRiskScores([], 'relative')).toThrow('Unknown risk mode');
+    });
   });
 
   describe('categorizeFiles', () => {
@@ -158,5 +1082,27 @@ describe('RepositoryAnalyzer', () => {
       expect(featureNames).toContain('commands');
       expect(featureNames).toContain('analyzers');
     });
+
+    test('should use configured feature patterns when provided', () => {
+      const configured = new RepositoryAnalyzer(tempDir, {
+        features: {
+          billing: ['src/payments/**', 'src/invoices/**'],
+          auth: ['src/auth/**']
+        }
+      });
+      const files = [
+        { path: path.join(tempDir, 'src/payments/charge.js') },
+        { path: path.join(tempDir, 'src/invoices/render.js') },
+        { path: path.join(tempDir, 'src/misc/util.js') }
+      ];
+
+      const features = configured.identifyFeatures(files);
+
+      expect(features).toEqual([{
+        name: 'billing',
+        fileCount: 2,
+        files: [files[0].path, files[1].path]
+      }]);
+    });
   });
 });
@@ -0,0 +1,99 @@
+const { RuleEngine } = require('../src/analyzers/rule-engine');
+const { StaticAnalyzer } = require('../src/analyzers/static-analyzer');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('RuleEngine', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-rules-'));
+    await fs.mkdir(path.join(tempDir, 'ui'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, 'db'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, 'api'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'db', 'query.js'), 'module.exports = {};');
+    await fs.writeFile(path.join(tempDir, 'api', 'handler.js'), "require('../db/query');\nmodule.exports = {};");
+    await fs.writeFile(path.join(tempDir, 'ui', 'button.js'), "require('./theme');\nrequire('../db/query');\nrequire('../api/handler');");
+    await fs.writeFile(path.join(tempDir, 'ui', 'theme.js'), 'module.exports = {};');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function evaluate(rules) {
+    const staticAnalyzer = new StaticAnalyzer(tempDir);
+    const analyses = await staticAnalyzer.analyzeDirectory(tempDir);
+    const callGraph = staticAnalyzer.buildCallGraph(analyses);
+    return new RuleEngine(tempDir, rules).evaluate(analyses, callGraph, staticAnalyzer);
+  }
+
+  describe('evaluate', () => {
+    test('should report edges matching a disallow pattern with their import string', async () => {
+      const result = await evaluate([{ name: 'no-ui-db', from: 'ui', disallow: 'db' }]);
+
+      expect(result.edgesChecked).toBe(4);
+      expect(result.errorCount).toBe(1);
+      expect(result.violations).toEqual([{
+        rule: 'no-ui-db',
+        severity: 'error',
+        file: 'ui/button.js',
+        importPath: '../db/query',
+        target: 'db/query.js',
+        reason: 'target matches a disallowed pattern'
+      }]);
+    });
+
+    test('should allow same-layer imports and flag targets outside the allow list', async () => {
+      const result = await evaluate([{ from: 'ui/**', allow: ['api/**'] }]);
+
+      expect(result.violations.map(v => v.target)).toEqual(['db/query.js']);
+      expect(result.violations[0].rule).toBe('rule-1');
+    });
+
+    test('should count warnings separately from errors', async () => {
+      const result = await evaluate([{ from: 'api', disallow: 'db', severity: 'warn' }]);
+
+      expect(result.errorCount).toBe(0);
+      expect(result.warningCount).toBe(1);
+    });
+  });
+
+  describe('rule validation', () => {
+    test('should reject rules without from or targets', () => {
+      expect(() => new RuleEngine(tempDir, [{ disallow: 'db' }])).toThrow('"from" is required');
+      expect(() => new RuleEngine(tempDir, [{ name: 'x', from: 'ui' }])).toThrow('Invalid rule "x"');
+      expect(() => new RuleEngine(tempDir, [{ from: 'ui', disallow: 'db', severity: 'fatal' }])).toThrow('severity');
+    });
+  });
+
+  describe('findRulesFile / loadRules', () => {
+    test('should discover the rules file in the repository root', async () => {
+      const rulesPath = path.join(tempDir, 'repo-archaeologist.rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({ rules: [{ from: 'ui', disallow: 'db' }] }));
+
+      expect(RuleEngine.findRulesFile(tempDir)).toBe(rulesPath);
+      expect(RuleEngine.loadRules(rulesPath)).toEqual([{ from: 'ui', disallow: 'db' }]);
+    });
+
+    test('should return null when no rules file exists and throw for a missing explicit file', () => {
+      expect(RuleEngine.findRulesFile(tempDir)).toBeNull();
+      expect(() => RuleEngine.findRulesFile(tempDir, path.join(tempDir, 'missing.json'))).toThrow('Rules file not found');
+    });
+
+    test('should load CommonJS rules files', async () => {
+      const rulesPath = path.join(tempDir, 'rules.js');
+      await fs.writeFile(rulesPath, "module.exports = { rules: [{ from: 'ui', disallow: ['db'] }] };");
+
+      expect(RuleEngine.loadRules(rulesPath)).toEqual([{ from: 'ui', disallow: ['db'] }]);
+    });
+
+    test('should reject files without a rules array', async () => {
+      const rulesPath = path.join(tempDir, 'bad.json');
+      await fs.writeFile(rulesPath, '{"rules": {}}');
+
+      expect(() => RuleEngine.loadRules(rulesPath)).toThrow('must define a "rules" array');
+    });
+  });
+});
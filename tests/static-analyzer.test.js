@@ -2,6 +2,7 @@ const { StaticAnalyzer } = require('../src/analyzers/static-analyzer');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const simpleGit = require('simple-git');
 
 describe('StaticAnalyzer', () => {
   let tempDir;
@@ -272,6 +273,54 @@ export const runFeature = () => helper();
     });
   });
 
+  describe('analyzeRevision', () => {
+    test('should analyze file contents committed at a revision', async () => {
+      const git = simpleGit(tempDir);
+      await git.init();
+      await git.addConfig('user.name', 'Test User');
+      await git.addConfig('user.email', 'test@example.com');
+      await fs.writeFile(path.join(tempDir, 'a.js'), "const b = require('./b');\n");
+      await fs.writeFile(path.join(tempDir, 'b.js'), 'module.exports = 1;\n');
+      await git.add('.').commit('first');
+      await git.addTag('v1');
+      await fs.writeFile(path.join(tempDir, 'a.js'), 'function a() {}\nfunction c() {}\n');
+      await fs.rm(path.join(tempDir, 'b.js'));
+      await fs.writeFile(path.join(tempDir, 'untracked.js'), 'x');
+
+      const analyses = await analyzer.analyzeRevision('v1');
+      const callGraph = analyzer.buildCallGraph(analyses);
+
+      expect(analyses.map(a => path.basename(a.path)).sort()).toEqual(['a.js', 'b.js']);
+      expect(analyses.find(a => a.path.endsWith('a.js')).functions).toEqual([]);
+      expect(callGraph[path.join(tempDir, 'a.js')].calls).toEqual([path.join(tempDir, 'b.js')]);
+    });
+
+    test('should reuse analyses of unchanged blobs across revisions', async () => {
+      const git = simpleGit(tempDir);
+      await git.init();
+      await git.addConfig('user.name', 'Test User');
+      await git.addConfig('user.email', 'test@example.com');
+      await fs.writeFile(path.join(tempDir, 'a.js'), 'function a() {}\n');
+      await fs.writeFile(path.join(tempDir, 'b.js'), 'function b() {}\n');
+      await git.add('.').commit('first');
+      await git.addTag('v1');
+      await fs.writeFile(path.join(tempDir, 'b.js'), 'function b2() {}\n');
+      await git.add('.').commit('second');
+      const analyzeContent = jest.spyOn(analyzer, 'analyzeContent');
+
+      await analyzer.analyzeRevision('v1');
+      const latest = await analyzer.analyzeRevision('HEAD');
+
+      expect(analyzeContent).toHaveBeenCalledTimes(3);
+      expect(latest.find(a => a.path.endsWith('b.js')).functions).toEqual(['b2']);
+    });
+
+    test('should reject unknown revisions', async () => {
+      await simpleGit(tempDir).init();
+      await expect(analyzer.analyzeRevision('missing')).rejects.toThrow('Unknown revision "missing"');
+    });
+  });
+
   describe('buildCallGraph', () => {
     test('should build a call graph from analyses', async () => {
       const file1Path = path.join(tempDir, 'file1.js');
@@ -367,6 +416,74 @@ export const runFeature = () => helper();
     });
   });
 
+  describe('buildSymbolGraph', () => {
+    test('should record import bindings and the functions that call them', async () => {
+      const filePath = path.join(tempDir, 'consumer.js');
+      await fs.writeFile(filePath, `
+import { helper } from './helper';
+import * as utils from './utils';
+const { format } = require('./format');
+
+export function run() {
+  helper();
+  return utils.parse(format());
+}
+`);
+
+      const analysis = await analyzer.analyzeFile(filePath);
+
+      expect(analysis.importBindings).toEqual(expect.arrayContaining([
+        { local: 'helper', source: './helper', imported: 'helper' },
+        { local: 'utils', source: './utils', imported: '*' },
+        { local: 'format', source: './format', imported: 'format' }
+      ]));
+      expect(analysis.symbolCalls).toEqual(expect.arrayContaining([
+        { caller: 'run', source: './helper', imported: 'helper', member: null },
+        { caller: 'run', source: './utils', imported: '*', member: 'parse' }
+      ]));
+    });
+
+    test('should link callers to exported functions across files', async () => {
+      const mainPath = path.join(tempDir, 'main.js');
+      const mathPath = path.join(tempDir, 'math.js');
+      await fs.writeFile(mathPath, 'function add(a, b) { return a + b; }\nfunction sub(a, b) { return a - b; }\nmodule.exports = { add, sub };');
+      await fs.writeFile(mainPath, "const math = require('./math');\nfunction total() { return math.add(1, 2); }\nmodule.exports = { total };");
+
+      const analyses = await analyzer.analyzeDirectory(tempDir);
+      const symbolGraph = analyzer.buildSymbolGraph(analyses);
+
+      expect(symbolGraph[`${mainPath}#total`].calls).toEqual([`${mathPath}#add`]);
+      expect(symbolGraph[`${mathPath}#add`].calledBy).toEqual([`${mainPath}#total`]);
+      expect(symbolGraph[`${mathPath}#sub`].calledBy).toEqual([]);
+    });
+
+    test('should resolve a whole-module CommonJS export', async () => {
+      const mainPath = path.join(tempDir, 'main.js');
+      const servicePath = path.join(tempDir, 'service.js');
+      await fs.writeFile(servicePath, 'class Service {}\nmodule.exports = Service;');
+      await fs.writeFile(mainPath, "const Service = require('./service');\nnew Service();");
+
+      const analyses = await analyzer.analyzeDirectory(tempDir);
+      const symbolGraph = analyzer.buildSymbolGraph(analyses);
+
+      expect(symbolGraph[`${mainPath}#<module>`].calls).toEqual([`${servicePath}#Service`]);
+    });
+
+    test('should follow re-exports through barrel files', async () => {
+      await fs.mkdir(path.join(tempDir, 'lib'), { recursive: true });
+      const appPath = path.join(tempDir, 'app.ts');
+      const widgetPath = path.join(tempDir, 'lib', 'widget.ts');
+      await fs.writeFile(widgetPath, 'export function render() {}');
+      await fs.writeFile(path.join(tempDir, 'lib', 'index.ts'), "export * from './widget';");
+      await fs.writeFile(appPath, "import { render } from './lib';\nexport const start = () => render();");
+
+      const analyses = await analyzer.analyzeDirectory(tempDir);
+      const symbolGraph = analyzer.buildSymbolGraph(analyses);
+
+      expect(symbolGraph[`${appPath}#start`].calls).toEqual([`${widgetPath}#render`]);
+    });
+  });
+
   describe('extractGroupedImports', () => {
     test('should extract Go grouped imports', () => {
       const content = `
@@ -481,5 +598,144 @@ func main() {
 
       expect(deadCode.map(d => d.path)).toContain('/repo/tests/example.test.js');
     });
+
+    test('should honour configured test patterns and entry points', () => {
+      const fixtureAnalyzer = new StaticAnalyzer('/repo');
+      const analyses = [
+        { path: '/repo/qa/checkout.js', exports: ['scenario'] },
+        { path: '/repo/src/server.js', exports: ['start'] },
+        { path: '/repo/src/feature.js', exports: ['feature'] }
+      ];
+      const callGraph = Object.fromEntries(
+        analyses.map(analysis => [analysis.path, { calls: [], calledBy: [] }])
+      );
+
+      const deadCode = fixtureAnalyzer.detectDeadCode(analyses, callGraph, {
+        testPatterns: ['qa/**'],
+        entryPoints: ['src/server.js']
+      });
+
+      expect(deadCode.map(d => d.path)).toEqual(['/repo/src/feature.js']);
+    });
+  });
+
+  describe('detectUnusedExports', () => {
+    async function analyzeUnusedExports() {
+      const analyses = await analyzer.analyzeDirectory(tempDir);
+      const callGraph = analyzer.buildCallGraph(analyses);
+      return analyzer.detectUnusedExports(analyses, callGraph);
+    }
+
+    test('should report named exports no module imports with high confidence', async () => {
+      const libPath = path.join(tempDir, 'lib.js');
+      await fs.writeFile(libPath, 'export const used = 1;\nexport const unused = 2;');
+      await fs.writeFile(path.join(tempDir, 'main.js'), "import { used } from './lib';\nconsole.log(used);");
+
+      const unused = await analyzeUnusedExports();
+
+      expect(unused).toEqual([expect.objectContaining({
+        path: libPath,
+        export: 'unused',
+        confidence: 'high'
+      })]);
+    });
+
+    test('should track destructured require specifiers', async () => {
+      await fs.writeFile(path.join(tempDir, 'lib.js'), 'function a() {}\nfunction b() {}\nmodule.exports = { a, b };');
+      await fs.writeFile(path.join(tempDir, 'main.js'), "const { a } = require('./lib');\na();");
+
+      const unused = await analyzeUnusedExports();
+
+      expect(unused.map(entry => entry.export)).toEqual(['b']);
+    });
+
+    test('should count namespace member access and lower confidence', async () => {
+      await fs.writeFile(path.join(tempDir, 'lib.ts'), 'export const a = 1;\nexport const b = 2;');
+      await fs.writeFile(path.join(tempDir, 'main.ts'), "import * as lib from './lib';\nconsole.log(lib.a);");
+
+      const unused = await analyzeUnusedExports();
+
+      expect(unused).toEqual([expect.objectContaining({ export: 'b', confidence: 'medium' })]);
+    });
+
+    test('should lower confidence when a file is imported dynamically', async () => {
+      await fs.writeFile(path.join(tempDir, 'lib.js'), 'export const a = 1;\nexport const b = 2;');
+      await fs.writeFile(path.join(tempDir, 'main.js'), "import { a } from './lib';\nconst later = () => import('./lib');\nconsole.log(a, later);");
+
+      const unused = await analyzeUnusedExports();
+
+      expect(unused).toEqual([expect.objectContaining({ export: 'b', confidence: 'low' })]);
+    });
+
+    test('should attribute usage through re-exports to the original module', async () => {
+      await fs.mkdir(path.join(tempDir, 'lib'), { recursive: true });
+      const widgetPath = path.join(tempDir, 'lib', 'widget.js');
+      await fs.writeFile(widgetPath, 'export function render() {}\nexport function destroy() {}');
+      await fs.writeFile(path.join(tempDir, 'lib', 'index.js'), "export { render, destroy } from './widget';");
+      await fs.writeFile(path.join(tempDir, 'main.js'), "import { render } from './lib';\nrender();");
+
+      const unused = await analyzeUnusedExports();
+
+      expect(unused).toEqual([expect.objectContaining({ path: widgetPath, export: 'destroy' })]);
+    });
+
+    test('should treat calling a whole-module CommonJS export as a use', async () => {
+      await fs.writeFile(path.join(tempDir, 'service.js'), 'class Service {}\nmodule.exports = Service;');
+      await fs.writeFile(path.join(tempDir, 'main.js'), "const Service = require('./service');\nnew Service();");
+
+      const unused = await analyzeUnusedExports();
+
+      expect(unused).toEqual([]);
+    });
+  });
+
+  describe('detectCycles', () => {
+    test('should report each strongly connected component with its shortest cycle', () => {
+      const callGraph = {
+        '/repo/a.js': { calls: ['/repo/b.js'], calledBy: ['/repo/d.js'] },
+        '/repo/b.js': { calls: ['/repo/c.js', '/repo/d.js'], calledBy: ['/repo/a.js'] },
+        '/repo/c.js': { calls: ['/repo/b.js'], calledBy: ['/repo/b.js'] },
+        '/repo/d.js': { calls: ['/repo/a.js'], calledBy: ['/repo/b.js'] },
+        '/repo/e.js': { calls: ['/repo/a.js'], calledBy: [] }
+      };
+
+      const cycles = analyzer.detectCycles(callGraph);
+
+      expect(cycles).toHaveLength(1);
+      expect(cycles[0].files).toEqual(['/repo/a.js', '/repo/b.js', '/repo/c.js', '/repo/d.js']);
+      expect(cycles[0].size).toBe(4);
+      expect(cycles[0].shortestCycle).toHaveLength(3);
+      expect(cycles[0].shortestCycle[0]).toBe(cycles[0].shortestCycle[2]);
+      expect(cycles[0].shortestCycle).toEqual(expect.arrayContaining(['/repo/b.js', '/repo/c.js']));
+    });
+
+    test('should report self-imports and ignore acyclic graphs', () => {
+      const callGraph = {
+        '/repo/self.js': { calls: ['/repo/self.js'], calledBy: ['/repo/self.js'] },
+        '/repo/x.js': { calls: ['/repo/y.js'], calledBy: [] },
+        '/repo/y.js': { calls: [], calledBy: ['/repo/x.js'] }
+      };
+
+      const cycles = analyzer.detectCycles(callGraph);
+
+      expect(cycles).toEqual([{
+        files: ['/repo/self.js'],
+        size: 1,
+        shortestCycle: ['/repo/self.js', '/repo/self.js']
+      }]);
+    });
+
+    test('should detect cycles in an analyzed directory', async () => {
+      const aPath = path.join(tempDir, 'a.js');
+      const bPath = path.join(tempDir, 'b.js');
+      await fs.writeFile(aPath, "const b = require('./b');\nmodule.exports = { b };");
+      await fs.writeFile(bPath, "const a = require('./a');\nmodule.exports = { a };");
+
+      const analyses = await analyzer.analyzeDirectory(tempDir);
+      const cycles = analyzer.detectCycles(analyzer.buildCallGraph(analyses));
+
+      expect(cycles).toHaveLength(1);
+      expect(cycles[0].files).toEqual([aPath, bPath]);
+    });
   });
 });